@@ -2,21 +2,56 @@
  * ColorPaletteApp - Main application controller for the color palette tool
  * Coordinates all modules and manages the overall application state
  */
-import { PaletteManager } from './core/PaletteManager.js';
-import { ChartRenderer } from './core/ChartRenderer.js';
+import { PaletteManager, DIVERGING_PRESETS } from './core/PaletteManager.js';
+import { ChartRenderer, CHART_THEME_TOKENS } from './core/ChartRenderer.js';
 import { CardGridRenderer } from './core/CardGridRenderer.js';
+import { CalendarRenderer } from './core/CalendarRenderer.js';
 import { SwatchRenderer } from './core/SwatchRenderer.js';
 import { ClipboardManager } from './core/ClipboardManager.js';
+import { createExportPalette } from './core/paletteExporters.js';
 import { UIController } from './core/UIController.js';
+import { ContrastAnalyzer } from './core/ContrastAnalyzer.js';
+import { ContrastPanelRenderer } from './core/ContrastPanelRenderer.js';
+import { VisionSimulator } from './core/VisionSimulator.js';
+import { PaletteAnalyzer } from './core/PaletteAnalyzer.js';
+import { DistanceMatrixRenderer } from './core/DistanceMatrixRenderer.js';
+import { DatasetPanel } from './core/DatasetPanel.js';
+import { SeededRandom } from './core/SeededRandom.js';
+import { UrlStateManager } from './core/UrlStateManager.js';
+import { CustomPaletteStore } from './core/CustomPaletteStore.js';
+import { CustomPaletteBuilder } from './core/CustomPaletteBuilder.js';
+import { ThemeComparisonRenderer } from './core/ThemeComparisonRenderer.js';
+import { FallbackDiagnostics } from './core/FallbackDiagnostics.js';
+import { FallbackPanelRenderer } from './core/FallbackPanelRenderer.js';
+import { RampGenerator } from './core/RampGenerator.js';
+import { RampReportRenderer } from './core/RampReportRenderer.js';
+import { ChartExporter } from './core/ChartExporter.js';
+import { ChartDataTableRenderer } from './core/ChartDataTableRenderer.js';
+import { parseCardTemplates } from './core/cardTemplates.js';
+import { THEME_LABELS } from './core/themeSampler.js';
+import { downloadFile } from './core/domUtils.js';
 
 export class ColorPaletteApp {
   constructor() {
-    this.paletteManager = new PaletteManager();
-    this.chartRenderer = new ChartRenderer();
-    this.cardGridRenderer = new CardGridRenderer();
+    this.fallbackDiagnostics = new FallbackDiagnostics();
+    this.paletteManager = new PaletteManager(this.fallbackDiagnostics);
+    this.urlState = new UrlStateManager();
+    this.initialUrlState = this.urlState.read();
+    this.random = new SeededRandom(this.initialUrlState.seed || '1');
+    this.chartRenderer = new ChartRenderer(this.random, this.fallbackDiagnostics);
+    this.cardGridRenderer = new CardGridRenderer(this.random);
+    this.calendarRenderer = new CalendarRenderer(this.random);
+    this.contrastAnalyzer = new ContrastAnalyzer();
+    this.visionSimulator = new VisionSimulator();
+    this.paletteAnalyzer = new PaletteAnalyzer();
+    this.rampGenerator = new RampGenerator();
+    this.chartExporter = new ChartExporter();
+    this.lastPreview = null;
     this.themeKey = 'prismDataVizTheme';
     this.currentTheme = 'light';
     this.isInitialized = false;
+    this.isRestoringState = false;
+    this.customDraftId = null;
     
     // Initialize UI components
     this.initializeComponents();
@@ -28,21 +63,95 @@ export class ColorPaletteApp {
     const chartContainer = document.getElementById('chart-container');
     const copyHexButton = document.getElementById('copy-hex');
     const copyLookerButton = document.getElementById('copy-looker');
+    const contrastPanel = document.getElementById('contrast-panel');
+    const distancePanel = document.getElementById('distance-panel');
     this.themeSelector = document.getElementById('theme-selector');
 
     // Initialize components
     this.swatchRenderer = new SwatchRenderer(swatchArea);
-    this.clipboardManager = new ClipboardManager(copyHexButton, copyLookerButton);
+    this.clipboardManager = new ClipboardManager(copyHexButton, copyLookerButton, {
+      formatSelect: document.getElementById('export-format'),
+      copyButton: document.getElementById('export-copy'),
+      downloadButton: document.getElementById('export-download')
+    });
+    this.contrastPanelRenderer = new ContrastPanelRenderer(contrastPanel);
+    this.distanceMatrixRenderer = new DistanceMatrixRenderer(distancePanel);
+    this.fallbackPanelRenderer = new FallbackPanelRenderer(document.getElementById('fallback-diagnostics'));
+    this.rampReportRenderer = new RampReportRenderer(document.getElementById('ramp-report'));
     this.uiController = new UIController();
+    this.datasetPanel = new DatasetPanel({
+      panel: document.getElementById('dataset-panel'),
+      input: document.getElementById('dataset-input'),
+      fileInput: document.getElementById('dataset-file'),
+      applyButton: document.getElementById('dataset-apply'),
+      clearButton: document.getElementById('dataset-clear'),
+      status: document.getElementById('dataset-status')
+    });
+    this.datasetPanel.onChange = (dataset) => this.handleDatasetChange(dataset);
+    this.customPaletteStore = new CustomPaletteStore();
+    this.paletteManager.setCustomPalettes(this.customPaletteStore.list());
+    this.customPaletteBuilder = new CustomPaletteBuilder({
+      panel: document.getElementById('custom-builder'),
+      nameInput: document.getElementById('custom-name'),
+      typeSelect: document.getElementById('custom-type'),
+      groupSelect: document.getElementById('custom-token-group'),
+      filterInput: document.getElementById('custom-token-filter'),
+      tokenList: document.getElementById('custom-token-list'),
+      colorList: document.getElementById('custom-color-list'),
+      saveButton: document.getElementById('custom-save'),
+      deleteButton: document.getElementById('custom-delete'),
+      exportButton: document.getElementById('custom-export'),
+      importInput: document.getElementById('custom-import'),
+      status: document.getElementById('custom-status')
+    }, this.customPaletteStore);
+    this.customPaletteBuilder.onChange = () => this.update();
+    this.customPaletteBuilder.onSaved = (palette) => this.handleCustomPalettesChange(palette.id);
+    this.customPaletteBuilder.onDeleted = () => this.handleCustomPalettesChange('new');
+    this.customPaletteBuilder.onImported = (palettes) => this.handleCustomPalettesChange(palettes[0].id);
 
     // Set up UI callbacks
     this.uiController.setCallbacks({
       onCategoryChange: () => this.handleCategoryChange(),
       onSubcategoryChange: () => this.update(),
-      onTintCountChange: () => this.update()
+      onTintCountChange: () => this.update(),
+      onSimulationChange: () => this.update(),
+      onAnalysisChange: () => this.update(),
+      onSeedChange: () => this.update(),
+      onReshuffle: () => this.reshuffle(),
+      onDivergingChange: () => this.update(),
+      onRampChange: () => this.update(),
+      onChartTypeChange: () => this.update(),
+      onCompareChange: () => this.update(),
+      onSwatchLabelsChange: () => this.update(),
+      onCardTemplateChange: () => this.update()
     });
+    this.uiController.applyState(this.initialUrlState);
+    this.uiController.setSeed(this.random.seed);
+    this.urlState.onNavigate((urlState) => this.restoreState(urlState));
 
     this.chartContainer = chartContainer;
+    this.chartDataTableRenderer = new ChartDataTableRenderer(document.getElementById('chart-data-table'));
+    this.themeComparisonRenderer = new ThemeComparisonRenderer(
+      document.getElementById('theme-comparison'),
+      this.chartRenderer,
+      this.cardGridRenderer,
+      this.calendarRenderer
+    );
+
+    const exportSvgButton = document.getElementById('preview-export-svg');
+    const exportPngButton = document.getElementById('preview-export-png');
+    if (exportSvgButton) exportSvgButton.addEventListener('click', () => this.exportPreview('svg'));
+    if (exportPngButton) exportPngButton.addEventListener('click', () => this.exportPreview('png'));
+
+    this.cardTemplateStatus = document.getElementById('card-template-status');
+    const cardTemplateImport = document.getElementById('card-template-import');
+    if (cardTemplateImport) {
+      cardTemplateImport.addEventListener('change', () => {
+        const [file] = cardTemplateImport.files || [];
+        if (file) this.importCardTemplates(file);
+        cardTemplateImport.value = '';
+      });
+    }
 
     this.setupThemePreference();
   }
@@ -69,13 +178,13 @@ export class ColorPaletteApp {
     const storedTheme = this.getStoredTheme();
 
     if (!this.themeSelector) {
-      if (storedTheme) {
-        this.applyTheme(storedTheme, { persist: false, triggerUpdate: false });
+      if (this.initialUrlState.theme || storedTheme) {
+        this.applyTheme(this.initialUrlState.theme || storedTheme, { persist: false, triggerUpdate: false });
       }
       return;
     }
 
-    const initialTheme = storedTheme || this.themeSelector.value || 'light';
+    const initialTheme = this.initialUrlState.theme || storedTheme || this.themeSelector.value || 'light';
 
     this.applyTheme(initialTheme, { persist: false, triggerUpdate: false });
     this.themeSelector.value = initialTheme;
@@ -86,6 +195,27 @@ export class ColorPaletteApp {
     });
   }
 
+  /**
+   * Restore the full state from the URL after back/forward navigation
+   */
+  restoreState(urlState) {
+    const state = this.urlState.withDefaults(urlState);
+    this.isRestoringState = true;
+    try {
+      this.uiController.applyState(state);
+      this.applyTheme(state.theme, { persist: false, triggerUpdate: false });
+      this.uiController.updateSubcategoryOptions(this.paletteManager.getAllPalettes());
+      this.update();
+    } finally {
+      this.isRestoringState = false;
+    }
+  }
+
+  reshuffle() {
+    this.uiController.setSeed(SeededRandom.createSeed());
+    this.update();
+  }
+
   getStoredTheme() {
     try {
       return localStorage.getItem(this.themeKey);
@@ -121,11 +251,36 @@ export class ColorPaletteApp {
       this.paletteManager.refresh();
     }
 
+    // Token chips in the custom palette builder show theme values
+    if (this.customPaletteBuilder && this.uiController.getCurrentCategory() === 'custom') {
+      this.customPaletteBuilder.refreshTokens();
+      this.customPaletteBuilder.renderColors();
+    }
+
     if (this.isInitialized && triggerUpdate) {
       this.update();
     }
   }
 
+  handleDatasetChange(dataset) {
+    this.chartRenderer.setDataset(dataset);
+    this.cardGridRenderer.setDataset(dataset);
+    this.calendarRenderer.setDataset(dataset);
+    if (this.isInitialized) {
+      this.update();
+    }
+  }
+
+  /**
+   * Refresh the custom palette list after saving, deleting or importing and select a palette
+   */
+  handleCustomPalettesChange(selectedId) {
+    this.paletteManager.setCustomPalettes(this.customPaletteStore.list());
+    this.uiController.currentSubcategory = selectedId;
+    this.uiController.updateSubcategoryOptions(this.paletteManager.getAllPalettes());
+    this.update();
+  }
+
   handleCategoryChange() {
     this.uiController.updateSubcategoryOptions(this.paletteManager.getAllPalettes());
     this.update();
@@ -133,18 +288,56 @@ export class ColorPaletteApp {
 
   update() {
     const state = this.uiController.getCurrentState();
-    const { category, subcategory, tintCount } = state;
+    const { category, subcategory, simulation, severity, seriesCount, seed } = state;
+
+    // Rewind the shared generator so identical state renders identical sample data
+    this.random.setSeed(seed);
+
+    // Keep the URL shareable; user changes create history entries
+    this.urlState.write(
+      { ...state, theme: this.currentTheme },
+      { push: this.isInitialized && !this.isRestoringState }
+    );
     
     // Update palette info
     this.uiController.updatePaletteInfo(category, subcategory);
 
+    // Configure vision simulation before anything is drawn
+    this.visionSimulator.setMode(simulation, severity / 100);
+    this.swatchRenderer.setColorTransform(
+      this.visionSimulator.isActive() ? (color) => this.visionSimulator.transform(color) : null
+    );
+
     // Get active palette and process it
     const { activePalette, paletteName, paletteType } = this.processActivePalette(state);
+    this.uiController.announcePalette(activePalette.length);
+
+    // Chart chrome tokens are resolved again for every render
+    this.fallbackDiagnostics.clear('chart');
+
+    // Chart archetype (and card template) offered for this palette type
+    const chartType = this.uiController.updateChartTypeOptions(paletteType);
+
+    // Analyze perceptual distances and pick the colors shown in the preview
+    const previewPalette = this.renderDistanceAnalysis(activePalette, paletteType, state);
 
     // Render chart or card grid
-    this.renderVisualization(activePalette, paletteName, paletteType, subcategory);
+    this.renderVisualization(previewPalette, paletteName, paletteType, subcategory, {
+      seriesCount,
+      midpoint: state.midpoint / 100,
+      midpointIndex: previewPalette.findIndex((item) => item.midpoint),
+      compareThemes: state.compareThemes,
+      chartType,
+      cardTemplate: this.uiController.updateCardTemplateOptions(
+        chartType === 'default' && subcategory !== 'figure' ? this.cardGridRenderer.getTemplates(paletteType) : []
+      )
+    });
 
-    // Render swatches
+    // Render swatches, annotated with their tokens when labels are on
+    this.swatchRenderer.setLabelled(
+      state.swatchLabels,
+      getComputedStyle(document.documentElement).getPropertyValue(CHART_THEME_TOKENS.surface[0]).trim() || '#ffffff'
+    );
     this.swatchRenderer.renderSwatches(
       activePalette, 
       paletteType, 
@@ -152,8 +345,17 @@ export class ColorPaletteApp {
       subcategory
     );
 
+    // Warn about categorical colors that collapse under simulation
+    this.updateVisionWarning(activePalette, paletteType);
+
+    // Render contrast matrix
+    this.renderContrastPanel(activePalette, paletteType, subcategory);
+
     // Update clipboard data
-    this.updateClipboardData(activePalette, paletteName);
+    this.updateClipboardData(activePalette, paletteName, paletteType);
+
+    // Report tokens that silently fell back to hard-coded values
+    this.fallbackPanelRenderer.render(this.fallbackDiagnostics.getEntries());
   }
 
   processActivePalette(state) {
@@ -185,44 +387,173 @@ export class ColorPaletteApp {
         break;
 
       case 'status':
-        activePalette = this.processGroupedPalette('status-colors', subcategory, ['critical', 'warning', 'success', 'neutral'], 'status');
+        activePalette = this.processGroupedPalette('status-colors', subcategory);
         paletteName = `status-${subcategory}-colors`;
         paletteType = 'status';
         break;
 
       case 'informational':
-        activePalette = this.processGroupedPalette('informational-colors', subcategory, ['low', 'normal', 'high'], 'informational');
+        activePalette = this.processGroupedPalette('informational-colors', subcategory);
         paletteName = `informational-${subcategory}-colors`;
         paletteType = 'informational';
         break;
 
       case 'intelligence':
-        activePalette = this.processGroupedPalette('intelligence-colors', subcategory, ['low', 'normal', 'high'], 'intelligence');
+        activePalette = this.processGroupedPalette('intelligence-colors', subcategory);
         paletteName = `intelligence-${subcategory}-colors`;
         paletteType = 'intelligence';
         break;
 
       case 'demand':
-        activePalette = this.processGroupedPalette('demand-colors', subcategory, ['very-low', 'low', 'normal', 'elevated', 'high', 'very-high'], 'demand');
+        activePalette = this.processGroupedPalette('demand-colors', subcategory);
         paletteName = `demand-${subcategory}-colors`;
         paletteType = 'demand';
         break;
+
+      case 'diverging': {
+        const preset = DIVERGING_PRESETS[subcategory];
+        activePalette = preset
+          ? this.paletteManager.buildDivergingPalette(preset.negative, preset.positive, {
+            steps: state.divergingSteps,
+            midpoint: state.midpoint / 100
+          })
+          : this.paletteManager.getPalette('parity');
+        this.uiController.setDivergingStepsEnabled(Boolean(preset));
+        paletteName = `diverging-${subcategory}`;
+        paletteType = 'diverging';
+        break;
+      }
+
+      case 'custom': {
+        // Preview the draft being edited, which starts from the selected stored palette
+        if (this.customDraftId !== subcategory) {
+          this.customPaletteBuilder.load(this.customPaletteStore.get(subcategory));
+          this.customDraftId = subcategory;
+        }
+        const draft = this.customPaletteBuilder.draft;
+        activePalette = this.paletteManager.resolveCustomPalette(draft).colors;
+        paletteName = draft.name.trim() || 'custom';
+        paletteType = draft.type;
+        break;
+      }
+
+      case 'ramp':
+        activePalette = this.generateRamp(state).map(item => ({ hex: item.hex, cssVar: item.hex }));
+        paletteName = 'ramp';
+        paletteType = 'sequential';
+        break;
     }
 
     return { activePalette, paletteName, paletteType };
   }
 
-  processGroupedPalette(paletteKey, subcategory, backgroundGroups, namePrefix) {
+  /**
+   * Add card templates from a JSON file and preview the first one
+   */
+  async importCardTemplates(file) {
+    try {
+      const templates = parseCardTemplates(await file.text());
+      this.cardGridRenderer.addTemplates(templates);
+      this.uiController.setCardTemplate(templates[0].id);
+      this.showCardTemplateStatus(`Loaded ${templates.length} card template${templates.length === 1 ? '' : 's'} from ${file.name}.`);
+      this.update();
+    } catch (error) {
+      this.showCardTemplateStatus(error.message, true);
+    }
+  }
+
+  showCardTemplateStatus(message, isError = false) {
+    if (!this.cardTemplateStatus) return;
+    this.cardTemplateStatus.textContent = message;
+    this.cardTemplateStatus.classList.toggle('is-error', isError);
+    this.cardTemplateStatus.hidden = !message;
+  }
+
+  /**
+   * Download the current preview (chart or card grid, or every theme panel when comparing)
+   * as a slide-sized image with a token legend
+   * @param {'svg'|'png'} format
+   */
+  async exportPreview(format) {
+    if (!this.lastPreview || !this.lastPreview.palette.length) return;
+
+    const comparison = this.themeComparisonRenderer.container;
+    const panels = comparison && !comparison.hidden
+      ? Array.from(comparison.querySelectorAll('[data-theme-panel]')).map(panel => {
+        const styles = getComputedStyle(panel);
+        return {
+          element: panel.querySelector('.theme-compare__chart'),
+          label: panel.querySelector('.theme-compare__title').textContent,
+          background: styles.getPropertyValue(CHART_THEME_TOKENS.surface[0]).trim() || null,
+          labelColor: styles.getPropertyValue(CHART_THEME_TOKENS.axisLabel[0]).trim() || null
+        };
+      })
+      : [{ element: this.chartContainer }];
+
+    const theme = this.chartRenderer.getThemeColors();
+    const simulation = this.uiController.visionModeSelect;
+    const subtitle = [
+      `${THEME_LABELS[this.currentTheme] || this.currentTheme} theme`,
+      this.visionSimulator.isActive() && simulation ? `${simulation.selectedOptions[0].textContent} simulation` : null
+    ].filter(Boolean).join(' · ');
+    // The legend lists the colors as drawn: the current theme's values, simulated when a simulation is on
+    const preview = {
+      panels,
+      palette: this.lastPreview.palette.map(item => ({ ...item, hex: this.visionSimulator.transform(item.hex) })),
+      legendLabel: `Colors: ${subtitle}`,
+      title: `${this.uiController.paletteTitle.textContent} · ${this.lastPreview.paletteName}`,
+      subtitle,
+      colors: { background: theme.surface, text: theme.axisLabel, subdued: theme.axisSubdued, border: theme.gridLine }
+    };
+    const fileName = `${this.lastPreview.paletteName.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-preview.${format}`;
+
+    try {
+      if (format === 'png') {
+        downloadFile(await this.chartExporter.buildPNG(preview), fileName, 'image/png');
+      } else {
+        downloadFile(this.chartExporter.buildSVG(preview), fileName, 'image/svg+xml');
+      }
+    } catch (error) {
+      console.error('Failed to export the preview:', error);
+    }
+  }
+
+  /**
+   * Generate the ramp generator's ramp in the current theme and report its checks
+   */
+  generateRamp(state) {
+    const start = this.rampGenerator.resolveSeed(state.rampStart);
+    const end = this.rampGenerator.resolveSeed(state.rampEnd);
+    if (!start || (state.rampEnd && !end)) {
+      const invalid = start ? state.rampEnd : state.rampStart;
+      this.rampReportRenderer.render(null, invalid
+        ? `“${invalid}” is not a color or a Prism color token.`
+        : 'Enter a seed color or a Prism color token.');
+      return [];
+    }
+
+    const ramp = this.rampGenerator.generate({
+      start,
+      end,
+      steps: state.rampSteps,
+      space: state.rampSpace,
+      curve: state.rampCurve
+    });
+    const surface = getComputedStyle(document.documentElement).getPropertyValue(CHART_THEME_TOKENS.surface[0]).trim();
+    this.rampReportRenderer.render(this.rampGenerator.check(ramp, surface || '#ffffff'));
+    return ramp;
+  }
+
+  processGroupedPalette(paletteKey, subcategory) {
     const paletteGroups = this.paletteManager.getPalette(paletteKey) || {};
     
     if (subcategory === 'figure') {
       return paletteGroups['figure'] || [];
     } else {
-      // Use only background colors (default)
+      // Use only background colors (default), in registry family order
       let activePalette = [];
-      backgroundGroups.forEach(groupKey => {
-        const group = paletteGroups[groupKey];
-        if (Array.isArray(group)) {
+      Object.entries(paletteGroups).forEach(([groupKey, group]) => {
+        if (groupKey !== 'figure' && Array.isArray(group)) {
           activePalette.push(...group);
         }
       });
@@ -230,23 +561,109 @@ export class ColorPaletteApp {
     }
   }
 
-  renderVisualization(activePalette, paletteName, paletteType, subcategory) {
-    const paletteValues = activePalette.map((item) => item.hex);
-    const chartConfig = this.chartRenderer.buildChartConfig(paletteValues, paletteName, paletteType, subcategory);
+  renderDistanceAnalysis(activePalette, paletteType, state) {
+    if (paletteType !== 'categorical' || !activePalette.length) {
+      this.distanceMatrixRenderer.render(null);
+      return activePalette;
+    }
+
+    this.paletteAnalyzer.setMetric(state.distanceMetric);
+
+    // Analyze what is actually displayed, including any vision simulation
+    const colors = this.visionSimulator.transformAll(activePalette.map((item) => item.hex));
+    const matrix = this.paletteAnalyzer.computeDistanceMatrix(colors);
+    const count = Math.min(Math.max(state.seriesCount, 1), colors.length);
+    const selected = state.distinguishable
+      ? this.paletteAnalyzer.pickMostDistinguishable(colors, count, matrix)
+      : colors.slice(0, count).map((_, index) => index);
+
+    this.distanceMatrixRenderer.render({
+      colors,
+      labels: activePalette.map((item, index) => this.contrastAnalyzer.getColorLabel(item, index).replace(/^categorical-/, '')),
+      matrix,
+      summary: this.paletteAnalyzer.summarize(matrix),
+      selected,
+      metricLabel: this.paletteAnalyzer.getMetricLabel()
+    });
+
+    return selected.map((index) => activePalette[index]);
+  }
+
+  renderVisualization(activePalette, paletteName, paletteType, subcategory, options = {}) {
+    const { compareThemes, ...chartOptions } = options;
+    this.lastPreview = { palette: activePalette, paletteName };
+    this.chartContainer.hidden = Boolean(compareThemes);
+    this.themeComparisonRenderer.container.hidden = !compareThemes;
+
+    if (compareThemes) {
+      this.chartContainer.innerHTML = '';
+      const referenceConfig = this.themeComparisonRenderer.render({
+        palette: activePalette,
+        paletteName,
+        paletteType,
+        subcategory,
+        options: chartOptions,
+        transform: this.visionSimulator.isActive() ? (color) => this.visionSimulator.transform(color) : null,
+        labels: activePalette.map((item, index) => this.contrastAnalyzer.getColorLabel(item, index))
+      });
+      this.renderDataTable(referenceConfig);
+      return;
+    }
+    this.themeComparisonRenderer.render(null);
+
+    const paletteValues = this.visionSimulator.transformAll(activePalette.map((item) => item.hex));
+    const chartConfig = this.chartRenderer.buildChartConfig(paletteValues, paletteName, paletteType, subcategory, chartOptions);
     
     if (chartConfig.customCardGrid) {
       // Create custom card grid for grouped color types
-      this.cardGridRenderer.createCardGrid(this.chartContainer, chartConfig.colors, paletteName, paletteType);
+      this.cardGridRenderer.createCardGrid(this.chartContainer, chartConfig.colors, paletteName, paletteType, {
+        palette: activePalette,
+        templateId: chartOptions.cardTemplate
+      });
+    } else if (chartConfig.customCalendar) {
+      this.calendarRenderer.render(this.chartContainer, chartConfig.colors, {
+        role: chartConfig.role,
+        palette: activePalette
+      });
     } else {
       this.chartRenderer.renderChart(this.chartContainer, chartConfig);
     }
+    this.renderDataTable(chartConfig);
+  }
+
+  /**
+   * Table alternative for the chart; card grids and calendars are already text
+   */
+  renderDataTable(chartConfig) {
+    const isChart = chartConfig && !chartConfig.customCardGrid && !chartConfig.customCalendar;
+    this.chartDataTableRenderer.render(
+      isChart ? chartConfig : null,
+      `${this.uiController.paletteTitle ? this.uiController.paletteTitle.textContent.trim() : 'Chart'} preview data`
+    );
+  }
+
+  updateVisionWarning(activePalette, paletteType) {
+    if (paletteType !== 'categorical') {
+      this.uiController.updateVisionWarning([]);
+      return;
+    }
+
+    const colors = activePalette.map((item) => item.hex);
+    const labels = activePalette.map((item, index) => this.contrastAnalyzer.getColorLabel(item, index));
+    this.uiController.updateVisionWarning(this.visionSimulator.findCollapsedPairs(colors), labels);
+  }
+
+  renderContrastPanel(activePalette, paletteType, subcategory) {
+    const analysis = this.contrastAnalyzer.analyze(activePalette, paletteType, subcategory);
+    this.contrastPanelRenderer.render(analysis, this.currentTheme);
   }
 
-  updateClipboardData(activePalette, paletteName) {
+  updateClipboardData(activePalette, paletteName, paletteType) {
     const paletteValues = activePalette.map((item) => item.hex);
     const lookerSnippet = this.clipboardManager.generateLookerSnippet(paletteName, paletteValues);
+    const exportPalette = createExportPalette(paletteName, paletteType, activePalette);
     
-    this.clipboardManager.updateData(paletteValues, lookerSnippet);
+    this.clipboardManager.updateData(paletteValues, lookerSnippet, exportPalette);
   }
 }
 
@@ -1,8 +1,17 @@
 import { createPrismAssetResolver } from './core/assetResolver.js';
+import { PaletteRegistry } from './core/PaletteRegistry.js';
+import { DIFF_STATUS, diffPaletteRows, summarizePaletteDiff } from './core/paletteDiff.js';
+import { escapeHTML } from './core/domUtils.js';
 
 const GENERAL_ORDER = ['brand', 'info', 'success', 'warning', 'critical', 'intelligence', 'neutral'];
 const ALPHA_ORDER = ['info', 'success', 'warning', 'critical', 'intelligence', 'neutral', 'brand'];
-const CHART_ORDER = ['info', 'success', 'warning', 'critical', 'intelligence', 'neutral', 'brand-sunset', 'categorical'];
+const CHART_ORDER = [
+  'info', 'success', 'warning', 'critical', 'intelligence', 'neutral', 'brand-sunset', 'categorical',
+  'accent-figure', 'status-background', 'status-figure', 'informational-background', 'informational-figure',
+  'intelligence-background', 'intelligence-figure', 'demand-background', 'demand-figure'
+];
+const CATEGORY_LABELS = { general: 'General', alpha: 'Alpha', chart: 'Chart' };
+const VENDOR_SOURCE_NAME = 'Vendor build';
 
 export class PalettesExplorerApp {
   constructor() {
@@ -13,6 +22,11 @@ export class PalettesExplorerApp {
     this.elements = {};
     this.cssRelativePath = 'styles/lib/tokens.css';
     this.cssResolvedPath = null;
+    // Token sources of the palette diff; the diff is shown once a source to compare with is loaded
+    this.vendorSource = null;
+    this.sources = { base: null, compare: null };
+    this.diff = null;
+    this.diffChangesOnly = false;
   }
 
   async init() {
@@ -52,6 +66,20 @@ export class PalettesExplorerApp {
     if (missing.length) {
       throw new Error(`Missing required elements: ${missing.join(', ')}`);
     }
+
+    const optionalSelectors = {
+      diffBaseInput: '#palette-diff-base',
+      diffBaseName: '#palette-diff-base-name',
+      diffCompareInput: '#palette-diff-compare',
+      diffCompareName: '#palette-diff-compare-name',
+      diffFilter: '#palette-diff-filter',
+      diffChangesOnly: '#palette-diff-changes-only',
+      diffClear: '#palette-diff-clear',
+      diffSummary: '#palette-diff-summary'
+    };
+    Object.entries(optionalSelectors).forEach(([key, selector]) => {
+      this.elements[key] = document.querySelector(selector);
+    });
   }
 
   async loadTokens() {
@@ -81,7 +109,9 @@ export class PalettesExplorerApp {
       }
 
       this.cssResolvedPath = cssPath;
-      this.paletteDescriptors = this.parsePaletteDescriptors(responseText);
+      this.vendorSource = this.createTokenSource(VENDOR_SOURCE_NAME, responseText);
+      this.sources.base = this.vendorSource;
+      this.paletteDescriptors = this.vendorSource.descriptors;
       this.hideLoading();
     } catch (err) {
       this.hideLoading();
@@ -98,6 +128,37 @@ export class PalettesExplorerApp {
     };
   }
 
+  /**
+   * Palette rows of a tokens.css with every swatch value resolved within that file, so two
+   * sources can be compared independently of the stylesheets loaded on the page
+   * @returns {{name: string, descriptors: Object, rows: Object<string, Array>}}
+   */
+  createTokenSource(name, cssText) {
+    const { rootVars } = this.extractCSSVars(cssText, 'light');
+    const descriptors = this.parsePaletteDescriptors(cssText);
+    const rows = {};
+    Object.entries(descriptors).forEach(([category, categoryRows]) => {
+      rows[category] = categoryRows.map(row => ({
+        ...row,
+        swatches: row.swatches.map(swatch => ({ ...swatch, value: this.resolveVarValue(swatch.fallback, rootVars) }))
+      }));
+    });
+    return { name, descriptors, rows };
+  }
+
+  /**
+   * Follow `var(--name, fallback)` references through a set of declarations
+   */
+  resolveVarValue(value, vars, seen = new Set()) {
+    const match = String(value).trim().match(/^var\(\s*(--[\w-]+)\s*(?:,\s*(.+))?\)$/);
+    if (!match) return value;
+    const [, name, fallback] = match;
+    if (seen.has(name)) return value;
+    seen.add(name);
+    if (name in vars) return this.resolveVarValue(vars[name], vars, seen);
+    return fallback ? this.resolveVarValue(fallback, vars, seen) : value;
+  }
+
   extractCSSVars(cssText, theme) {
     const rootVars = {};
     const rootMatch = cssText.match(/:root\s*\{([\s\S]*?)\}/);
@@ -165,27 +226,39 @@ export class PalettesExplorerApp {
   }
 
   buildChartPalettes(vars) {
+    const registry = PaletteRegistry.fromVars(vars);
     const rows = new Map();
+    const pad = (value) => String(value).padStart(2, '0');
 
-    // Sequential palettes
-    Object.entries(vars).forEach(([name, value]) => {
-      const sequentialMatch = name.match(/^--prism-color-chart-sequential-([a-z0-9-]+)-([0-9]{2})$/i);
-      if (sequentialMatch) {
-        const [, family, step] = sequentialMatch;
-        if (!rows.has(family)) rows.set(family, []);
-        rows.get(family).push(this.buildSwatch(step, value, name, step));
-        return;
-      }
-
-      const categoricalMatch = name.match(/^--prism-color-chart-categorical-([0-9]{2})$/i);
-      if (categoricalMatch) {
-        const [, step] = categoricalMatch;
-        if (!rows.has('categorical')) rows.set('categorical', []);
-        rows.get('categorical').push(this.buildSwatch(step, value, name, step));
-      }
+    // Stepped palettes: one row per sequential family plus the categorical set
+    registry.getFamilies('sequential').forEach(family => {
+      const swatches = registry.getTokens({ group: 'sequential', family })
+        .map(entry => this.buildSwatch(pad(entry.step), entry.value, entry.name));
+      rows.set(family, swatches);
     });
 
-    return this.orderRows(rows, CHART_ORDER, this.parseNumericStep, { keepLeadingZero: true });
+    const categorical = registry.getTokens({ group: 'categorical' })
+      .map(entry => this.buildSwatch(pad(entry.step), entry.value, entry.name));
+    if (categorical.length) rows.set('categorical', categorical);
+
+    // Grouped palettes: one row per group and role, labelled by family and level
+    registry.getGroups()
+      .filter(group => group !== 'sequential' && group !== 'categorical')
+      .forEach(group => {
+        const entries = registry.getTokens({ group });
+        const roles = Array.from(new Set(entries.map(entry => entry.role)));
+        roles.forEach(role => {
+          const swatches = entries
+            .filter(entry => entry.role === role)
+            .map((entry, index) => {
+              const label = entry.level && entry.level !== entry.family ? `${entry.family} ${entry.level}` : entry.family;
+              return this.buildSwatch(pad(index + 1), entry.value, entry.name, label);
+            });
+          rows.set(role ? `${group}-${role}` : group, swatches);
+        });
+      });
+
+    return this.orderRows(rows, CHART_ORDER, this.parseNumericStep);
   }
 
   buildSwatch(step, value, cssVarName, displayStep = null) {
@@ -253,6 +326,25 @@ export class PalettesExplorerApp {
       });
     }
 
+    const { diffBaseInput, diffCompareInput, diffChangesOnly, diffClear } = this.elements;
+    [[diffBaseInput, 'base'], [diffCompareInput, 'compare']].forEach(([input, slot]) => {
+      if (!input) return;
+      input.addEventListener('change', async () => {
+        const [file] = input.files;
+        if (file) await this.loadDiffSource(slot, file);
+        input.value = '';
+      });
+    });
+    if (diffChangesOnly) {
+      diffChangesOnly.addEventListener('change', () => {
+        this.diffChangesOnly = diffChangesOnly.checked;
+        this.render();
+      });
+    }
+    if (diffClear) {
+      diffClear.addEventListener('click', () => this.clearDiff());
+    }
+
     this.elements.sideNav.querySelectorAll('a[data-category]').forEach(link => {
       link.addEventListener('click', event => {
         event.preventDefault();
@@ -265,6 +357,53 @@ export class PalettesExplorerApp {
     });
   }
 
+  /**
+   * Load a tokens.css as the base or the compared source of the palette diff
+   * @param {'base'|'compare'} slot
+   * @param {File} file
+   */
+  async loadDiffSource(slot, file) {
+    try {
+      const source = this.createTokenSource(file.name, await file.text());
+      if (!Object.values(source.rows).some(rows => rows.length)) {
+        throw new Error(`No Prism palette tokens found in ${file.name}`);
+      }
+      this.sources[slot] = source;
+    } catch (err) {
+      console.error('[PalettesExplorerApp] Failed to load token source', err);
+      this.showNotification(err.message, true);
+      return;
+    }
+    this.updateDiff();
+  }
+
+  clearDiff() {
+    this.sources = { base: this.vendorSource, compare: null };
+    this.updateDiff();
+  }
+
+  updateDiff() {
+    const { base, compare } = this.sources;
+    this.diff = base && compare
+      ? Object.fromEntries(Object.keys(CATEGORY_LABELS).map(category => [
+        category,
+        diffPaletteRows(base.rows[category] || [], compare.rows[category] || [])
+      ]))
+      : null;
+    this.updateDiffControls();
+    this.render();
+  }
+
+  updateDiffControls() {
+    const { diffBaseName, diffCompareName, diffFilter, diffClear, diffSummary } = this.elements;
+    const { base, compare } = this.sources;
+    if (diffBaseName) diffBaseName.textContent = base ? base.name : VENDOR_SOURCE_NAME;
+    if (diffCompareName) diffCompareName.textContent = compare ? compare.name : 'No file';
+    if (diffFilter) diffFilter.hidden = !this.diff;
+    if (diffClear) diffClear.hidden = !compare && base === this.vendorSource;
+    if (diffSummary && !this.diff) diffSummary.hidden = true;
+  }
+
   applyTheme(theme) {
     if (theme === 'light') {
       document.documentElement.removeAttribute('data-theme');
@@ -286,6 +425,11 @@ export class PalettesExplorerApp {
 
   render() {
     this.updateNavState();
+    if (this.diff) {
+      this.renderDiff();
+      return;
+    }
+
     const descriptors = this.paletteDescriptors[this.currentCategory] || [];
     if (!descriptors.length) {
       this.showEmptyState();
@@ -346,6 +490,95 @@ export class PalettesExplorerApp {
     `;
   }
 
+  /**
+   * Palette rows of the current category as a diff of the two token sources
+   */
+  renderDiff() {
+    const allRows = this.diff[this.currentCategory] || [];
+    const rows = this.diffChangesOnly ? allRows.filter(row => row.status !== DIFF_STATUS.unchanged) : allRows;
+    this.renderDiffSummary(allRows);
+
+    this.elements.emptyState.style.display = 'none';
+    this.elements.paletteGrid.style.display = 'flex';
+    this.elements.paletteGrid.innerHTML = rows.length
+      ? rows.map(row => this.renderDiffRow(row)).join('')
+      : `<p class="palette-diff__empty">No differences in ${CATEGORY_LABELS[this.currentCategory]} palettes.</p>`;
+  }
+
+  renderDiffSummary(rows) {
+    const { diffSummary } = this.elements;
+    if (!diffSummary) return;
+
+    const summary = summarizePaletteDiff(rows);
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const rowParts = [DIFF_STATUS.changed, DIFF_STATUS.added, DIFF_STATUS.removed, DIFF_STATUS.renamed]
+      .filter(status => summary.rows[status])
+      .map(status => `${summary.rows[status]} ${status}`);
+    const stepParts = [DIFF_STATUS.changed, DIFF_STATUS.added, DIFF_STATUS.removed]
+      .filter(status => summary.steps[status])
+      .map(status => `${summary.steps[status]} ${status}`);
+
+    const parts = [`${CATEGORY_LABELS[this.currentCategory]} palettes, light theme values`];
+    parts.push(rowParts.length ? `${plural(rows.length, 'row')}: ${rowParts.join(', ')}` : 'no differences');
+    if (stepParts.length) {
+      const maxDelta = summary.maxDeltaE ? ` (max ΔE ${summary.maxDeltaE.toFixed(1)})` : '';
+      parts.push(`steps: ${stepParts.join(', ')}${maxDelta}`);
+    }
+    diffSummary.textContent = `${parts.join(' · ')}.`;
+    diffSummary.hidden = false;
+  }
+
+  renderDiffRow(row) {
+    const badges = {
+      [DIFF_STATUS.unchanged]: 'Unchanged',
+      [DIFF_STATUS.changed]: 'Changed',
+      [DIFF_STATUS.added]: 'Added',
+      [DIFF_STATUS.removed]: 'Removed',
+      [DIFF_STATUS.renamed]: row.previous ? `Renamed from ${row.previous.label}` : 'Renamed'
+    };
+
+    const stepsMarkup = row.steps.map(step => {
+      const swatch = step.after || step.before;
+      const label = `${row.label} ${swatch.displayStep}`;
+      const before = step.before ? step.before.value : 'none';
+      const after = step.after ? step.after.value : 'none';
+      const delta = step.deltaE ? `ΔE ${step.deltaE.toFixed(1)}` : '';
+      const marker = {
+        [DIFF_STATUS.added]: 'Added',
+        [DIFF_STATUS.removed]: 'Removed',
+        [DIFF_STATUS.changed]: delta || 'Changed'
+      }[step.status] || '';
+      const description = step.status === DIFF_STATUS.unchanged
+        ? `${label}: ${after}, unchanged`
+        : `${label}: ${before} → ${after}${delta ? `, ${delta}` : ''}`;
+
+      return `
+        <div class="palette-diff-step is-${step.status}" role="listitem" title="${escapeHTML(description)}" aria-label="${escapeHTML(description)}">
+          <span class="palette-diff-step__preview">
+            <span class="palette-diff-step__before" style="background:${step.before ? escapeHTML(step.before.value) : 'transparent'};"></span>
+            <span class="palette-diff-step__after" style="background:${step.after ? escapeHTML(step.after.value) : 'transparent'};"></span>
+          </span>
+          <span class="palette-diff-step__meta">
+            <span class="palette-swatch__step">${escapeHTML(swatch.displayStep)}</span>
+            <span class="palette-diff-step__delta">${marker}</span>
+          </span>
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <section class="palette-row palette-diff-row is-${row.status}" data-palette-id="${escapeHTML(row.id)}">
+        <div class="palette-row__header">
+          <h4 class="palette-row__title">${escapeHTML(row.label)}</h4>
+          <span class="palette-diff__badge palette-diff__badge--${row.status}">${escapeHTML(badges[row.status])}</span>
+        </div>
+        <div class="palette-diff-row__steps" role="list">
+          ${stepsMarkup}
+        </div>
+      </section>
+    `;
+  }
+
   attachSwatchHandlers() {
     const swatches = this.elements.paletteGrid.querySelectorAll('.palette-swatch');
     swatches.forEach(button => {
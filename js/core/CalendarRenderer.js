@@ -0,0 +1,199 @@
+/**
+ * CalendarRenderer - Renders demand colors as a month calendar, the way the product shows demand
+ * Background colors fill the day cells; figure colors draw a demand bar on a neutral cell.
+ */
+import { SeededRandom } from './SeededRandom.js';
+import { extractVarName } from './colorUtils.js';
+import { escapeHTML } from './domUtils.js';
+
+// Weeks start on Monday
+const WEEK_START = 1;
+// Shortest figure bar, so low demand days still show their color
+const MIN_BAR_WIDTH = 8;
+
+const formatLevel = (family) => family
+  .split('-')
+  .map((word, index) => (index ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+  .join(' ');
+
+export class CalendarRenderer {
+  constructor(random = new SeededRandom()) {
+    this.random = random;
+    this.dataset = null;
+    this.dateFormat = new Intl.DateTimeFormat(undefined, { weekday: 'long', day: 'numeric', month: 'long' });
+    this.monthFormat = new Intl.DateTimeFormat(undefined, { month: 'long', year: 'numeric' });
+    this.weekdayFormat = new Intl.DateTimeFormat(undefined, { weekday: 'short' });
+    this.weekdayLongFormat = new Intl.DateTimeFormat(undefined, { weekday: 'long' });
+    this.numberFormat = new Intl.NumberFormat(undefined, { maximumFractionDigits: 1 });
+  }
+
+  /**
+   * Use an uploaded dataset (first series, one value per day), or null to restore the samples
+   */
+  setDataset(dataset) {
+    this.dataset = dataset || null;
+  }
+
+  /**
+   * Demand per day of the month: uploaded values, or sampled occupancy with busier Friday and Saturday nights
+   * @returns {Array<{value: number, label: string}>}
+   */
+  buildDays(year, month) {
+    const dayCount = new Date(year, month + 1, 0).getDate();
+
+    if (this.dataset) {
+      const values = this.dataset.series[0].data;
+      return Array.from({ length: dayCount }, (_, index) => {
+        const value = values[index % values.length];
+        return { value, label: this.numberFormat.format(value) };
+      });
+    }
+
+    return Array.from({ length: dayCount }, (_, index) => {
+      const weekday = new Date(year, month, index + 1).getDay();
+      const isWeekend = weekday === 5 || weekday === 6;
+      const value = Math.min(100, this.random.int(30, 80) + (isWeekend ? this.random.int(10, 20) : 0));
+      return { value, label: `${value}%` };
+    });
+  }
+
+  /**
+   * Demand level index per day: the value range is split into one equal band per color
+   */
+  assignLevels(days, levelCount) {
+    const values = days.map(day => day.value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return values.map(value => (max > min
+      ? Math.min(levelCount - 1, Math.floor(((value - min) / (max - min)) * levelCount))
+      : Math.floor(levelCount / 2)));
+  }
+
+  renderWeekdays() {
+    // 2024-01-01 was a Monday
+    return Array.from({ length: 7 }, (_, index) => {
+      const date = new Date(2024, 0, WEEK_START + index);
+      return `<th scope="col" abbr="${this.weekdayLongFormat.format(date)}" class="demand-calendar__weekday">${this.weekdayFormat.format(date)}</th>`;
+    }).join('');
+  }
+
+  renderDay(date, day, level, isToday, role, maxValue) {
+    const detail = `${this.dateFormat.format(date)} · ${level.label} demand · ${day.label}`;
+    const width = Math.max(MIN_BAR_WIDTH, Math.round((day.value / maxValue) * 100));
+    const fill = role === 'figure'
+      ? `<span class="demand-calendar__bar" style="background-color: ${level.color}; width: ${width}%;"></span>`
+      : '';
+
+    return `
+      <td class="demand-calendar__day${isToday ? ' is-today' : ''}"${isToday ? ' aria-current="date"' : ''}
+        style="${role === 'figure' ? '' : `background-color: ${level.color};`}"
+        data-detail="${escapeHTML(detail)}" data-token="${escapeHTML(level.token)}" tabindex="0">
+        <span class="demand-calendar__date">${date.getDate()}</span>
+        <span class="demand-calendar__value">${day.label}</span>
+        <span class="visually-hidden">${escapeHTML(level.label)} demand</span>
+        ${fill}
+      </td>
+    `;
+  }
+
+  /**
+   * Render the month containing `today`
+   * @param {HTMLElement} container
+   * @param {string[]} colors - One color per demand level, lowest first
+   * @param {Object} options
+   * @param {'background'|'figure'} [options.role]
+   * @param {Array<{family?: string, cssVar?: string}>} [options.palette] - Palette items matching `colors`
+   * @param {Date} [options.today]
+   */
+  render(container, colors, { role = 'background', palette = null, today = new Date() } = {}) {
+    container.innerHTML = '';
+    if (!colors.length) return;
+
+    const year = today.getFullYear();
+    const month = today.getMonth();
+    const days = this.buildDays(year, month);
+    // One level per demand family (its first token)
+    const seen = new Set();
+    const levels = colors
+      .map((color, index) => {
+        const item = palette && palette[index];
+        return {
+          color,
+          family: item && item.family ? item.family : `level-${index + 1}`,
+          label: item && item.family ? formatLevel(item.family) : `Level ${index + 1}`,
+          token: (item && extractVarName(item.cssVar)) || color
+        };
+      })
+      .filter(level => !seen.has(level.family) && seen.add(level.family));
+    const assignments = this.assignLevels(days, levels.length);
+    const maxValue = Math.max(...days.map(day => day.value)) || 1;
+
+    // Blank cells before the first day so it lands under its weekday
+    const leading = (new Date(year, month, 1).getDay() - WEEK_START + 7) % 7;
+    const cells = [
+      ...Array.from({ length: leading }, () => '<td class="demand-calendar__blank"></td>'),
+      ...days.map((day, index) => this.renderDay(
+        new Date(year, month, index + 1),
+        day,
+        levels[assignments[index]],
+        index + 1 === today.getDate(),
+        role,
+        maxValue
+      ))
+    ];
+    while (cells.length % 7) cells.push('<td class="demand-calendar__blank"></td>');
+
+    const weeks = [];
+    for (let index = 0; index < cells.length; index += 7) {
+      weeks.push(`<tr>${cells.slice(index, index + 7).join('')}</tr>`);
+    }
+
+    container.innerHTML = `
+      <div class="demand-calendar demand-calendar--${role}">
+        <table class="demand-calendar__table">
+          <caption class="demand-calendar__title">${this.monthFormat.format(today)}</caption>
+          <thead><tr>${this.renderWeekdays()}</tr></thead>
+          <tbody>${weeks.join('')}</tbody>
+        </table>
+        <ul class="demand-calendar__legend">
+          ${levels.map(level => `
+            <li><span class="demand-calendar__chip" style="background-color: ${escapeHTML(level.color)};"></span>${escapeHTML(level.label)}</li>
+          `).join('')}
+        </ul>
+        <div class="demand-calendar__tooltip" role="tooltip" hidden></div>
+      </div>
+    `;
+
+    this.bindTooltip(container.querySelector('.demand-calendar'));
+  }
+
+  /**
+   * Hover and focus details: date, demand level, value and the token of the day's color
+   */
+  bindTooltip(calendar) {
+    const tooltip = calendar.querySelector('.demand-calendar__tooltip');
+    const hide = () => {
+      tooltip.hidden = true;
+    };
+    const show = (event) => {
+      const day = event.target.closest('.demand-calendar__day');
+      if (!day) return;
+      const rect = day.getBoundingClientRect();
+      const origin = calendar.getBoundingClientRect();
+      const token = document.createElement('code');
+      token.textContent = day.dataset.token;
+      tooltip.replaceChildren(day.dataset.detail, document.createElement('br'), token);
+      tooltip.style.left = `${rect.left - origin.left + rect.width / 2}px`;
+      tooltip.style.top = `${rect.top - origin.top}px`;
+      tooltip.hidden = false;
+    };
+
+    calendar.addEventListener('mouseover', show);
+    calendar.addEventListener('focusin', show);
+    calendar.addEventListener('mouseleave', hide);
+    calendar.addEventListener('focusout', hide);
+    calendar.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') hide();
+    });
+  }
+}
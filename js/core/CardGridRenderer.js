@@ -1,164 +1,229 @@
 /**
  * CardGridRenderer - Handles rendering card grids for background color previews
- * Supports different card types for various palette categories
+ * Cards are built from templates (see cardTemplates.js) mirroring the product widgets
+ * the background palettes color.
  */
+import { SeededRandom } from './SeededRandom.js';
+import { BUILT_IN_CARD_TEMPLATES, normalizeCardTemplate, parseCardNumber } from './cardTemplates.js';
+import { escapeHTML } from './domUtils.js';
+
 export class CardGridRenderer {
-  constructor() {
-    this.cardConfigs = {
-      status: {
-        data: [
-          { value: '€ 120', subtitle: '-19% vs. Comp' },
-          { value: '€ 85', subtitle: '+5% vs. Comp' },
-          { value: '€ 95', subtitle: '+12% vs. Comp' },
-          { value: '€ 110', subtitle: '-8% vs. Comp' },
-          { value: '€ 75', subtitle: '+22% vs. Comp' },
-          { value: '€ 130', subtitle: '-15% vs. Comp' },
-          { value: '€ 90', subtitle: '+3% vs. Comp' },
-          { value: '€ 105', subtitle: '+8% vs. Comp' },
-          { value: '€ 115', subtitle: '-12% vs. Comp' }
-        ],
-        colorMapping: [
-          { start: 0, end: 2, type: 'critical' },
-          { start: 2, end: 4, type: 'warning' },
-          { start: 4, end: 6, type: 'success' },
-          { start: 6, end: 7, type: 'neutral' }
-        ]
-      },
-      informational: {
-        data: [
-          { value: '92%', subtitle: 'Data Quality' },
-          { value: '47', subtitle: 'Info Sources' },
-          { value: '1.2k', subtitle: 'Records Updated' },
-          { value: '8.5m', subtitle: 'Data Points' },
-          { value: '99.7%', subtitle: 'Accuracy Rate' },
-          { value: '15s', subtitle: 'Sync Time' },
-          { value: '234', subtitle: 'Active Feeds' },
-          { value: '3.2TB', subtitle: 'Storage Used' },
-          { value: '24/7', subtitle: 'Monitoring' }
-        ],
-        colorMapping: [
-          { start: 0, end: 2, type: 'low' },
-          { start: 2, end: 4, type: 'normal' },
-          { start: 4, end: 6, type: 'high' }
-        ]
-      },
-      intelligence: {
-        data: [
-          { value: '87%', subtitle: 'AI Accuracy' },
-          { value: '234', subtitle: 'Models Active' },
-          { value: '1.8s', subtitle: 'Response Time' },
-          { value: '95%', subtitle: 'Confidence' },
-          { value: '12k', subtitle: 'Predictions/hr' },
-          { value: '99.2%', subtitle: 'Uptime' },
-          { value: '47', subtitle: 'Features Used' },
-          { value: '3.4GB', subtitle: 'Model Size' },
-          { value: '24/7', subtitle: 'Learning' }
-        ],
-        colorMapping: [
-          { start: 0, end: 2, type: 'low' },
-          { start: 2, end: 4, type: 'normal' },
-          { start: 4, end: 6, type: 'high' }
-        ]
-      },
-      demand: {
-        data: [
-          { value: '12%', subtitle: 'Very Low' },
-          { value: '28%', subtitle: 'Low Demand' },
-          { value: '45%', subtitle: 'Normal' },
-          { value: '67%', subtitle: 'Elevated' },
-          { value: '84%', subtitle: 'High Demand' },
-          { value: '96%', subtitle: 'Very High' },
-          { value: '38%', subtitle: 'Peak Hours' },
-          { value: '52%', subtitle: 'Off Peak' },
-          { value: '71%', subtitle: 'Weekend' }
-        ],
-        colorMapping: [
-          { start: 0, end: 1, type: 'very-low' },
-          { start: 1, end: 2, type: 'low' },
-          { start: 2, end: 3, type: 'normal' },
-          { start: 3, end: 4, type: 'elevated' },
-          { start: 4, end: 5, type: 'high' },
-          { start: 5, end: 6, type: 'very-high' }
-        ]
-      }
+  constructor(random = new SeededRandom()) {
+    this.random = random;
+    this.templates = new Map();
+    this.addTemplates(BUILT_IN_CARD_TEMPLATES.map(normalizeCardTemplate));
+    this.dataset = null;
+    this.numberFormat = new Intl.NumberFormat(undefined, { maximumFractionDigits: 1 });
+  }
+
+  /**
+   * Register templates; a template with an existing id replaces it
+   * @param {Object[]} templates - Normalized templates
+   */
+  addTemplates(templates) {
+    templates.forEach(template => this.templates.set(template.id, template));
+  }
+
+  /**
+   * Templates available for a palette type
+   * @returns {Array<{id: string, label: string}>}
+   */
+  getTemplates(paletteType) {
+    return Array.from(this.templates.values())
+      .filter(template => template.paletteTypes.includes(paletteType))
+      .map(({ id, label }) => ({ id, label }));
+  }
+
+  /**
+   * The requested template when it applies to the palette type, otherwise the type's first template
+   */
+  getTemplate(paletteType, templateId = null) {
+    const templates = Array.from(this.templates.values());
+    const applicable = templates.filter(template => template.paletteTypes.includes(paletteType));
+    return applicable.find(template => template.id === templateId) || applicable[0] || templates[0];
+  }
+
+  /**
+   * Use an uploaded dataset for the card values, or null to restore the samples
+   */
+  setDataset(dataset) {
+    this.dataset = dataset || null;
+  }
+
+  /**
+   * One color scale per palette family, with the body and footer tokens picked by the template roles
+   * @param {string[]} colors
+   * @param {Array<{family?: string, level?: string}>|null} palette - Palette items matching `colors`
+   */
+  buildColorScales(colors, palette, roles) {
+    const families = new Map();
+    colors.forEach((color, index) => {
+      const item = palette && palette[index];
+      const family = (item && item.family) || `color-${index + 1}`;
+      if (!families.has(family)) families.set(family, []);
+      families.get(family).push({ color, level: item ? item.level : null });
+    });
+
+    const pick = (tokens, role) => {
+      if (role === 'last') return tokens[tokens.length - 1].color;
+      const token = role === 'first' ? null : tokens.find(entry => entry.level === role);
+      return (token || tokens[0]).color;
+    };
+
+    return Array.from(families, ([type, tokens]) => ({
+      type,
+      bodyColor: pick(tokens, roles.body),
+      footerColor: roles.footer ? pick(tokens, roles.footer) : null
+    }));
+  }
+
+  /**
+   * Rank cards by value and split them into one bucket per color scale,
+   * zero values map to the neutral (empty) scale when the palette has one.
+   * @returns {number[]} Scale index per card
+   */
+  rankAssignments(values, colorScales, neutralType) {
+    const neutralIndex = colorScales.findIndex(scale => scale.type === neutralType);
+    const rankedIndexes = colorScales.map((_, index) => index).filter(index => index !== neutralIndex);
+    if (!rankedIndexes.length) return values.map(() => neutralIndex);
+
+    const nonEmpty = values
+      .map((value, index) => ({ value: value ?? 0, index }))
+      .filter(entry => entry.value !== 0 || neutralIndex === -1)
+      .sort((a, b) => a.value - b.value);
+
+    const assignments = new Array(values.length).fill(neutralIndex);
+    nonEmpty.forEach((entry, rank) => {
+      const bucket = Math.min(rankedIndexes.length - 1, Math.floor((rank / nonEmpty.length) * rankedIndexes.length));
+      assignments[entry.index] = rankedIndexes[bucket];
+    });
+    return assignments;
+  }
+
+  /**
+   * Cards from the uploaded dataset: the value goes in the template's first field,
+   * the category in the second
+   */
+  buildDatasetCards(template, colorScales, neutralType) {
+    const { categories, series } = this.dataset;
+    const values = series[0].data;
+    const [valueField, labelField] = template.fields;
+
+    return {
+      cards: categories.map((category, index) => ({
+        [valueField.key]: this.numberFormat.format(values[index]),
+        ...(labelField ? { [labelField.key]: category } : {})
+      })),
+      assignments: this.rankAssignments(values, colorScales, neutralType)
     };
   }
 
   /**
-   * Shuffle array for random distribution
+   * Template cards with their color scale: explicit family, rank of `colorBy`, or shuffled round-robin
+   */
+  buildTemplateCards(template, colorScales, neutralType) {
+    const cards = Array.from({ length: template.count }, (_, index) => template.cards[index % template.cards.length]);
+
+    if (template.colorBy) {
+      const values = cards.map(card => parseCardNumber(card[template.colorBy]));
+      return { cards, assignments: this.rankAssignments(values, colorScales, neutralType) };
+    }
+
+    if (cards.some(card => card.family)) {
+      return {
+        cards,
+        assignments: cards.map((card, index) => {
+          const scaleIndex = colorScales.findIndex(scale => scale.type === card.family);
+          return scaleIndex === -1 ? index % colorScales.length : scaleIndex;
+        })
+      };
+    }
+
+    const roundRobin = cards.map((_, index) => index % colorScales.length);
+    return { cards: this.shuffleArray(cards), assignments: this.shuffleArray(roundRobin) };
+  }
+
+  /**
+   * Shuffle array using the shared seeded generator
    */
   shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    return this.random.shuffle(array);
+  }
+
+  // Field values come from uploaded datasets and imported templates: always escaped
+  renderFields(card, fields) {
+    return fields.map(field => `
+      <div class="${field.size === 'large' ? 'status-card__value' : 'status-card__subtitle'}">${escapeHTML(card[field.key])}</div>
+    `).join('');
+  }
+
+  renderCard(card, scale, template) {
+    // Special handling for neutral (empty) cards
+    if (template.empty && scale.type === template.empty.family) {
+      return `
+        <div class="status-card" role="listitem" style="background-color: ${scale.bodyColor};">
+          <div class="status-card__body">
+            <div class="status-card__value">${escapeHTML(template.empty.text)}</div>
+          </div>
+        </div>
+      `;
     }
-    return shuffled;
+
+    const bodyFields = template.fields.filter(field => field.slot === 'body');
+    const footerFields = template.fields.filter(field => field.slot === 'footer');
+    const footer = scale.footerColor && footerFields.length
+      ? `
+        <div class="status-card__footer" style="background-color: ${scale.footerColor};">
+          ${this.renderFields(card, footerFields)}
+        </div>
+      `
+      : '';
+
+    return `
+      <div class="status-card" role="listitem" style="background-color: ${scale.bodyColor};">
+        <div class="status-card__body">
+          ${this.renderFields(card, bodyFields)}
+        </div>
+        <span class="visually-hidden">${escapeHTML(scale.type.replace(/-/g, ' '))}</span>
+        ${footer}
+      </div>
+    `;
   }
 
   /**
    * Create card grid for a specific card type
+   * @param {HTMLElement} container
+   * @param {string[]} colors - Background colors, family by family
+   * @param {string} paletteName
+   * @param {string} cardType - Palette type
+   * @param {Object} options
+   * @param {Array<{family?: string, level?: string}>} [options.palette] - Palette items matching `colors`
+   * @param {string} [options.templateId]
    */
-  createCardGrid(container, colors, paletteName, cardType = 'status') {
+  createCardGrid(container, colors, paletteName, cardType = 'status', options = {}) {
     container.innerHTML = '';
-    
-    const config = this.cardConfigs[cardType] || this.cardConfigs.status;
-    
-    // Create color scales from mapping
-    const colorScales = config.colorMapping.map(mapping => {
-      const bodyColor = colors[mapping.start];
-      const footerColor = colors[mapping.end - 1] || bodyColor;
-      return {
-        bodyColor,
-        footerColor,
-        type: mapping.type
-      };
-    }).filter(scale => scale.bodyColor);
-    
-    // Shuffle the card data
-    const shuffledCardData = this.shuffleArray(config.data);
-    
-    // Create a shuffled color assignment array
-    const colorAssignments = [];
-    for (let i = 0; i < config.data.length; i++) {
-      colorAssignments.push(i % colorScales.length);
-    }
-    const shuffledColorAssignments = this.shuffleArray(colorAssignments);
-    
-    // Create card grid HTML
-    const cardGridHTML = `
+
+    const template = this.getTemplate(cardType, options.templateId);
+    if (!template || !colors.length) return;
+
+    const colorScales = this.buildColorScales(colors, options.palette || null, template.roles);
+    const neutralType = template.empty ? template.empty.family : 'neutral';
+    const { cards, assignments } = this.dataset
+      ? this.buildDatasetCards(template, colorScales, neutralType)
+      : this.buildTemplateCards(template, colorScales, neutralType);
+
+    const cardsHTML = cards.map((card, index) => {
+      const scale = colorScales[assignments[index]] || colorScales[0];
+      return this.renderCard(card, scale, template);
+    }).join('');
+
+    container.innerHTML = `
       <div class="card-grid-preview">
-        <div class="card-grid">
-          ${shuffledCardData.map((data, index) => {
-            const scaleIndex = shuffledColorAssignments[index];
-            const scale = colorScales[scaleIndex] || { bodyColor: colors[0], footerColor: colors[1] || colors[0] };
-            
-            // Special handling for neutral (empty) cards
-            if (scale.type === 'neutral') {
-              return `
-                <div class="status-card" style="background-color: ${scale.bodyColor};">
-                  <div class="status-card__body">
-                    <div class="status-card__value">Empty</div>
-                  </div>
-                </div>
-              `;
-            }
-            
-            return `
-              <div class="status-card" style="background-color: ${scale.bodyColor};">
-                <div class="status-card__body">
-                  <div class="status-card__value">${data.value}</div>
-                </div>
-                <div class="status-card__footer" style="background-color: ${scale.footerColor};">
-                  <div class="status-card__subtitle">${data.subtitle}</div>
-                </div>
-              </div>
-            `;
-          }).join('')}
+        <div class="card-grid card-grid--${template.layout.variant}" role="list" data-template="${escapeHTML(template.id)}"
+          style="grid-template-columns: repeat(${template.layout.columns}, 1fr);">
+          ${cardsHTML}
         </div>
       </div>
     `;
-    
-    container.innerHTML = cardGridHTML;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,122 @@
+/**
+ * ChartDataTableRenderer - Renders the data behind a Highcharts preview as a table
+ * Screen reader and keyboard users get the values the chart only shows visually.
+ */
+import { escapeHTML } from './domUtils.js';
+
+export class ChartDataTableRenderer {
+  constructor(container) {
+    this.container = container;
+    this.numberFormat = new Intl.NumberFormat(undefined, { maximumFractionDigits: 1 });
+  }
+
+  /**
+   * Axis options used by a series (charts with several panes have one axis per pane)
+   */
+  getAxis(axes, index = 0) {
+    if (Array.isArray(axes)) return axes[index] || axes[0] || {};
+    return axes || {};
+  }
+
+  /**
+   * Normalize a Highcharts point (number, [x, y], [x, y, z] or object) to an object
+   */
+  normalizePoint(point) {
+    if (typeof point === 'number' || point === null) return { y: point };
+    if (Array.isArray(point)) {
+      const [x, y, z] = point;
+      return point.length === 1 ? { y: x } : { x, y, z };
+    }
+    return point || {};
+  }
+
+  categoryLabel(categories, index) {
+    return (categories && categories[index] !== undefined) ? categories[index] : index;
+  }
+
+  format(value) {
+    return typeof value === 'number' ? this.numberFormat.format(value) : (value ?? '–');
+  }
+
+  /**
+   * Rows of the table: one per point, labelled by point name, category or grid cell
+   */
+  buildRows(config) {
+    return (config.series || []).flatMap((series, seriesIndex) => {
+      const xCategories = this.getAxis(config.xAxis, series.xAxis).categories || null;
+      const yCategories = this.getAxis(config.yAxis, series.yAxis).categories || null;
+
+      return (series.data || []).map((raw, pointIndex) => {
+        const point = this.normalizePoint(raw);
+        const x = point.x ?? pointIndex;
+        let label;
+        let value;
+
+        if (point.value !== undefined) {
+          // Heatmap and treemap cells carry their value separately from the position
+          label = point.name || (point.x !== undefined
+            ? `${this.categoryLabel(xCategories, point.x)} · ${this.categoryLabel(yCategories, point.y)}`
+            : `${pointIndex + 1}`);
+          value = point.value;
+        } else {
+          label = point.name || (xCategories ? xCategories[x] : null) || (point.x !== undefined ? `x = ${point.x}` : `${pointIndex + 1}`);
+          value = point.y;
+        }
+
+        return {
+          series: series.name || `Series ${seriesIndex + 1}`,
+          label,
+          value,
+          size: point.z
+        };
+      });
+    });
+  }
+
+  /**
+   * @param {Object|null} config - Highcharts config of the preview, or null to clear the table
+   * @param {string} caption
+   */
+  render(config, caption = '') {
+    if (!this.container) return;
+
+    const rows = config ? this.buildRows(config) : [];
+    if (!rows.length) {
+      this.container.innerHTML = '';
+      return;
+    }
+
+    // Keep the table open across re-renders
+    const details = this.container.querySelector('details');
+    const isOpen = Boolean(details && details.open);
+    const hasSize = rows.some(row => row.size !== undefined);
+    this.container.innerHTML = `
+      <details class="chart-data-table__details"${isOpen ? ' open' : ''}>
+        <summary>Data table</summary>
+        <div class="chart-data-table__scroll">
+          <table class="chart-data-table__table">
+            <caption>${escapeHTML(caption)}</caption>
+            <thead>
+              <tr>
+                <th scope="col">Series</th>
+                <th scope="col">Point</th>
+                <th scope="col">Value</th>
+                ${hasSize ? '<th scope="col">Size</th>' : ''}
+              </tr>
+            </thead>
+            <tbody>
+              ${rows.map(row => `
+                <tr>
+                  <td>${escapeHTML(row.series)}</td>
+                  <th scope="row">${escapeHTML(row.label)}</th>
+                  <td>${escapeHTML(this.format(row.value))}</td>
+                  ${hasSize ? `<td>${escapeHTML(this.format(row.size))}</td>` : ''}
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      </details>
+    `;
+  }
+}
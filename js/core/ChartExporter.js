@@ -0,0 +1,220 @@
+/**
+ * ChartExporter - Exports the palette preview as a slide-sized SVG or PNG
+ * The rendered chart (Highcharts SVG, card grid or demand calendar) is placed next to a legend listing each
+ * color's token name and hex, so exported images keep the token references.
+ */
+import { extractVarName } from './colorUtils.js';
+import { escapeHTML } from './domUtils.js';
+
+// 16:9 slide; PNGs are rendered at twice the size so they stay sharp on high-density screens
+export const SLIDE_SIZE = Object.freeze({ width: 1920, height: 1080 });
+const PNG_SCALE = 2;
+const PADDING = 80;
+const HEADER_HEIGHT = 130;
+const LEGEND_WIDTH = 600;
+const LEGEND_GAP = 48;
+const PANEL_LABEL_HEIGHT = 36;
+const LEGEND_LABEL_HEIGHT = 44;
+const FONT_FAMILY = "'Inter', Arial, sans-serif";
+
+// HTML previews redrawn as SVG: the cells, the colored shape inside each cell and the texts
+const CARD_GRID_PARTS = Object.freeze({
+  inner: '.status-card__footer',
+  texts: '.status-card__value, .status-card__subtitle',
+  labels: null
+});
+const CALENDAR_PARTS = Object.freeze({
+  inner: '.demand-calendar__bar',
+  texts: '.demand-calendar__date, .demand-calendar__value',
+  labels: '.demand-calendar__title, .demand-calendar__weekday'
+});
+
+export class ChartExporter {
+  /**
+   * Vector markup for a rendered Highcharts chart, fitted into a box
+   */
+  renderChartSVG(svg, box) {
+    const width = parseFloat(svg.getAttribute('width')) || svg.clientWidth || box.width;
+    const height = parseFloat(svg.getAttribute('height')) || svg.clientHeight || box.height;
+    const clone = svg.cloneNode(true);
+    // Tooltips are transient and would freeze wherever the pointer last was
+    clone.querySelectorAll('.highcharts-tooltip, .highcharts-tracker-line').forEach(node => node.remove());
+    clone.setAttribute('x', box.x);
+    clone.setAttribute('y', box.y);
+    clone.setAttribute('width', box.width);
+    clone.setAttribute('height', box.height);
+    clone.setAttribute('viewBox', svg.getAttribute('viewBox') || `0 0 ${width} ${height}`);
+    clone.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+    clone.removeAttribute('style');
+    return new XMLSerializer().serializeToString(clone);
+  }
+
+  /**
+   * Redraw an HTML preview (card grid or calendar) as SVG shapes from its laid-out position and computed styles
+   */
+  renderHtmlPreviewSVG(element, cells, box, id, parts = CARD_GRID_PARTS) {
+    const origin = element.getBoundingClientRect();
+    const width = Math.max(origin.width, 1);
+    const height = Math.max(origin.height, 1);
+
+    const renderText = (node) => {
+      if (!node) return '';
+      const rect = node.getBoundingClientRect();
+      const styles = getComputedStyle(node);
+      return `<text x="${rect.left - origin.left + rect.width / 2}" y="${rect.top - origin.top + rect.height / 2}"
+        text-anchor="middle" dominant-baseline="central" fill="${styles.color}"
+        font-size="${parseFloat(styles.fontSize) || 14}" font-weight="${styles.fontWeight}">${escapeHTML(node.textContent.trim())}</text>`;
+    };
+
+    const shapes = Array.from(cells).map((cell, index) => {
+      const rect = cell.getBoundingClientRect();
+      const styles = getComputedStyle(cell);
+      const x = rect.left - origin.left;
+      const y = rect.top - origin.top;
+      const radius = parseFloat(styles.borderTopLeftRadius) || 0;
+      const borderWidth = parseFloat(styles.borderTopWidth) || 0;
+      const stroke = borderWidth ? ` stroke="${styles.borderTopColor}" stroke-width="${borderWidth}"` : '';
+      const clipId = `${id}-cell-${index}`;
+      const inner = cell.querySelector(parts.inner);
+      const innerRect = inner ? inner.getBoundingClientRect() : null;
+      const innerShape = innerRect
+        ? `<rect x="${innerRect.left - origin.left}" y="${innerRect.top - origin.top}" width="${innerRect.width}" height="${innerRect.height}" fill="${getComputedStyle(inner).backgroundColor}"/>`
+        : '';
+
+      return `
+        <clipPath id="${clipId}"><rect x="${x}" y="${y}" width="${rect.width}" height="${rect.height}" rx="${radius}"/></clipPath>
+        <g clip-path="url(#${clipId})">
+          <rect x="${x}" y="${y}" width="${rect.width}" height="${rect.height}" fill="${styles.backgroundColor}"${stroke}/>
+          ${innerShape}
+        </g>
+        ${Array.from(cell.querySelectorAll(parts.texts)).map(renderText).join('')}
+      `;
+    }).join('');
+    const labels = parts.labels ? Array.from(element.querySelectorAll(parts.labels)).map(renderText).join('') : '';
+
+    return `<svg x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" viewBox="0 0 ${width} ${height}"
+      preserveAspectRatio="xMidYMid meet">${labels}${shapes}</svg>`;
+  }
+
+  renderPanel(panel, box, index, colors) {
+    const parts = [];
+    let chartBox = box;
+
+    if (panel.background) {
+      parts.push(`<rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" rx="12" fill="${escapeHTML(panel.background)}"/>`);
+    }
+    if (panel.label) {
+      parts.push(`<text x="${box.x + 16}" y="${box.y + 26}" fill="${panel.labelColor || colors.text}" font-size="20" font-weight="600">${escapeHTML(panel.label)}</text>`);
+      chartBox = { ...box, y: box.y + PANEL_LABEL_HEIGHT, height: box.height - PANEL_LABEL_HEIGHT };
+    }
+
+    const svg = panel.element.querySelector('svg.highcharts-root') || panel.element.querySelector('svg');
+    const cards = panel.element.querySelectorAll('.status-card');
+    const days = panel.element.querySelectorAll('.demand-calendar__day');
+    if (svg) {
+      parts.push(this.renderChartSVG(svg, chartBox));
+    } else if (cards.length) {
+      parts.push(this.renderHtmlPreviewSVG(panel.element, cards, chartBox, `panel-${index}`));
+    } else if (days.length) {
+      const calendar = panel.element.querySelector('.demand-calendar__table');
+      parts.push(this.renderHtmlPreviewSVG(calendar, days, chartBox, `panel-${index}`, CALENDAR_PARTS));
+    }
+    return parts.join('');
+  }
+
+  renderLegend(palette, box, colors) {
+    const rowHeight = Math.min(44, box.height / Math.max(palette.length, 1));
+    const fontSize = Math.max(10, Math.min(20, Math.floor(rowHeight * 0.5)));
+    const swatch = Math.round(rowHeight * 0.7);
+
+    return palette.map((item, index) => {
+      const y = box.y + index * rowHeight;
+      const token = extractVarName(item.cssVar);
+      const name = token || `Color ${String(index + 1).padStart(2, '0')}`;
+      const textY = y + swatch / 2;
+      return `
+        <rect x="${box.x}" y="${y}" width="${swatch}" height="${swatch}" rx="4" fill="${escapeHTML(item.hex)}" stroke="${colors.border}"/>
+        <text x="${box.x + swatch + 16}" y="${textY}" dominant-baseline="central" fill="${colors.text}" font-size="${fontSize}">${escapeHTML(name)}</text>
+        <text x="${box.x + box.width}" y="${textY}" text-anchor="end" dominant-baseline="central" fill="${colors.subdued}"
+          font-size="${fontSize}" font-family="'SFMono-Regular', Menlo, monospace">${escapeHTML(item.hex)}</text>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Build the slide SVG
+   * @param {Object} preview
+   * @param {Array<{element: Element, label?: string, background?: string, labelColor?: string}>} preview.panels - Rendered chart containers
+   * @param {Array<{hex: string, cssVar: string}>} preview.palette - Colors drawn in the preview
+   * @param {string} [preview.legendLabel] - Says which theme and simulation the legend colors belong to
+   * @param {string} preview.title
+   * @param {string} preview.subtitle
+   * @param {{background: string, text: string, subdued: string, border: string}} preview.colors
+   * @returns {string}
+   */
+  buildSVG({ panels, palette, legendLabel = '', title, subtitle = '', colors }) {
+    const { width, height } = SLIDE_SIZE;
+    const top = PADDING + HEADER_HEIGHT;
+    const chartArea = {
+      x: PADDING,
+      y: top,
+      width: width - PADDING * 2 - LEGEND_WIDTH - LEGEND_GAP,
+      height: height - top - PADDING
+    };
+    const legendTop = legendLabel ? top + LEGEND_LABEL_HEIGHT : top;
+    const legendArea = { x: width - PADDING - LEGEND_WIDTH, y: legendTop, width: LEGEND_WIDTH, height: height - legendTop - PADDING };
+
+    // Several panels (theme comparison) share the chart area in a two-column grid
+    const columns = panels.length > 1 ? 2 : 1;
+    const rows = Math.ceil(panels.length / columns);
+    const gap = 24;
+    const cellWidth = (chartArea.width - gap * (columns - 1)) / columns;
+    const cellHeight = (chartArea.height - gap * (rows - 1)) / rows;
+    const panelMarkup = panels.map((panel, index) => this.renderPanel(panel, {
+      x: chartArea.x + (index % columns) * (cellWidth + gap),
+      y: chartArea.y + Math.floor(index / columns) * (cellHeight + gap),
+      width: cellWidth,
+      height: cellHeight
+    }, index, colors)).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}"
+  viewBox="0 0 ${width} ${height}" font-family="${FONT_FAMILY}">
+  <rect width="100%" height="100%" fill="${colors.background}"/>
+  <text x="${PADDING}" y="${PADDING + 44}" fill="${colors.text}" font-size="44" font-weight="600">${escapeHTML(title)}</text>
+  <text x="${PADDING}" y="${PADDING + 92}" fill="${colors.subdued}" font-size="24">${escapeHTML(subtitle)}</text>
+  ${panelMarkup}
+  ${legendLabel ? `<text x="${legendArea.x}" y="${top + 20}" fill="${colors.subdued}" font-size="20" font-weight="600">${escapeHTML(legendLabel)}</text>` : ''}
+  ${this.renderLegend(palette, legendArea, colors)}
+</svg>`;
+  }
+
+  loadImage(url) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error('Unable to render the preview image'));
+      image.src = url;
+    });
+  }
+
+  /**
+   * Rasterize the slide SVG
+   * @returns {Promise<Blob>}
+   */
+  async buildPNG(preview, scale = PNG_SCALE) {
+    const url = URL.createObjectURL(new Blob([this.buildSVG(preview)], { type: 'image/svg+xml' }));
+    try {
+      const image = await this.loadImage(url);
+      const canvas = document.createElement('canvas');
+      canvas.width = SLIDE_SIZE.width * scale;
+      canvas.height = SLIDE_SIZE.height * scale;
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      return await new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Unable to encode the PNG'))), 'image/png');
+      });
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+}
@@ -2,8 +2,67 @@
  * ChartRenderer - Handles chart visualization using Highcharts
  * Supports different chart types for different palette categories
  */
+import { SeededRandom } from './SeededRandom.js';
+import { escapeHTML } from './domUtils.js';
+
+// Chart chrome colors: theme key → [token, fallback]
+export const CHART_THEME_TOKENS = Object.freeze({
+  axisLabel: ['--prism-color-text-neutral-emphasis', '#1f3d57'],
+  axisSubdued: ['--prism-color-text-neutral-subdued', '#4b637a'],
+  gridLine: ['--prism-color-border-neutral-subdued', '#e6e6e6'],
+  tooltipBackground: ['--prism-color-elevation-backdrop-default', 'rgba(31, 61, 87, 0.9)'],
+  tooltipText: ['--prism-color-text-inverse', '#ffffff'],
+  surface: ['--prism-color-elevation-surface', '#ffffff']
+});
+
+// Fallback literals are light theme values; drift is only meaningful against that theme
+const FALLBACK_REFERENCE_THEME = 'light';
+
+// Chart archetypes offered next to each category's default preview (`types: null` = every type).
+// Every category starts on the default preview, where the card templates are offered.
+export const CHART_ARCHETYPES = Object.freeze({
+  default: { label: 'Default preview', types: null },
+  calendar: { label: 'Month calendar', types: ['demand'] },
+  'stacked-area': { label: 'Stacked area', types: ['sequential', 'categorical', 'accent', 'demand'] },
+  donut: { label: 'Donut', types: ['categorical', 'sequential', 'accent', 'status', 'informational', 'intelligence', 'demand'] },
+  'stacked-percent': { label: '100% stacked bar', types: ['categorical', 'sequential', 'diverging', 'status', 'informational', 'intelligence', 'demand'] },
+  treemap: { label: 'Treemap', types: ['categorical', 'sequential', 'status', 'informational', 'intelligence', 'demand'] },
+  'tile-map': { label: 'Tile map', types: ['sequential', 'diverging', 'informational', 'intelligence', 'demand'] },
+  bubble: { label: 'Bubble scatter', types: ['categorical', 'sequential', 'accent', 'status'] },
+  'small-multiples': { label: 'Small multiples', types: ['categorical', 'sequential', 'diverging', 'accent'] }
+});
+
+// Palette types whose colors encode ordered values rather than categories
+const ORDERED_TYPES = ['sequential', 'diverging', 'demand', 'informational', 'intelligence'];
+
+const SAMPLE_PERIODS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// US state tile grid for the choropleth-style tile map, `..` marks an empty cell
+const TILE_MAP_ROWS = [
+  'AK .. .. .. .. .. .. .. .. .. ME',
+  '.. .. .. .. .. .. .. .. .. VT NH',
+  'WA ID MT ND MN IL WI MI NY RI MA',
+  'OR NV WY SD IA IN OH PA NJ CT ..',
+  'CA UT CO NE MO KY WV VA MD DE ..',
+  '.. AZ NM KS AR TN NC SC DC .. ..',
+  '.. .. .. OK LA MS AL GA .. .. ..',
+  'HI .. .. TX .. .. .. .. FL .. ..'
+];
+
+/**
+ * Chart archetypes available for a palette type
+ * @returns {Array<{id: string, label: string}>}
+ */
+export function getChartArchetypes(paletteType) {
+  return Object.entries(CHART_ARCHETYPES)
+    .filter(([, archetype]) => !archetype.types || archetype.types.includes(paletteType))
+    .map(([id, archetype]) => ({ id, label: archetype.label }));
+}
+
 export class ChartRenderer {
-  constructor() {
+  constructor(random = new SeededRandom(), diagnostics = null) {
+    this.random = random;
+    this.diagnostics = diagnostics;
     this.HEATMAP_SIZE = 10;
     this.HEATMAP_MATRIX = [
       [5, 9, 3, 7, 2, 10, 4, 8, 6, 11],
@@ -18,6 +77,41 @@ export class ChartRenderer {
       [2, 10, 8, 6, 3, 7, 11, 5, 4, 9],
     ];
     this.HEATMAP_COLUMNS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J'];
+    this.dataset = null;
+  }
+
+  /**
+   * Use an uploaded dataset instead of the sample data, or null to restore the samples
+   * @param {{categories: string[], series: Array<{name: string, data: number[]}>}|null} dataset
+   */
+  setDataset(dataset) {
+    this.dataset = dataset || null;
+  }
+
+  /**
+   * Quantize the uploaded dataset into palette steps for the heatmap
+   */
+  buildDatasetMatrix(colorCount) {
+    const { categories, series } = this.dataset;
+    const values = series.flatMap(entry => entry.data);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+
+    const cells = [];
+    categories.forEach((category, rowIndex) => {
+      series.forEach((entry, columnIndex) => {
+        const raw = entry.data[rowIndex];
+        const step = Math.min(colorCount - 1, Math.floor(((raw - min) / range) * colorCount));
+        cells.push({ x: columnIndex, y: rowIndex, step, raw });
+      });
+    });
+
+    return {
+      xCategories: series.map(entry => entry.name),
+      yCategories: categories,
+      cells
+    };
   }
 
   buildMatrix(paletteLength) {
@@ -30,10 +124,15 @@ export class ChartRenderer {
   /**
    * Build chart configuration based on palette type
    */
-  buildChartConfig(palette, paletteName, paletteType, subcategory = null) {
+  buildChartConfig(palette, paletteName, paletteType, subcategory = null, options = {}) {
     const paletteValues = palette.length ? palette : ['#157bc1'];
-    const theme = this.getThemeColors();
+    const theme = options.themeColors || this.getThemeColors();
     
+    const archetype = CHART_ARCHETYPES[options.chartType];
+    if (archetype && archetype.types && archetype.types.includes(paletteType)) {
+      return this.buildArchetypeChart(options.chartType, paletteValues, paletteName, paletteType, theme, subcategory);
+    }
+
     switch (paletteType) {
       case 'demand':
         return subcategory === 'figure' 
@@ -41,7 +140,7 @@ export class ChartRenderer {
           : this.buildCardGridConfig(paletteValues, paletteType, theme);
       
       case 'categorical':
-        return this.buildCategoricalChart(paletteValues, theme);
+        return this.buildCategoricalChart(paletteValues, theme, options.seriesCount);
       
       case 'status':
         return subcategory === 'figure'
@@ -60,6 +159,9 @@ export class ChartRenderer {
       
       case 'accent':
         return this.buildAccentChart(paletteValues, theme);
+
+      case 'diverging':
+        return this.buildDivergingChart(paletteValues, paletteName, theme, options);
       
       default:
         return this.buildHeatmapChart(paletteValues, paletteName, theme);
@@ -95,11 +197,20 @@ export class ChartRenderer {
   }
 
   buildBarChart(paletteValues, categories, values, seriesName, theme) {
-    const seriesData = paletteValues.map((color, index) => ({
-      name: categories[index] || `Level ${index + 1}`,
-      y: values[index] || (Math.random() * 40 + 40),
-      color: color
-    }));
+    const dataset = this.dataset;
+    // Uploaded categories keep the palette order, wrapping for long tails
+    const seriesData = dataset
+      ? dataset.categories.map((name, index) => ({
+        name,
+        y: dataset.series[0].data[index],
+        color: paletteValues[index % paletteValues.length]
+      }))
+      : paletteValues.map((color, index) => ({
+        name: categories[index] || `Level ${index + 1}`,
+        y: values[index] || this.random.between(40, 80),
+        color: color
+      }));
+    const valueSuffix = dataset ? '' : '%';
 
     return {
       chart: {
@@ -122,7 +233,7 @@ export class ChartRenderer {
       credits: { enabled: false },
       tooltip: {
         formatter() {
-          return `<strong>${this.point.name}</strong><br/>Value: ${this.point.y}%<br/>Color: ${this.point.color}`;
+          return `<strong>${escapeHTML(this.point.name)}</strong><br/>Value: ${this.point.y}${valueSuffix}<br/>Color: ${this.point.color}`;
         },
         borderRadius: 8,
         backgroundColor: theme.tooltipBackground,
@@ -150,7 +261,7 @@ export class ChartRenderer {
         },
         tickLength: 0,
         gridLineColor: theme.gridLine,
-        max: 100,
+        max: dataset ? null : 100,
       },
       plotOptions: {
         bar: {
@@ -161,21 +272,30 @@ export class ChartRenderer {
           maxPointWidth: 20,
         }
       },
-      series: [{ name: seriesName, data: seriesData }],
+      series: [{ name: dataset ? dataset.series[0].name : seriesName, data: seriesData }],
     };
   }
 
-  buildCategoricalChart(paletteValues, theme) {
-    const categories = ['Q1', 'Q2', 'Q3', 'Q4', 'Q5', 'Q6'];
-    const firstSixColors = paletteValues.slice(0, 6);
+  buildCategoricalChart(paletteValues, theme, seriesCount = 6) {
+    const dataset = this.dataset;
+    const categories = dataset ? dataset.categories : ['Q1', 'Q2', 'Q3', 'Q4', 'Q5', 'Q6'];
+    const seriesColors = paletteValues.slice(0, seriesCount);
     
-    const seriesData = firstSixColors.map((color, index) => ({
-      name: `Series ${index + 1}`,
-      color: color,
-      data: categories.map(() => Math.floor(Math.random() * 50) + 20),
-      marker: { enabled: true, radius: 4 },
-      lineWidth: 3,
-    }));
+    const seriesData = dataset
+      ? dataset.series.map((entry, index) => ({
+        name: entry.name,
+        color: seriesColors[index % seriesColors.length],
+        data: entry.data,
+        marker: { enabled: true, radius: 4 },
+        lineWidth: 3,
+      }))
+      : seriesColors.map((color, index) => ({
+        name: `Series ${index + 1}`,
+        color: color,
+        data: categories.map(() => this.random.int(20, 69)),
+        marker: { enabled: true, radius: 4 },
+        lineWidth: 3,
+      }));
 
     return {
       chart: {
@@ -197,7 +317,7 @@ export class ChartRenderer {
       credits: { enabled: false },
       tooltip: {
         formatter() {
-          return `<strong>${this.series.name}</strong><br/>Category: ${this.x}<br/>Value: ${this.y}<br/>Color: ${this.series.color}`;
+          return `<strong>${escapeHTML(this.series.name)}</strong><br/>Category: ${escapeHTML(this.x)}<br/>Value: ${this.y}<br/>Color: ${this.series.color}`;
         },
         borderRadius: 8,
         backgroundColor: theme.tooltipBackground,
@@ -225,18 +345,28 @@ export class ChartRenderer {
     
     const primarySeries = primaryColors.map((color, index) => ({
       name: `Primary ${index + 1}`,
-      data: [25 + Math.random() * 15, 18 + Math.random() * 12],
+      data: [this.random.between(25, 40), this.random.between(18, 30)],
       color: color,
       borderRadius: 2
     }));
     
     const secondarySeries = secondaryColors.map((color, index) => ({
       name: `Secondary ${index + 1}`,
-      data: [20 + Math.random() * 12, 15 + Math.random() * 10],
+      data: [this.random.between(20, 32), this.random.between(15, 25)],
       color: color,
       borderRadius: 2
     }));
 
+    const accentColors = [...primaryColors, ...secondaryColors];
+    const series = this.dataset
+      ? this.dataset.series.map((entry, index) => ({
+        name: entry.name,
+        data: entry.data,
+        color: accentColors[index % accentColors.length],
+        borderRadius: 2
+      }))
+      : [...primarySeries, ...secondarySeries];
+
     return {
       chart: {
         backgroundColor: 'transparent',
@@ -257,14 +387,14 @@ export class ChartRenderer {
       credits: { enabled: false },
       tooltip: {
         formatter() {
-          return `<strong>${this.series.name}</strong><br/>Period: ${this.x}<br/>Value: ${this.y.toFixed(1)}`;
+          return `<strong>${escapeHTML(this.series.name)}</strong><br/>Period: ${escapeHTML(this.x)}<br/>Value: ${this.y.toFixed(1)}`;
         },
         borderRadius: 8,
         backgroundColor: theme.tooltipBackground,
         style: { color: theme.tooltipText },
       },
       xAxis: {
-        categories: categories,
+        categories: this.dataset ? this.dataset.categories : categories,
         labels: {
           style: {
             color: theme.axisSubdued,
@@ -294,7 +424,7 @@ export class ChartRenderer {
           borderRadius: 2
         }
       },
-      series: [...primarySeries, ...secondarySeries]
+      series
     };
   }
 
@@ -322,8 +452,22 @@ export class ChartRenderer {
     };
   }
 
+  /**
+   * Month calendar rendered by CalendarRenderer, filled with background colors or marked with figure colors
+   */
+  buildCalendarConfig(paletteValues, subcategory) {
+    return {
+      customCalendar: true,
+      role: subcategory === 'figure' ? 'figure' : 'background',
+      colors: paletteValues
+    };
+  }
+
   buildHeatmapChart(paletteValues, paletteName, theme) {
     const colorCount = paletteValues.length;
+    if (this.dataset) {
+      return this.buildDatasetHeatmapChart(paletteValues, paletteName, theme);
+    }
     const matrix = this.buildMatrix(colorCount);
 
     return {
@@ -388,32 +532,590 @@ export class ChartRenderer {
     };
   }
 
+  buildDatasetHeatmapChart(paletteValues, paletteName, theme) {
+    const colorCount = paletteValues.length;
+    const { xCategories, yCategories, cells } = this.buildDatasetMatrix(colorCount);
+
+    return {
+      chart: {
+        backgroundColor: 'transparent',
+        spacing: [12, 16, 12, 16],
+        style: { fontFamily: "'Inter', sans-serif" },
+        type: 'heatmap',
+      },
+      title: { text: null },
+      legend: { enabled: false },
+      credits: { enabled: false },
+      tooltip: {
+        formatter() {
+          return `<strong>${escapeHTML(yCategories[this.point.y])} · ${escapeHTML(xCategories[this.point.x])}</strong><br/>Value: ${escapeHTML(this.point.raw)}<br/>${this.point.color}`;
+        },
+        borderRadius: 8,
+        backgroundColor: theme.tooltipBackground,
+        style: { color: theme.tooltipText },
+      },
+      xAxis: {
+        categories: xCategories,
+        labels: { style: { color: theme.axisLabel } },
+        tickLength: 0,
+      },
+      yAxis: {
+        categories: yCategories,
+        title: null,
+        reversed: true,
+        labels: { style: { color: theme.axisLabel } },
+        tickLength: 0,
+      },
+      colorAxis: {
+        min: 1,
+        max: colorCount,
+        stops: paletteValues.map((value, index) => [colorCount > 1 ? index / (colorCount - 1) : 0, value]),
+      },
+      series: [{
+        name: paletteName,
+        borderColor: theme.surface,
+        dataLabels: { enabled: false },
+        states: { hover: { enabled: false }, inactive: { opacity: 1 } },
+        data: cells.map(cell => ({
+          x: cell.x,
+          y: cell.y,
+          value: cell.step + 1,
+          raw: cell.raw,
+          color: paletteValues[cell.step] || paletteValues[0],
+        })),
+      }],
+    };
+  }
+
+  /**
+   * Sample grid for diverging previews: a rate index against the compset where 100 means parity
+   */
+  buildDivergingSample() {
+    const phaseX = this.random.between(0, Math.PI);
+    const phaseY = this.random.between(0, Math.PI);
+    const cells = [];
+    for (let y = 0; y < this.HEATMAP_SIZE; y++) {
+      for (let x = 0; x < this.HEATMAP_COLUMNS.length; x++) {
+        const wave = Math.sin(x * 0.7 + phaseX) * Math.cos(y * 0.5 + phaseY);
+        const value = Math.round(Math.min(140, Math.max(60, 100 + wave * 35 + this.random.between(-8, 8))));
+        cells.push({ x, y, value });
+      }
+    }
+
+    return {
+      xCategories: this.HEATMAP_COLUMNS,
+      yCategories: Array.from({ length: this.HEATMAP_SIZE }, (_, index) => String(index + 1).padStart(2, '0')),
+      cells,
+      min: 60,
+      max: 140
+    };
+  }
+
+  /**
+   * Uploaded dataset as a raw-value grid for diverging previews
+   */
+  buildDivergingDatasetGrid() {
+    const { categories, series } = this.dataset;
+    const values = series.flatMap(entry => entry.data);
+    const cells = [];
+    categories.forEach((category, y) => {
+      series.forEach((entry, x) => cells.push({ x, y, value: entry.data[y] }));
+    });
+
+    return {
+      xCategories: series.map(entry => entry.name),
+      yCategories: categories,
+      cells,
+      min: Math.min(...values),
+      max: Math.max(...values)
+    };
+  }
+
+  /**
+   * Split the value range into one class per color. The neutral color straddles the pivot value
+   * and each side divides its share of the range evenly.
+   */
+  buildDivergingClasses(paletteValues, midpointIndex, min, max, pivot) {
+    const negativeCount = midpointIndex;
+    const positiveCount = paletteValues.length - midpointIndex - 1;
+    const negativeWidth = negativeCount ? (pivot - min) / (negativeCount + 0.5) : 0;
+    const positiveWidth = positiveCount ? (max - pivot) / (positiveCount + 0.5) : 0;
+    const round = (value) => Math.round(value * 100) / 100;
+
+    const classes = [];
+    for (let i = 0; i < negativeCount; i++) {
+      classes.push({ from: round(min + i * negativeWidth), to: round(min + (i + 1) * negativeWidth), color: paletteValues[i] });
+    }
+    classes.push({
+      from: round(negativeCount ? pivot - negativeWidth / 2 : min),
+      to: round(positiveCount ? pivot + positiveWidth / 2 : max),
+      color: paletteValues[midpointIndex]
+    });
+    for (let j = 0; j < positiveCount; j++) {
+      const from = pivot + positiveWidth / 2 + j * positiveWidth;
+      classes.push({ from: round(from), to: round(from + positiveWidth), color: paletteValues[midpointIndex + 1 + j] });
+    }
+    return classes;
+  }
+
+  /**
+   * Diverging heatmap: values below and above the midpoint map to opposite color families
+   * @param {Object} options
+   * @param {number} options.midpoint - Position of the midpoint within the value range (0–1)
+   * @param {number} options.midpointIndex - Index of the neutral color in the palette
+   */
+  buildDivergingChart(paletteValues, paletteName, theme, { midpoint = 0.5, midpointIndex } = {}) {
+    const centerIndex = midpointIndex >= 0 ? midpointIndex : Math.floor(paletteValues.length / 2);
+    const { xCategories, yCategories, cells, min, max } = this.dataset
+      ? this.buildDivergingDatasetGrid()
+      : this.buildDivergingSample();
+    const pivot = min + (max - min) * midpoint;
+    const pivotLabel = Math.round(pivot * 100) / 100;
+
+    return {
+      chart: {
+        backgroundColor: 'transparent',
+        spacing: [12, 16, 12, 16],
+        style: { fontFamily: "'Inter', sans-serif" },
+        type: 'heatmap',
+      },
+      title: { text: null },
+      credits: { enabled: false },
+      legend: {
+        enabled: true,
+        itemStyle: { color: theme.axisLabel, fontWeight: 'normal' },
+        symbolRadius: 2,
+      },
+      tooltip: {
+        formatter() {
+          const delta = Math.round((this.point.value - pivot) * 100) / 100;
+          return `<strong>${escapeHTML(yCategories[this.point.y])} · ${escapeHTML(xCategories[this.point.x])}</strong><br/>Value: ${this.point.value} (${delta >= 0 ? '+' : ''}${delta} vs ${pivotLabel})`;
+        },
+        borderRadius: 8,
+        backgroundColor: theme.tooltipBackground,
+        style: { color: theme.tooltipText },
+      },
+      xAxis: {
+        categories: xCategories,
+        labels: { style: { color: theme.axisLabel } },
+        tickLength: 0,
+      },
+      yAxis: {
+        categories: yCategories,
+        title: null,
+        reversed: true,
+        labels: { style: { color: theme.axisLabel } },
+        tickLength: 0,
+      },
+      colorAxis: {
+        dataClasses: this.buildDivergingClasses(paletteValues, centerIndex, min, max, pivot),
+      },
+      series: [{
+        name: paletteName,
+        borderColor: theme.surface,
+        dataLabels: { enabled: false },
+        states: { hover: { enabled: false }, inactive: { opacity: 1 } },
+        data: cells.map(cell => ({ x: cell.x, y: cell.y, value: cell.value })),
+      }],
+    };
+  }
+
+  /**
+   * Build one of the CHART_ARCHETYPES previews
+   */
+  buildArchetypeChart(archetype, paletteValues, paletteName, paletteType, theme, subcategory = null) {
+    switch (archetype) {
+      case 'calendar':
+        return this.buildCalendarConfig(paletteValues, subcategory);
+      case 'stacked-area':
+        return this.buildStackedAreaChart(paletteValues, theme);
+      case 'donut':
+        return this.buildDonutChart(paletteValues, theme);
+      case 'stacked-percent':
+        return this.buildStackedPercentChart(paletteValues, theme);
+      case 'treemap':
+        return this.buildTreemapChart(paletteValues, paletteType, theme);
+      case 'tile-map':
+        return this.buildTileMapChart(paletteValues, paletteName, theme);
+      case 'bubble':
+        return this.buildBubbleChart(paletteValues, theme);
+      case 'small-multiples':
+        return this.buildSmallMultiplesChart(paletteValues, theme);
+      default:
+        return this.buildHeatmapChart(paletteValues, paletteName, theme);
+    }
+  }
+
+  /**
+   * Chrome shared by the archetype previews
+   */
+  buildBaseConfig(theme, type, { legend = false } = {}) {
+    return {
+      chart: {
+        backgroundColor: 'transparent',
+        spacing: [12, 16, 12, 16],
+        style: { fontFamily: "'Inter', sans-serif" },
+        type,
+      },
+      title: { text: null },
+      credits: { enabled: false },
+      legend: {
+        enabled: legend,
+        itemStyle: { color: theme.axisLabel, fontWeight: 'normal' },
+        symbolRadius: 2,
+      },
+      tooltip: {
+        borderRadius: 8,
+        backgroundColor: theme.tooltipBackground,
+        style: { color: theme.tooltipText },
+      },
+    };
+  }
+
+  buildAxisLabels(theme) {
+    return {
+      style: {
+        color: theme.axisLabel,
+        fontSize: '12px',
+        fontFamily: "'Inter', sans-serif",
+      },
+    };
+  }
+
+  /**
+   * Multi-series data: the uploaded dataset, or one sample series per palette color
+   */
+  buildArchetypeSeries(paletteValues, periodCount, min, max) {
+    if (this.dataset) {
+      return {
+        categories: this.dataset.categories,
+        series: this.dataset.series.map((entry, index) => ({
+          name: entry.name,
+          color: paletteValues[index % paletteValues.length],
+          data: entry.data,
+        })),
+      };
+    }
+
+    const categories = SAMPLE_PERIODS.slice(0, periodCount);
+    return {
+      categories,
+      series: paletteValues.map((color, index) => ({
+        name: `Series ${index + 1}`,
+        color,
+        data: categories.map(() => this.random.int(min, max)),
+      })),
+    };
+  }
+
+  /**
+   * Palette step for a value within [min, max], for value-encoded archetypes
+   */
+  stepColor(paletteValues, value, min, max) {
+    const index = Math.floor(((value - min) / (max - min || 1)) * paletteValues.length);
+    return paletteValues[Math.min(Math.max(index, 0), paletteValues.length - 1)];
+  }
+
+  buildStackedAreaChart(paletteValues, theme) {
+    const { categories, series } = this.buildArchetypeSeries(paletteValues, 12, 5, 20);
+
+    return {
+      ...this.buildBaseConfig(theme, 'area', { legend: series.length <= 8 }),
+      xAxis: {
+        categories,
+        labels: this.buildAxisLabels(theme),
+        tickLength: 0,
+        lineColor: theme.gridLine,
+      },
+      yAxis: {
+        title: null,
+        labels: this.buildAxisLabels(theme),
+        gridLineColor: theme.gridLine,
+      },
+      plotOptions: {
+        area: {
+          stacking: 'normal',
+          lineWidth: 1,
+          lineColor: theme.surface,
+          marker: { enabled: false },
+        }
+      },
+      series,
+    };
+  }
+
+  buildDonutChart(paletteValues, theme) {
+    const dataset = this.dataset;
+    const data = dataset
+      ? dataset.categories.map((name, index) => ({
+        name,
+        y: Math.abs(dataset.series[0].data[index]),
+        color: paletteValues[index % paletteValues.length]
+      }))
+      : paletteValues.map((color, index) => ({
+        name: `Segment ${index + 1}`,
+        y: this.random.int(5, 30),
+        color
+      }));
+
+    return {
+      ...this.buildBaseConfig(theme, 'pie'),
+      plotOptions: {
+        pie: {
+          innerSize: '60%',
+          borderColor: theme.surface,
+          borderWidth: 2,
+          dataLabels: {
+            enabled: data.length <= 12,
+            format: '{point.name}',
+            style: { color: theme.axisLabel, fontWeight: 'normal', textOutline: 'none' },
+          },
+        }
+      },
+      series: [{ name: dataset ? dataset.series[0].name : 'Share', data }],
+    };
+  }
+
+  buildStackedPercentChart(paletteValues, theme) {
+    const { categories, series } = this.buildArchetypeSeries(paletteValues, 5, 5, 30);
+
+    return {
+      ...this.buildBaseConfig(theme, 'bar', { legend: series.length <= 8 }),
+      xAxis: {
+        categories,
+        labels: this.buildAxisLabels(theme),
+        tickLength: 0,
+        lineColor: theme.gridLine,
+      },
+      yAxis: {
+        title: null,
+        max: 100,
+        reversedStacks: false,
+        labels: { ...this.buildAxisLabels(theme), format: '{value}%' },
+        gridLineColor: theme.gridLine,
+      },
+      plotOptions: {
+        bar: {
+          stacking: 'percent',
+          borderWidth: 1,
+          borderColor: theme.surface,
+          pointPadding: 0.05,
+          groupPadding: 0.1,
+        }
+      },
+      series,
+    };
+  }
+
+  /**
+   * Treemap: categorical palettes color each tile, ordered palettes encode the tile value
+   */
+  buildTreemapChart(paletteValues, paletteType, theme) {
+    const isOrdered = ORDERED_TYPES.includes(paletteType);
+    const dataset = this.dataset;
+    const items = dataset
+      ? dataset.categories.map((name, index) => ({ name, value: Math.abs(dataset.series[0].data[index]) }))
+      : Array.from({ length: isOrdered ? 24 : paletteValues.length }, (_, index) => ({
+        name: `${isOrdered ? 'Item' : 'Segment'} ${index + 1}`,
+        value: this.random.int(5, 60)
+      }));
+    const values = items.map(item => item.value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+
+    return {
+      ...this.buildBaseConfig(theme, 'treemap'),
+      series: [{
+        type: 'treemap',
+        name: dataset ? dataset.series[0].name : 'Share',
+        layoutAlgorithm: 'squarified',
+        borderColor: theme.surface,
+        borderWidth: 2,
+        dataLabels: {
+          enabled: true,
+          style: { fontWeight: 'normal', textOutline: 'none' },
+        },
+        data: items.map((item, index) => ({
+          ...item,
+          color: isOrdered
+            ? this.stepColor(paletteValues, item.value, min, max)
+            : paletteValues[index % paletteValues.length]
+        })),
+      }],
+    };
+  }
+
+  /**
+   * Choropleth-style tile map on a US state grid. Sample values only: an uploaded dataset
+   * carries no geography.
+   */
+  buildTileMapChart(paletteValues, paletteName, theme) {
+    const tiles = TILE_MAP_ROWS
+      .flatMap((row, y) => row.split(' ').map((code, x) => ({ code, x, y })))
+      .filter(tile => tile.code !== '..');
+    const config = this.buildBaseConfig(theme, 'heatmap');
+
+    return {
+      ...config,
+      tooltip: {
+        ...config.tooltip,
+        formatter() {
+          return `<strong>${escapeHTML(this.point.name)}</strong><br/>Value: ${this.point.value}<br/>Color: ${this.point.color}`;
+        },
+      },
+      xAxis: { visible: false },
+      yAxis: { visible: false, reversed: true },
+      series: [{
+        name: paletteName,
+        borderColor: theme.surface,
+        borderWidth: 3,
+        states: { hover: { enabled: false }, inactive: { opacity: 1 } },
+        dataLabels: {
+          enabled: true,
+          format: '{point.name}',
+          style: { fontSize: '10px', fontWeight: 'normal', textOutline: 'none' },
+        },
+        data: tiles.map(tile => {
+          const value = this.random.int(0, 100);
+          return { x: tile.x, y: tile.y, name: tile.code, value, color: this.stepColor(paletteValues, value, 0, 100) };
+        }),
+      }],
+    };
+  }
+
+  buildBubbleChart(paletteValues, theme) {
+    const series = this.dataset
+      ? this.dataset.series.map((entry, index) => ({
+        name: entry.name,
+        color: paletteValues[index % paletteValues.length],
+        data: entry.data.map((value, pointIndex) => ({ x: pointIndex, y: value, z: Math.abs(value) })),
+      }))
+      : paletteValues.map((color, index) => ({
+        name: `Series ${index + 1}`,
+        color,
+        data: Array.from({ length: 4 }, () => ({
+          x: this.random.int(0, 100),
+          y: this.random.int(0, 100),
+          z: this.random.int(1, 50)
+        })),
+      }));
+
+    return {
+      ...this.buildBaseConfig(theme, 'bubble', { legend: series.length <= 8 }),
+      xAxis: {
+        labels: this.buildAxisLabels(theme),
+        gridLineWidth: 1,
+        gridLineColor: theme.gridLine,
+        lineColor: theme.gridLine,
+        tickLength: 0,
+      },
+      yAxis: {
+        title: null,
+        labels: this.buildAxisLabels(theme),
+        gridLineColor: theme.gridLine,
+      },
+      plotOptions: {
+        bubble: {
+          minSize: 8,
+          maxSize: '18%',
+          marker: { fillOpacity: 0.85, lineColor: theme.surface, lineWidth: 1 },
+        }
+      },
+      series,
+    };
+  }
+
+  /**
+   * One small area chart per palette color on a shared scale
+   */
+  buildSmallMultiplesChart(paletteValues, theme) {
+    const { categories, series } = this.buildArchetypeSeries(paletteValues.slice(0, 12), 12, 10, 90);
+    const panels = series.slice(0, 12);
+    const columns = Math.ceil(Math.sqrt(panels.length));
+    const rows = Math.ceil(panels.length / columns);
+    const columnGap = 4;
+    const rowGap = 14;
+    const width = (100 - columnGap * (columns - 1)) / columns;
+    const height = (100 - rowGap * (rows - 1)) / rows;
+    const max = Math.max(...panels.flatMap(panel => panel.data));
+    const min = Math.min(0, ...panels.flatMap(panel => panel.data));
+    const position = (index) => ({
+      left: `${(index % columns) * (width + columnGap)}%`,
+      width: `${width}%`,
+      top: `${Math.floor(index / columns) * (height + rowGap)}%`,
+      height: `${height}%`,
+      offset: 0,
+    });
+
+    return {
+      ...this.buildBaseConfig(theme, 'area'),
+      xAxis: panels.map((panel, index) => ({
+        ...position(index),
+        categories,
+        labels: { enabled: false },
+        tickLength: 0,
+        lineColor: theme.gridLine,
+        title: {
+          text: panel.name,
+          margin: 4,
+          style: { color: theme.axisSubdued, fontSize: '11px', fontWeight: 'normal' },
+        },
+      })),
+      yAxis: panels.map((panel, index) => ({
+        ...position(index),
+        min,
+        max,
+        title: null,
+        labels: { enabled: false },
+        gridLineColor: theme.gridLine,
+      })),
+      plotOptions: {
+        area: {
+          fillOpacity: 0.35,
+          lineWidth: 2,
+          marker: { enabled: false },
+        }
+      },
+      series: panels.map((panel, index) => ({ ...panel, xAxis: index, yAxis: index })),
+    };
+  }
+
   /**
    * Render chart to container
    */
   renderChart(container, config) {
-    if (config.customCardGrid) {
-      // Handle custom card grids separately
-      return { customCardGrid: true, colors: config.colors };
+    if (config.customCardGrid || config.customCalendar) {
+      // Card grids and calendars are HTML, rendered by their own renderers
+      return { ...config };
     }
     
     return Highcharts.chart(container, config);
   }
 
-  getThemeColors() {
-    const styles = getComputedStyle(document.documentElement);
-    const get = (name, fallback) => {
-      const value = styles.getPropertyValue(name);
-      return value && value.trim() ? value.trim() : fallback;
+  /**
+   * Chart chrome colors for the current theme, or from sampled token values
+   * (e.g. another theme's values from the theme sampler)
+   * @param {Object|null} values - Token name → value overrides
+   * @param {string|null} theme - Theme the values belong to, defaults to the page theme
+   */
+  getThemeColors(values = null, theme = null) {
+    const styles = values ? null : getComputedStyle(document.documentElement);
+    const themeName = theme || document.documentElement.getAttribute('data-theme') || 'light';
+    const get = (key, name, fallback) => {
+      const value = ((values ? values[name] : styles.getPropertyValue(name)) || '').trim();
+      if (this.diagnostics) {
+        const details = { context: `chart ${key}`, theme: themeName };
+        if (!value) {
+          this.diagnostics.recordFallback('chart', name, fallback, details);
+        } else if (themeName === FALLBACK_REFERENCE_THEME) {
+          this.diagnostics.checkDrift('chart', name, fallback, value, details);
+        }
+      }
+      return value || fallback;
     };
 
-    return {
-      axisLabel: get('--prism-color-text-neutral-emphasis', '#1f3d57'),
-      axisSubdued: get('--prism-color-text-neutral-subdued', '#4b637a'),
-      gridLine: get('--prism-color-border-neutral-subdued', '#e6e6e6'),
-      tooltipBackground: get('--prism-color-elevation-backdrop-default', 'rgba(31, 61, 87, 0.9)'),
-      tooltipText: get('--prism-color-text-inverse', '#ffffff'),
-      surface: get('--prism-color-elevation-surface', '#ffffff')
-    };
+    return Object.fromEntries(
+      Object.entries(CHART_THEME_TOKENS).map(([key, [name, fallback]]) => [key, get(key, name, fallback)])
+    );
   }
 }
@@ -1,10 +1,18 @@
 /**
- * ClipboardManager - Handles copying color values and Looker snippets
+ * ClipboardManager - Handles copying color values, Looker snippets and palette exports
  */
+import { PALETTE_EXPORT_FORMATS, exportPalette } from './paletteExporters.js';
+import { downloadFile } from './domUtils.js';
+
 export class ClipboardManager {
-  constructor(hexButton, lookerButton) {
+  constructor(hexButton, lookerButton, exportElements = {}) {
     this.hexButton = hexButton || null;
     this.lookerButton = lookerButton || null;
+    this.exportFormatSelect = exportElements.formatSelect || null;
+    this.exportCopyButton = exportElements.copyButton || null;
+    this.exportDownloadButton = exportElements.downloadButton || null;
+    this.exportCopyDefaultLabel = this.exportCopyButton ? this.exportCopyButton.textContent.trim() : '';
+    this.exportPalette = null;
     this.hexDefaultLabel = this.hexButton ? this.hexButton.textContent.trim() : '';
     this.lookerDefaultLabel = this.lookerButton ? this.lookerButton.textContent.trim() : '';
     this.initEventListeners();
@@ -18,6 +26,66 @@ export class ClipboardManager {
     if (this.lookerButton) {
       this.lookerButton.addEventListener('click', () => this.copyLookerSnippet());
     }
+
+    if (this.exportFormatSelect) {
+      this.populateExportFormats();
+      this.exportFormatSelect.addEventListener('change', () => this.updateExportControls());
+    }
+
+    if (this.exportCopyButton) {
+      this.exportCopyButton.addEventListener('click', () => this.copyExport());
+    }
+
+    if (this.exportDownloadButton) {
+      this.exportDownloadButton.addEventListener('click', () => this.downloadExport());
+    }
+  }
+
+  populateExportFormats() {
+    this.exportFormatSelect.innerHTML = PALETTE_EXPORT_FORMATS
+      .map(format => `<option value="${format.id}">${format.label}</option>`)
+      .join('');
+  }
+
+  getSelectedExport() {
+    if (!this.exportFormatSelect || !this.exportPalette || !this.exportPalette.colors.length) return null;
+    try {
+      return exportPalette(this.exportFormatSelect.value, this.exportPalette);
+    } catch (error) {
+      console.error('Failed to export palette:', error);
+      return null;
+    }
+  }
+
+  async copyExport() {
+    const result = this.getSelectedExport();
+    if (!result || result.binary) return;
+
+    try {
+      await navigator.clipboard.writeText(result.content);
+      this.showSuccess(this.exportCopyButton, 'Copied!', this.exportCopyDefaultLabel || 'Copy');
+    } catch (error) {
+      console.error('Failed to copy palette export:', error);
+    }
+  }
+
+  downloadExport() {
+    const result = this.getSelectedExport();
+    if (!result) return;
+    downloadFile(result.content, result.fileName, result.mimeType);
+  }
+
+  updateExportControls() {
+    const hasColors = Boolean(this.exportPalette && this.exportPalette.colors.length);
+    const format = PALETTE_EXPORT_FORMATS.find(entry => this.exportFormatSelect && entry.id === this.exportFormatSelect.value);
+
+    if (this.exportCopyButton) {
+      // Binary formats can only be downloaded
+      this.exportCopyButton.disabled = !hasColors || Boolean(format && format.binary);
+    }
+    if (this.exportDownloadButton) {
+      this.exportDownloadButton.disabled = !hasColors;
+    }
   }
 
   async copyHexValues() {
@@ -55,7 +123,10 @@ export class ClipboardManager {
     }, 2000);
   }
 
-  updateData(hexColors, lookerSnippet) {
+  updateData(hexColors, lookerSnippet, exportPalette = null) {
+    this.exportPalette = exportPalette;
+    this.updateExportControls();
+
     if (this.hexButton) {
       this.hexButton.dataset.colors = hexColors.join(',');
       this.hexButton.disabled = !hexColors.length;
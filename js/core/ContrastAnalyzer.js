@@ -0,0 +1,149 @@
+/**
+ * ContrastAnalyzer - Computes WCAG 2.x and APCA contrast for palette colors
+ * Evaluates every color against the surface, the card text tokens and its neighbours per theme
+ */
+import { parseColor, blend, contrastRatio, apcaContrast, extractVarName } from './colorUtils.js';
+import { PRISM_THEMES, THEME_LABELS, sampleThemeValues } from './themeSampler.js';
+
+const SURFACE_TOKEN = '--prism-color-elevation-surface';
+
+// Text tokens rendered on top of palette colors by CardGridRenderer (.status-card__value / __subtitle)
+const CARD_TEXT_TOKENS = Object.freeze(['--prism-color-text-neutral-emphasis']);
+
+const THRESHOLDS = Object.freeze({
+  graphic: 3,
+  text: 4.5
+});
+
+const GROUPED_TYPES = ['status', 'informational', 'intelligence', 'demand'];
+
+export class ContrastAnalyzer {
+  constructor(themes = PRISM_THEMES) {
+    this.themes = themes;
+    this.thresholds = THRESHOLDS;
+  }
+
+  /**
+   * Decide which checks are enforced for a palette.
+   * Background palettes carry text, figure palettes sit on the surface,
+   * categorical colors must also separate from their neighbours.
+   */
+  getRequirements(paletteType, subcategory) {
+    const isBackground = GROUPED_TYPES.includes(paletteType) && subcategory !== 'figure';
+    return {
+      surface: !isBackground,
+      text: isBackground,
+      neighbour: paletteType === 'categorical'
+    };
+  }
+
+  /**
+   * Analyze a palette in every theme
+   * @param {Array<{hex: string, cssVar: string}>} palette - Active palette items
+   */
+  analyze(palette, paletteType, subcategory = null) {
+    const requirements = this.getRequirements(paletteType, subcategory);
+    if (!palette || !palette.length) {
+      return { requirements, themes: [] };
+    }
+
+    const paletteVars = palette.map(item => extractVarName(item.cssVar));
+    const sampled = sampleThemeValues([SURFACE_TOKEN, ...CARD_TEXT_TOKENS, ...paletteVars], this.themes);
+
+    const themes = this.themes.map(theme => {
+      const values = sampled[theme] || {};
+      const surface = parseColor(values[SURFACE_TOKEN]) || parseColor('#ffffff');
+      const textColors = CARD_TEXT_TOKENS
+        .map(name => ({ name, color: blend(parseColor(values[name]), surface) }))
+        .filter(entry => entry.color);
+
+      const colors = palette.map((item, index) => {
+        const varName = paletteVars[index];
+        const resolved = (varName && values[varName]) || item.hex;
+        return {
+          index,
+          label: this.getColorLabel(item, index),
+          cssVar: varName,
+          value: resolved,
+          color: blend(parseColor(resolved), surface)
+        };
+      });
+
+      const results = colors.map((entry, index) => this.evaluateColor(entry, index, colors, surface, textColors, requirements));
+      const failures = results.reduce((total, result) => total + result.failures, 0);
+
+      return {
+        theme,
+        label: THEME_LABELS[theme] || theme,
+        results,
+        failures
+      };
+    });
+
+    return { requirements, themes };
+  }
+
+  evaluateColor(entry, index, colors, surface, textColors, requirements) {
+    const result = {
+      index,
+      label: entry.label,
+      cssVar: entry.cssVar,
+      value: entry.value,
+      surface: null,
+      text: null,
+      neighbour: null,
+      failures: 0
+    };
+
+    if (!entry.color) return result;
+
+    const surfaceRatio = contrastRatio(entry.color, surface);
+    result.surface = {
+      ratio: surfaceRatio,
+      lc: apcaContrast(entry.color, surface),
+      pass: surfaceRatio >= this.thresholds.graphic,
+      enforced: requirements.surface
+    };
+
+    // Use the weakest text token so a pass means every card text stays legible
+    const textChecks = textColors.map(({ name, color }) => ({
+      token: name,
+      ratio: contrastRatio(color, entry.color),
+      lc: apcaContrast(color, entry.color)
+    }));
+    if (textChecks.length) {
+      const weakest = textChecks.reduce((min, check) => (check.ratio < min.ratio ? check : min));
+      result.text = {
+        ...weakest,
+        pass: weakest.ratio >= this.thresholds.text,
+        enforced: requirements.text
+      };
+    }
+
+    const neighbours = [colors[index - 1], colors[index + 1]].filter(neighbour => neighbour && neighbour.color);
+    if (neighbours.length) {
+      const closest = neighbours
+        .map(neighbour => ({ label: neighbour.label, ratio: contrastRatio(entry.color, neighbour.color) }))
+        .reduce((min, check) => (check.ratio < min.ratio ? check : min));
+      result.neighbour = {
+        ...closest,
+        pass: closest.ratio >= this.thresholds.graphic,
+        enforced: requirements.neighbour
+      };
+    }
+
+    result.failures = ['surface', 'text', 'neighbour']
+      .filter(key => result[key] && result[key].enforced && !result[key].pass)
+      .length;
+
+    return result;
+  }
+
+  getColorLabel(item, index) {
+    const varName = extractVarName(item.cssVar);
+    if (varName) {
+      return varName.replace(/^--prism-color-chart-/, '');
+    }
+    return `color-${String(index + 1).padStart(2, '0')}`;
+  }
+}
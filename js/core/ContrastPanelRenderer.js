@@ -0,0 +1,122 @@
+/**
+ * ContrastPanelRenderer - Renders the WCAG / APCA contrast matrix for the active palette
+ * Shows a failure summary per theme and the detailed matrix for the selected theme
+ */
+export class ContrastPanelRenderer {
+  constructor(container) {
+    this.container = container;
+    this.selectedTheme = null;
+    this.analysis = null;
+  }
+
+  formatRatio(ratio) {
+    return ratio === null || ratio === undefined ? '–' : `${ratio.toFixed(2)}:1`;
+  }
+
+  formatLc(lc) {
+    return lc === null || lc === undefined ? '–' : `Lc ${Math.round(lc)}`;
+  }
+
+  renderCheck(check) {
+    if (!check) {
+      return '<td class="contrast-matrix__cell is-empty">–</td>';
+    }
+
+    const status = check.pass ? 'pass' : (check.enforced ? 'fail' : 'info');
+    const badge = check.enforced
+      ? `<span class="contrast-badge contrast-badge--${status}">${check.pass ? 'Pass' : 'Fail'}</span>`
+      : '';
+    const lc = check.lc !== undefined ? `<span class="contrast-matrix__lc">${this.formatLc(check.lc)}</span>` : '';
+    const against = check.label ? `<span class="contrast-matrix__lc">vs ${check.label}</span>` : '';
+
+    return `
+      <td class="contrast-matrix__cell is-${status}">
+        <span class="contrast-matrix__ratio">${this.formatRatio(check.ratio)}</span>
+        ${lc}${against}
+        ${badge}
+      </td>
+    `;
+  }
+
+  renderSummary(themes) {
+    return themes.map(theme => {
+      const isActive = theme.theme === this.selectedTheme;
+      const status = theme.failures ? 'fail' : 'pass';
+      return `
+        <button type="button" class="contrast-summary__theme ${isActive ? 'is-active' : ''}" data-theme-key="${theme.theme}" aria-pressed="${isActive}">
+          <span>${theme.label}</span>
+          <span class="contrast-badge contrast-badge--${status}">${theme.failures ? `${theme.failures} failing` : 'All pass'}</span>
+        </button>
+      `;
+    }).join('');
+  }
+
+  renderMatrix(theme, requirements) {
+    const heading = (label, key) => `<th scope="col">${label}${requirements[key] ? '' : ' <span class="contrast-matrix__optional">(info)</span>'}</th>`;
+
+    const rows = theme.results.map(result => `
+      <tr>
+        <th scope="row" class="contrast-matrix__color">
+          <span class="contrast-matrix__swatch" style="background: ${result.value};"></span>
+          <span>
+            <span class="contrast-matrix__name">${result.label}</span>
+            <span class="contrast-matrix__value">${result.value}</span>
+          </span>
+        </th>
+        ${this.renderCheck(result.surface)}
+        ${this.renderCheck(result.text)}
+        ${this.renderCheck(result.neighbour)}
+      </tr>
+    `).join('');
+
+    return `
+      <table class="contrast-matrix">
+        <thead>
+          <tr>
+            <th scope="col">Color</th>
+            ${heading('vs surface', 'surface')}
+            ${heading('Card text on color', 'text')}
+            ${heading('Closest neighbour', 'neighbour')}
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Render an analysis produced by ContrastAnalyzer
+   */
+  render(analysis, activeTheme = 'light') {
+    if (!this.container) return;
+    this.analysis = analysis;
+
+    if (!analysis || !analysis.themes.length) {
+      this.container.innerHTML = '';
+      return;
+    }
+
+    const availableThemes = analysis.themes.map(theme => theme.theme);
+    if (!availableThemes.includes(this.selectedTheme)) {
+      this.selectedTheme = availableThemes.includes(activeTheme) ? activeTheme : availableThemes[0];
+    }
+
+    const theme = analysis.themes.find(entry => entry.theme === this.selectedTheme);
+
+    this.container.innerHTML = `
+      <div class="contrast-summary">${this.renderSummary(analysis.themes)}</div>
+      ${this.renderMatrix(theme, analysis.requirements)}
+      <p class="contrast-panel__legend">
+        WCAG 2.x thresholds: 3:1 for graphics against the surface and neighbouring colors, 4.5:1 for card text.
+        APCA Lc values are shown for reference.
+      </p>
+    `;
+
+    this.container.querySelectorAll('[data-theme-key]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.selectedTheme = button.dataset.themeKey;
+        this.render(this.analysis, activeTheme);
+      });
+    });
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * CustomPaletteBuilder - Panel for assembling palettes from any Prism color token
+ * Edits a draft (name, type, ordered token references) and saves it through CustomPaletteStore
+ */
+import { listColorTokens, TOKEN_GROUPS } from './tokenSource.js';
+import { downloadFile } from './domUtils.js';
+
+const MAX_TOKEN_RESULTS = 60;
+
+export class CustomPaletteBuilder {
+  constructor(elements = {}, store) {
+    this.panel = elements.panel || null;
+    this.nameInput = elements.nameInput || null;
+    this.typeSelect = elements.typeSelect || null;
+    this.groupSelect = elements.groupSelect || null;
+    this.filterInput = elements.filterInput || null;
+    this.tokenList = elements.tokenList || null;
+    this.colorList = elements.colorList || null;
+    this.saveButton = elements.saveButton || null;
+    this.deleteButton = elements.deleteButton || null;
+    this.exportButton = elements.exportButton || null;
+    this.importInput = elements.importInput || null;
+    this.status = elements.status || null;
+    this.store = store;
+    this.draft = this.createDraft();
+    this.tokens = [];
+
+    this.onChange = null;
+    this.onSaved = null;
+    this.onDeleted = null;
+    this.onImported = null;
+
+    this.initEventListeners();
+  }
+
+  createDraft(palette = null) {
+    return {
+      id: palette ? palette.id : null,
+      name: palette ? palette.name : '',
+      type: palette ? palette.type : 'categorical',
+      colors: palette ? palette.colors.map(color => ({ ...color })) : []
+    };
+  }
+
+  initEventListeners() {
+    if (this.nameInput) {
+      this.nameInput.addEventListener('input', () => {
+        this.draft.name = this.nameInput.value;
+        this.notifyChange();
+      });
+    }
+
+    if (this.typeSelect) {
+      this.typeSelect.addEventListener('change', () => {
+        this.draft.type = this.typeSelect.value;
+        this.notifyChange();
+      });
+    }
+
+    [this.groupSelect, this.filterInput].forEach(control => {
+      if (!control) return;
+      control.addEventListener('input', () => this.renderTokens());
+    });
+
+    if (this.tokenList) {
+      this.tokenList.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-token]');
+        if (button) this.addToken(button.dataset.token);
+      });
+    }
+
+    if (this.colorList) {
+      this.colorList.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+        const index = parseInt(button.dataset.index, 10);
+        if (button.dataset.action === 'up') this.moveColor(index, -1);
+        if (button.dataset.action === 'down') this.moveColor(index, 1);
+        if (button.dataset.action === 'remove') this.removeColor(index);
+      });
+    }
+
+    if (this.saveButton) {
+      this.saveButton.addEventListener('click', () => this.save());
+    }
+
+    if (this.deleteButton) {
+      this.deleteButton.addEventListener('click', () => this.remove());
+    }
+
+    if (this.exportButton) {
+      this.exportButton.addEventListener('click', () => this.exportFile());
+    }
+
+    if (this.importInput) {
+      this.importInput.addEventListener('change', () => {
+        const [file] = this.importInput.files || [];
+        if (file) this.importFile(file);
+        this.importInput.value = '';
+      });
+    }
+  }
+
+  /**
+   * Load a stored palette (or a blank draft) into the editor
+   */
+  load(palette) {
+    this.draft = this.createDraft(palette);
+    if (this.nameInput) this.nameInput.value = this.draft.name;
+    if (this.typeSelect) this.typeSelect.value = this.draft.type;
+    if (this.deleteButton) this.deleteButton.disabled = !this.draft.id;
+    this.refreshTokens();
+    this.renderColors();
+  }
+
+  /**
+   * Re-read token values, e.g. after a theme change
+   */
+  refreshTokens() {
+    this.tokens = listColorTokens();
+    this.renderTokens();
+  }
+
+  renderTokens() {
+    if (!this.tokenList) return;
+
+    const group = this.groupSelect ? this.groupSelect.value : '';
+    const query = this.filterInput ? this.filterInput.value.trim().toLowerCase() : '';
+    const matches = this.tokens.filter(token =>
+      (!group || token.group === group) && (!query || token.name.includes(query))
+    );
+
+    const items = matches.slice(0, MAX_TOKEN_RESULTS).map(token => `
+      <li>
+        <button type="button" class="custom-builder__token" data-token="${token.name}" title="Add ${token.name}">
+          <span class="custom-builder__chip" style="background: ${token.value}"></span>
+          <span class="custom-builder__token-name">${token.name.replace('--prism-color-', '')}</span>
+          <span class="custom-builder__token-group">${TOKEN_GROUPS[token.group]}</span>
+        </button>
+      </li>
+    `).join('');
+
+    const more = matches.length > MAX_TOKEN_RESULTS
+      ? `<li class="custom-builder__more">${matches.length - MAX_TOKEN_RESULTS} more — refine the filter</li>`
+      : '';
+
+    this.tokenList.innerHTML = items + more || '<li class="custom-builder__more">No matching tokens</li>';
+  }
+
+  renderColors() {
+    if (!this.colorList) return;
+
+    if (!this.draft.colors.length) {
+      this.colorList.innerHTML = '<li class="custom-builder__empty">Pick tokens above to add them to the palette.</li>';
+      return;
+    }
+
+    const last = this.draft.colors.length - 1;
+    const styles = getComputedStyle(document.documentElement);
+    this.colorList.innerHTML = this.draft.colors.map((color, index) => {
+      const varName = (color.cssVar.match(/^var\((--[\w-]+)\)$/) || [])[1] || color.cssVar;
+      const value = styles.getPropertyValue(varName).trim() || color.hex || '';
+      return `
+        <li class="custom-builder__color">
+          <span class="custom-builder__chip" style="background: ${value}"></span>
+          <span class="custom-builder__token-name">${varName.replace('--prism-color-', '')}</span>
+          <button type="button" class="prism-button prism-button--ghost prism-button--small" data-action="up"
+            data-index="${index}" aria-label="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+          <button type="button" class="prism-button prism-button--ghost prism-button--small" data-action="down"
+            data-index="${index}" aria-label="Move down" ${index === last ? 'disabled' : ''}>↓</button>
+          <button type="button" class="prism-button prism-button--ghost prism-button--small" data-action="remove"
+            data-index="${index}" aria-label="Remove">×</button>
+        </li>
+      `;
+    }).join('');
+  }
+
+  addToken(name) {
+    const token = this.tokens.find(entry => entry.name === name);
+    this.draft.colors.push({ cssVar: `var(${name})`, hex: token ? token.value : null });
+    this.renderColors();
+    this.notifyChange();
+  }
+
+  moveColor(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.draft.colors.length) return;
+    const colors = this.draft.colors;
+    [colors[index], colors[target]] = [colors[target], colors[index]];
+    this.renderColors();
+    this.notifyChange();
+  }
+
+  removeColor(index) {
+    this.draft.colors.splice(index, 1);
+    this.renderColors();
+    this.notifyChange();
+  }
+
+  save() {
+    const name = this.draft.name.trim();
+    if (!name) {
+      this.showStatus('Name the palette before saving.', true);
+      return;
+    }
+    if (!this.draft.colors.length) {
+      this.showStatus('Add at least one token before saving.', true);
+      return;
+    }
+
+    const saved = this.store.save({ ...this.draft, name });
+    this.draft = this.createDraft(saved);
+    if (this.deleteButton) this.deleteButton.disabled = false;
+    this.showStatus(`Saved “${saved.name}”.`);
+    this.onSaved && this.onSaved(saved);
+  }
+
+  remove() {
+    if (!this.draft.id) return;
+    const { id, name } = this.draft;
+    this.store.remove(id);
+    this.load(null);
+    this.showStatus(`Deleted “${name}”.`);
+    this.onDeleted && this.onDeleted(id);
+  }
+
+  exportFile() {
+    const ids = this.draft.id ? [this.draft.id] : null;
+    const fileName = this.draft.id
+      ? `${this.draft.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.palette.json`
+      : 'custom-palettes.json';
+    downloadFile(this.store.exportJSON(ids), fileName, 'application/json');
+  }
+
+  async importFile(file) {
+    try {
+      const imported = this.store.importJSON(await file.text());
+      this.showStatus(`Imported ${imported.length} palette${imported.length === 1 ? '' : 's'} from ${file.name}.`);
+      this.onImported && this.onImported(imported);
+    } catch (error) {
+      this.showStatus(error.message, true);
+    }
+  }
+
+  notifyChange() {
+    this.onChange && this.onChange(this.draft);
+  }
+
+  showStatus(message, isError = false) {
+    if (!this.status) return;
+    this.status.textContent = message;
+    this.status.classList.toggle('is-error', Boolean(isError));
+  }
+}
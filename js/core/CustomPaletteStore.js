@@ -0,0 +1,152 @@
+/**
+ * CustomPaletteStore - Persists user-built palettes in localStorage
+ * Colors keep their `cssVar` reference so palettes follow token and theme changes;
+ * the hex captured when saving is only used when a token no longer exists.
+ */
+import { parseColor } from './colorUtils.js';
+
+const STORAGE_KEY = 'prismCustomPalettes';
+const FILE_VERSION = 1;
+const PALETTE_TYPES = ['categorical', 'sequential'];
+const VAR_REFERENCE = /^var\(\s*(--[\w-]+)\s*\)$/;
+
+export class CustomPaletteStore {
+  constructor(storageKey = STORAGE_KEY) {
+    this.storageKey = storageKey;
+    this.palettes = this.load();
+  }
+
+  load() {
+    try {
+      const raw = localStorage.getItem(this.storageKey);
+      const parsed = raw ? JSON.parse(raw) : [];
+      return Array.isArray(parsed) ? parsed.map(entry => this.normalize(entry)).filter(Boolean) : [];
+    } catch (error) {
+      console.warn('Unable to read custom palettes', error);
+      return [];
+    }
+  }
+
+  persist() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.palettes));
+    } catch (error) {
+      console.warn('Unable to persist custom palettes', error);
+    }
+  }
+
+  /**
+   * A color entry as `{ cssVar, hex }`, or null. Palettes come from shared files, so only
+   * `var(--token)` references, bare `--token` names and colors parseColor reads are kept.
+   */
+  static normalizeColor(color) {
+    const entry = typeof color === 'string' ? { cssVar: color } : color;
+    if (!entry || typeof entry !== 'object') return null;
+
+    const hex = typeof entry.hex === 'string' && parseColor(entry.hex) ? entry.hex.trim() : null;
+    const reference = typeof entry.cssVar === 'string' ? entry.cssVar.trim() : '';
+    const varMatch = reference.match(VAR_REFERENCE) || (/^--[\w-]+$/.test(reference) ? [null, reference] : null);
+    if (varMatch) return { cssVar: `var(${varMatch[1]})`, hex };
+    if (parseColor(reference)) return { cssVar: reference, hex: hex || reference };
+    return hex ? { cssVar: hex, hex } : null;
+  }
+
+  /**
+   * Validate a palette object, returning null when it is unusable
+   */
+  normalize(entry) {
+    if (!entry || typeof entry !== 'object' || !Array.isArray(entry.colors)) return null;
+
+    const colors = entry.colors
+      .map(color => CustomPaletteStore.normalizeColor(color))
+      .filter(Boolean);
+    const id = typeof entry.id === 'string' || typeof entry.id === 'number' ? String(entry.id).trim() : '';
+
+    return {
+      id: id || CustomPaletteStore.createId(),
+      name: String(entry.name || 'Custom palette').trim() || 'Custom palette',
+      type: PALETTE_TYPES.includes(entry.type) ? entry.type : 'categorical',
+      colors
+    };
+  }
+
+  static createId() {
+    return `custom-${Date.now().toString(36)}${Math.floor(Math.random() * 1e4).toString(36)}`;
+  }
+
+  list() {
+    return this.palettes.map(palette => ({ ...palette, colors: [...palette.colors] }));
+  }
+
+  get(id) {
+    const palette = this.palettes.find(entry => entry.id === id);
+    return palette ? { ...palette, colors: [...palette.colors] } : null;
+  }
+
+  /**
+   * Create or update a palette
+   * @returns {Object} The stored palette
+   */
+  save(palette) {
+    const normalized = this.normalize(palette);
+    if (!normalized) {
+      throw new Error('A custom palette needs a list of colors.');
+    }
+
+    const index = this.palettes.findIndex(entry => entry.id === normalized.id);
+    if (index === -1) {
+      this.palettes.push(normalized);
+    } else {
+      this.palettes[index] = normalized;
+    }
+    this.persist();
+    return this.get(normalized.id);
+  }
+
+  remove(id) {
+    this.palettes = this.palettes.filter(entry => entry.id !== id);
+    this.persist();
+  }
+
+  /**
+   * Serialize palettes for download
+   */
+  exportJSON(ids = null) {
+    const palettes = ids ? this.palettes.filter(entry => ids.includes(entry.id)) : this.palettes;
+    return `${JSON.stringify({ version: FILE_VERSION, palettes }, null, 2)}\n`;
+  }
+
+  /**
+   * Import palettes from a previously exported file. Palettes with an existing id are replaced.
+   * @returns {Object[]} The imported palettes
+   */
+  importJSON(text) {
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const entries = Array.isArray(payload) ? payload : payload && payload.palettes;
+    if (!Array.isArray(entries)) {
+      throw new Error('Expected a custom palette file with a "palettes" list.');
+    }
+
+    const imported = entries.map(entry => this.normalize(entry)).filter(Boolean);
+    if (!imported.length) {
+      throw new Error('The file does not contain any usable palettes.');
+    }
+
+    imported.forEach(palette => {
+      const index = this.palettes.findIndex(entry => entry.id === palette.id);
+      if (index === -1) {
+        this.palettes.push(palette);
+      } else {
+        this.palettes[index] = palette;
+      }
+    });
+    this.persist();
+    return imported;
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * DatasetPanel - Paste, drop or pick a CSV/TSV/JSON dataset for the chart previews
+ */
+import { parseDataset } from './datasetParser.js';
+
+export class DatasetPanel {
+  constructor(elements = {}) {
+    this.panel = elements.panel || null;
+    this.input = elements.input || null;
+    this.fileInput = elements.fileInput || null;
+    this.applyButton = elements.applyButton || null;
+    this.clearButton = elements.clearButton || null;
+    this.status = elements.status || null;
+    this.dataset = null;
+    this.onChange = null;
+
+    this.initEventListeners();
+  }
+
+  initEventListeners() {
+    if (this.applyButton) {
+      this.applyButton.addEventListener('click', () => this.load(this.input ? this.input.value : ''));
+    }
+
+    if (this.clearButton) {
+      this.clearButton.addEventListener('click', () => this.clear());
+    }
+
+    if (this.fileInput) {
+      this.fileInput.addEventListener('change', () => {
+        const [file] = this.fileInput.files || [];
+        if (file) this.loadFile(file);
+        this.fileInput.value = '';
+      });
+    }
+
+    if (this.panel) {
+      this.panel.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        this.panel.classList.add('is-dragging');
+      });
+      this.panel.addEventListener('dragleave', () => {
+        this.panel.classList.remove('is-dragging');
+      });
+      this.panel.addEventListener('drop', (event) => {
+        event.preventDefault();
+        this.panel.classList.remove('is-dragging');
+        const [file] = (event.dataTransfer && event.dataTransfer.files) || [];
+        if (file) this.loadFile(file);
+      });
+    }
+  }
+
+  async loadFile(file) {
+    try {
+      const text = await file.text();
+      if (this.input) this.input.value = text;
+      this.load(text, file.name);
+    } catch (error) {
+      this.showStatus(`Could not read ${file.name}: ${error.message}`, true);
+    }
+  }
+
+  load(text, fileName = '') {
+    try {
+      this.dataset = parseDataset(text, fileName);
+      const { categories, series } = this.dataset;
+      this.showStatus(`Using ${categories.length} categories × ${series.length} series${fileName ? ` from ${fileName}` : ''}.`);
+      if (this.clearButton) this.clearButton.disabled = false;
+      this.onChange && this.onChange(this.dataset);
+    } catch (error) {
+      this.showStatus(error.message, true);
+    }
+  }
+
+  clear() {
+    this.dataset = null;
+    if (this.input) this.input.value = '';
+    if (this.clearButton) this.clearButton.disabled = true;
+    this.showStatus('Using sample data.');
+    this.onChange && this.onChange(null);
+  }
+
+  showStatus(message, isError = false) {
+    if (!this.status) return;
+    this.status.textContent = message;
+    this.status.classList.toggle('is-error', Boolean(isError));
+  }
+}
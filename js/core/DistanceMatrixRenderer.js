@@ -0,0 +1,78 @@
+/**
+ * DistanceMatrixRenderer - Renders a pairwise perceptual distance heat matrix
+ */
+
+// Distances at or above this value render without highlight
+const DISTANCE_CEILING = 40;
+
+export class DistanceMatrixRenderer {
+  constructor(container) {
+    this.container = container;
+  }
+
+  getCellStyle(distance) {
+    const intensity = Math.max(0, 1 - distance / DISTANCE_CEILING);
+    const percent = Math.round(intensity * 85);
+    return `background: color-mix(in srgb, var(--prism-color-text-critical-default) ${percent}%, transparent);`;
+  }
+
+  /**
+   * Render the matrix
+   * @param {Object} analysis
+   * @param {string[]} analysis.colors - Colors shown in headers
+   * @param {string[]} analysis.labels - Short labels per color
+   * @param {number[][]} analysis.matrix - Pairwise distances
+   * @param {Object} analysis.summary - Output of PaletteAnalyzer.summarize
+   * @param {number[]} analysis.selected - Indices picked for the preview
+   * @param {string} analysis.metricLabel - Distance metric name
+   */
+  render(analysis) {
+    if (!this.container) return;
+    if (!analysis || !analysis.colors.length) {
+      this.container.innerHTML = '';
+      return;
+    }
+
+    const { colors, labels, matrix, summary, selected = [], metricLabel } = analysis;
+    const isSelected = (index) => selected.includes(index);
+
+    const headerCells = colors.map((color, index) => `
+      <th scope="col" class="distance-matrix__header ${isSelected(index) ? 'is-selected' : ''}" title="${labels[index]} ${color}">
+        <span class="distance-matrix__swatch" style="background: ${color};"></span>
+      </th>
+    `).join('');
+
+    const rows = matrix.map((row, rowIndex) => {
+      const cells = row.map((distance, columnIndex) => {
+        if (rowIndex === columnIndex) {
+          return '<td class="distance-matrix__cell is-diagonal"></td>';
+        }
+        const title = `${labels[rowIndex]} ↔ ${labels[columnIndex]}: ${distance.toFixed(1)}`;
+        return `<td class="distance-matrix__cell" style="${this.getCellStyle(distance)}" title="${title}">${Math.round(distance)}</td>`;
+      }).join('');
+
+      return `
+        <tr>
+          <th scope="row" class="distance-matrix__header ${isSelected(rowIndex) ? 'is-selected' : ''}" title="${labels[rowIndex]} ${colors[rowIndex]}">
+            <span class="distance-matrix__swatch" style="background: ${colors[rowIndex]};"></span>
+          </th>
+          ${cells}
+        </tr>
+      `;
+    }).join('');
+
+    const closest = summary.closest
+      ? `Closest pair: <strong>${labels[summary.closest.first]}</strong> ↔ <strong>${labels[summary.closest.second]}</strong> (${summary.closest.distance.toFixed(1)})`
+      : '';
+
+    this.container.innerHTML = `
+      <p class="distance-matrix__summary">${metricLabel} · mean ${summary.mean.toFixed(1)} · ${closest}</p>
+      <div class="distance-matrix__scroll">
+        <table class="distance-matrix">
+          <thead><tr><td></td>${headerCells}</tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+}
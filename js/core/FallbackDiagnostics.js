@@ -0,0 +1,90 @@
+/**
+ * FallbackDiagnostics - Records every time a hard-coded value stands in for a Prism token
+ * Fallbacks that resolved tokens have drifted away from are recorded as well, so stale
+ * defaults surface before the token they shadow goes missing.
+ */
+import { parseColor, blend, deltaE2000 } from './colorUtils.js';
+
+// Fallbacks further than this (ΔE2000) from the token value count as drifted
+export const DRIFT_THRESHOLD = 10;
+
+const WHITE = parseColor('#ffffff');
+
+export class FallbackDiagnostics {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * ΔE2000 between two color strings (translucent colors over white), or null if unparseable
+   */
+  measureDrift(fallback, actual) {
+    const a = parseColor(fallback);
+    const b = parseColor(actual);
+    if (!a || !b) return null;
+    return deltaE2000(blend(a, WHITE), blend(b, WHITE));
+  }
+
+  /**
+   * Record that `fallback` was used because `token` did not resolve
+   * @param {string} source - Feature that used the fallback (e.g. 'chart', 'custom')
+   * @param {string} token - Custom property name
+   * @param {string} fallback - Value used instead
+   * @param {Object} details
+   * @param {string} [details.context] - What the value was used for
+   * @param {string} [details.theme]
+   * @param {string|null} [details.reference] - Value of the token found elsewhere, for comparison
+   */
+  recordFallback(source, token, fallback, { context = '', theme = 'light', reference = null } = {}) {
+    this.add('fallback', source, token, {
+      fallback,
+      context,
+      theme,
+      actual: reference,
+      drift: reference ? this.measureDrift(fallback, reference) : null
+    });
+  }
+
+  /**
+   * Record a token that resolved to nothing and had no fallback, e.g. an alias whose chain is broken
+   */
+  recordUnresolved(source, token, { context = '', theme = 'light' } = {}) {
+    this.add('unresolved', source, token, { fallback: null, context, theme, actual: null, drift: null });
+  }
+
+  /**
+   * Compare an unused fallback with the value its token resolved to and record it if it drifted
+   */
+  checkDrift(source, token, fallback, actual, { context = '', theme = 'light' } = {}) {
+    const drift = this.measureDrift(fallback, actual);
+    if (drift === null || drift <= DRIFT_THRESHOLD) return;
+    this.add('drift', source, token, { fallback, context, theme, actual, drift });
+  }
+
+  add(kind, source, token, details) {
+    const key = `${kind}|${source}|${token}`;
+    const entry = this.entries.get(key) || { kind, source, token, themes: [], count: 0 };
+    if (!entry.themes.includes(details.theme)) entry.themes.push(details.theme);
+    this.entries.set(key, {
+      ...entry,
+      fallback: details.fallback,
+      context: details.context,
+      actual: details.actual ?? entry.actual ?? null,
+      drift: details.drift ?? entry.drift ?? null,
+      count: entry.count + 1
+    });
+  }
+
+  /**
+   * Forget entries from a source before it resolves its tokens again
+   */
+  clear(source = null) {
+    Array.from(this.entries.keys()).forEach(key => {
+      if (!source || this.entries.get(key).source === source) this.entries.delete(key);
+    });
+  }
+
+  getEntries(kind = null) {
+    return Array.from(this.entries.values()).filter(entry => !kind || entry.kind === kind);
+  }
+}
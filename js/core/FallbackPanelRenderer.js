@@ -0,0 +1,111 @@
+/**
+ * FallbackPanelRenderer - Dismissible "N tokens fell back" notice built from FallbackDiagnostics
+ * Lists each fallback with the value used, the live token value when known and the ΔE between them
+ */
+import { THEME_LABELS } from './themeSampler.js';
+import { escapeHTML } from './domUtils.js';
+
+const SOURCE_LABELS = Object.freeze({
+  chart: 'Chart theme',
+  palettes: 'Palette registry',
+  custom: 'Custom palette'
+});
+
+export class FallbackPanelRenderer {
+  constructor(container) {
+    this.container = container;
+    this.dismissedSignature = null;
+    this.signature = '';
+
+    if (this.container) {
+      this.container.addEventListener('click', (event) => {
+        if (event.target.closest('[data-action="dismiss"]')) this.dismiss();
+      });
+    }
+  }
+
+  /**
+   * Entries identify the panel contents; a dismissed panel reappears once they change
+   */
+  getSignature(entries) {
+    return entries.map(entry => `${entry.kind}|${entry.source}|${entry.token}`).sort().join(',');
+  }
+
+  dismiss() {
+    this.dismissedSignature = this.signature;
+    if (this.container) this.container.hidden = true;
+  }
+
+  renderValue(value) {
+    if (!value) return '<span class="fallback-panel__value">–</span>';
+    return `
+      <span class="fallback-panel__value">
+        <span class="fallback-panel__chip" style="background: ${escapeHTML(value)};"></span>${escapeHTML(value)}
+      </span>
+    `;
+  }
+
+  renderRow(entry) {
+    const themes = entry.themes.map(theme => THEME_LABELS[theme] || theme).join(', ');
+    const drift = entry.drift === null ? '–' : Math.round(entry.drift);
+    return `
+      <tr class="fallback-panel__row is-${entry.kind}">
+        <th scope="row">
+          <code>${escapeHTML(entry.token)}</code>
+          <span class="fallback-panel__context">${SOURCE_LABELS[entry.source] || escapeHTML(entry.source)} · ${escapeHTML(entry.context)}</span>
+        </th>
+        <td>${this.renderValue(entry.fallback)}</td>
+        <td>${this.renderValue(entry.actual)}</td>
+        <td>${drift}</td>
+        <td>${themes}</td>
+      </tr>
+    `;
+  }
+
+  /**
+   * @param {Array} entries - FallbackDiagnostics entries
+   */
+  render(entries) {
+    if (!this.container) return;
+
+    this.signature = this.getSignature(entries);
+    if (!entries.length || this.signature === this.dismissedSignature) {
+      this.container.hidden = true;
+      this.container.innerHTML = '';
+      return;
+    }
+
+    const unresolved = entries.filter(entry => entry.kind === 'unresolved');
+    const fallbacks = entries.filter(entry => entry.kind === 'fallback');
+    const drifted = entries.filter(entry => entry.kind === 'drift');
+    const summary = [
+      unresolved.length ? `${unresolved.length} token${unresolved.length === 1 ? '' : 's'} did not resolve` : null,
+      fallbacks.length ? `${fallbacks.length} token${fallbacks.length === 1 ? '' : 's'} fell back` : null,
+      drifted.length ? `${drifted.length} fallback${drifted.length === 1 ? '' : 's'} drifted from the token` : null
+    ].filter(Boolean).join(' · ');
+
+    this.container.innerHTML = `
+      <div class="fallback-panel__header">
+        <strong class="fallback-panel__summary">${summary}</strong>
+        <button type="button" class="prism-button prism-button--ghost prism-button--small" data-action="dismiss"
+          aria-label="Dismiss fallback report">×</button>
+      </div>
+      <details class="fallback-panel__details">
+        <summary>Details</summary>
+        <table class="fallback-panel__table">
+          <thead>
+            <tr>
+              <th scope="col">Token</th>
+              <th scope="col">Fallback</th>
+              <th scope="col">Token value</th>
+              <th scope="col">ΔE</th>
+              <th scope="col">Themes</th>
+            </tr>
+          </thead>
+          <tbody>${[...unresolved, ...fallbacks, ...drifted].map(entry => this.renderRow(entry)).join('')}</tbody>
+        </table>
+      </details>
+    `;
+    this.container.hidden = false;
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * PaletteAnalyzer - Perceptual distance analysis for palettes
+ * Computes pairwise CIEDE2000 / OKLab distances and picks the most distinguishable subset
+ */
+import { deltaE2000, deltaEOK } from './colorUtils.js';
+
+export const DISTANCE_METRICS = Object.freeze({
+  ciede2000: { label: 'CIEDE2000', measure: deltaE2000 },
+  oklab: { label: 'OKLab ΔE', measure: deltaEOK }
+});
+
+export class PaletteAnalyzer {
+  constructor(metric = 'ciede2000') {
+    this.metric = DISTANCE_METRICS[metric] ? metric : 'ciede2000';
+  }
+
+  setMetric(metric) {
+    if (DISTANCE_METRICS[metric]) {
+      this.metric = metric;
+    }
+  }
+
+  getMetricLabel() {
+    return DISTANCE_METRICS[this.metric].label;
+  }
+
+  /**
+   * Compute the symmetric matrix of pairwise distances
+   * @param {string[]} colors - Color values
+   * @returns {number[][]}
+   */
+  computeDistanceMatrix(colors) {
+    const { measure } = DISTANCE_METRICS[this.metric];
+    const matrix = colors.map(() => new Array(colors.length).fill(0));
+
+    for (let i = 0; i < colors.length; i++) {
+      for (let j = i + 1; j < colors.length; j++) {
+        const distance = measure(colors[i], colors[j]) ?? 0;
+        matrix[i][j] = distance;
+        matrix[j][i] = distance;
+      }
+    }
+
+    return matrix;
+  }
+
+  /**
+   * Summarize a distance matrix: closest pair and mean distance
+   */
+  summarize(matrix) {
+    let closest = null;
+    let total = 0;
+    let pairs = 0;
+
+    for (let i = 0; i < matrix.length; i++) {
+      for (let j = i + 1; j < matrix.length; j++) {
+        const distance = matrix[i][j];
+        total += distance;
+        pairs++;
+        if (!closest || distance < closest.distance) {
+          closest = { first: i, second: j, distance };
+        }
+      }
+    }
+
+    return { closest, mean: pairs ? total / pairs : 0 };
+  }
+
+  /**
+   * Pick the indices of the N most distinguishable colors.
+   * Greedy max-min selection seeded with the most distant pair, so the
+   * smallest distance inside the selection stays as large as possible.
+   * @returns {number[]} Indices in selection order
+   */
+  pickMostDistinguishable(colors, count, matrix = null) {
+    if (!colors || !colors.length || count <= 0) return [];
+    if (count >= colors.length) return colors.map((_, index) => index);
+
+    const distances = matrix || this.computeDistanceMatrix(colors);
+    if (count === 1) return [0];
+
+    let seed = [0, 1];
+    let best = -1;
+    for (let i = 0; i < colors.length; i++) {
+      for (let j = i + 1; j < colors.length; j++) {
+        if (distances[i][j] > best) {
+          best = distances[i][j];
+          seed = [i, j];
+        }
+      }
+    }
+
+    const selected = [...seed];
+    while (selected.length < count) {
+      let candidate = -1;
+      let candidateDistance = -1;
+      colors.forEach((_, index) => {
+        if (selected.includes(index)) return;
+        const nearest = Math.min(...selected.map(chosen => distances[index][chosen]));
+        if (nearest > candidateDistance) {
+          candidateDistance = nearest;
+          candidate = index;
+        }
+      });
+      if (candidate === -1) break;
+      selected.push(candidate);
+    }
+
+    return selected;
+  }
+}
@@ -2,12 +2,38 @@
  * PaletteManager - Core module for managing color palettes from design tokens
  * Centralizes palette loading and processing logic
  */
+import { PaletteRegistry } from './PaletteRegistry.js';
+
+// Diverging presets: sequential family below the midpoint → sequential family above it
+export const DIVERGING_PRESETS = Object.freeze({
+  'critical-success': { label: 'Critical ↔ Success', negative: 'critical', positive: 'success' },
+  'critical-info': { label: 'Critical ↔ Info', negative: 'critical', positive: 'info' },
+  'warning-info': { label: 'Warning ↔ Info', negative: 'warning', positive: 'info' },
+  'warning-intelligence': { label: 'Warning ↔ Intelligence', negative: 'warning', positive: 'intelligence' },
+});
+
+// Brand sequential palette that has no foundation tokens
+const BRAND_SUNSET_COLORS = Object.freeze([
+  '#20114B', '#3A2170', '#5A2F8A', '#7A3D9F', '#9B4AB2',
+  '#C54FA0', '#E75A6A', '#F97845', '#FFA05C', '#FFC378', '#FFE099'
+]);
+
 export class PaletteManager {
-  constructor() {
+  /**
+   * @param {FallbackDiagnostics|null} diagnostics - Receives every token that fell back
+   */
+  constructor(diagnostics = null) {
     this.palettes = null;
+    this.registry = null;
+    this.customPalettes = [];
+    this.diagnostics = diagnostics;
     this.initialized = false;
   }
 
+  getCurrentTheme() {
+    return document.documentElement.getAttribute('data-theme') || 'light';
+  }
+
   /**
    * Initialize the palette manager and load palettes from CSS variables
    */
@@ -26,12 +52,25 @@ export class PaletteManager {
   }
 
   /**
-   * Load color palettes from CSS variables in the design tokens
+   * Load color palettes from CSS variables in the design tokens.
+   * Chart families are discovered by the PaletteRegistry; grouped palettes are keyed by
+   * family for backgrounds plus a `figure` list with one color per family.
    * @returns {Object} Object containing all palette categories
    */
   loadPalettesFromTokens() {
     const styles = getComputedStyle(document.documentElement);
-    
+    const theme = this.getCurrentTheme();
+    if (this.diagnostics) {
+      this.diagnostics.clear('palettes');
+      this.diagnostics.clear('custom');
+    }
+    this.registry = PaletteRegistry.fromDocument(this.diagnostics
+      ? (name, declared) => this.diagnostics.recordUnresolved('palettes', name, {
+        context: declared ? `declared as ${declared}, left out of the palettes` : 'not declared in this theme, left out of the palettes',
+        theme
+      })
+      : null, theme);
+
     const getCSSVar = (varName) => {
       const value = styles.getPropertyValue(varName).trim();
       return value || null;
@@ -42,151 +81,123 @@ export class PaletteManager {
       cssVar: cssVar || hex,
     });
 
-    const buildColorTokens = (type, range, fallbackColors = []) => {
-      const palette = [];
-      range.forEach((suffix, index) => {
-        const varName = `--prism-color-chart-${type}-${suffix}`;
-        const hex = getCSSVar(varName) || (fallbackColors[index] || null);
-        if (hex) {
-          palette.push(buildPaletteItem(hex, `var(${varName})`));
-        }
-      });
-      return palette;
-    };
+    const buildRegistryItem = (entry) => ({
+      ...buildPaletteItem(entry.value, `var(${entry.name})`),
+      family: entry.family,
+      role: entry.role,
+      level: entry.level,
+    });
 
-    const buildGroupedPalettes = (baseType, groups) => {
+    const buildGroupedPalettes = (group) => {
       const palettes = {};
-      Object.entries(groups).forEach(([groupName, config]) => {
-        if (Array.isArray(config)) {
-          palettes[groupName] = buildColorTokens(baseType, config);
-        } else {
-          palettes[groupName] = buildColorTokens(baseType, config.suffixes, config.fallbacks);
-        }
+      this.registry.getFamilies(group, 'background').forEach(family => {
+        palettes[family] = this.registry.getTokens({ group, family, role: 'background' }).map(buildRegistryItem);
       });
+      palettes.figure = this.registry.getPrimaryTokens(group, 'figure').map(buildRegistryItem);
       return palettes;
     };
 
-    // Build categorical palette (1-21 range)
-    const categoricalPalette = buildColorTokens('categorical', 
-      Array.from({length: 21}, (_, i) => String(i + 1).padStart(2, '0'))
-    );
-
-    // Build sequential palettes for each type (1-11 range)
-    const sequentialTypes = ['info', 'critical', 'intelligence', 'neutral', 'success', 'warning'];
     const sequentialPalettes = {};
-    
-    sequentialTypes.forEach(type => {
-      const palette = buildColorTokens(`sequential-${type}`, 
-        Array.from({length: 11}, (_, i) => String(i + 1).padStart(2, '0'))
-      );
-      if (palette.length > 0) {
-        sequentialPalettes[type] = palette;
-      }
+    this.registry.getFamilies('sequential').forEach(family => {
+      sequentialPalettes[family] = this.registry.getTokens({ group: 'sequential', family }).map(buildRegistryItem);
     });
 
-    // Add Brand - Sunset sequential palette
-    const brandSunsetColors = [
-      '#20114B', '#3A2170', '#5A2F8A', '#7A3D9F', '#9B4AB2',
-      '#C54FA0', '#E75A6A', '#F97845', '#FFA05C', '#FFC378', '#FFE099'
-    ];
-    
-    sequentialPalettes['brand-sunset'] = brandSunsetColors.map((hex, index) => {
-      const step = String(index + 1).padStart(2, '0');
-      const cssVar = `var(--prism-color-chart-sequential-brand-sunset-${step})`;
-      return buildPaletteItem(hex, cssVar);
-    });
+    // Brand Sunset has no chart tokens in the foundation, so it stays a hand-written palette
+    if (!sequentialPalettes['brand-sunset']) {
+      sequentialPalettes['brand-sunset'] = BRAND_SUNSET_COLORS.map(hex => buildPaletteItem(hex));
+    }
 
-    // Build grouped palettes
-    const demandPalettes = buildGroupedPalettes('demand', {
-      'very-low': { suffixes: ['background-very-low'], fallbacks: ['#e8f4fd'] },
-      'low': { suffixes: ['background-low'], fallbacks: ['#b3daf7'] },
-      'normal': { suffixes: ['background-normal'], fallbacks: ['#f0f9ff'] },
-      'elevated': { suffixes: ['background-elevated'], fallbacks: ['#fef2f2'] },
-      'high': { suffixes: ['background-high'], fallbacks: ['#fecaca'] },
-      'very-high': { suffixes: ['background-very-high'], fallbacks: ['#dc2626'] },
-      'figure': {
-        suffixes: ['figure-very-low', 'figure-low', 'figure-normal', 'figure-elevated', 'figure-high', 'figure-very-high'],
-        fallbacks: ['#e8f4fd', '#b3daf7', '#f0f9ff', '#fef2f2', '#fecaca', '#dc2626']
-      }
-    });
+    // Parity (loss ↔ meet ↔ win) comes from the color-mapping tokens, meet is the midpoint
+    const parityPalette = ['loss-dark', 'loss-light', 'meet-light', 'win-light']
+      .map(suffix => {
+        const varName = `--color-parity-${suffix}`;
+        const hex = getCSSVar(varName);
+        return hex ? { ...buildPaletteItem(hex, `var(${varName})`), midpoint: suffix === 'meet-light' } : null;
+      })
+      .filter(Boolean);
 
-    const statusPalettes = buildGroupedPalettes('status', {
-      'critical': {
-        suffixes: ['background-critical-default', 'background-critical-emphasis'],
-        fallbacks: ['#d73027', '#f46d43']
-      },
-      'warning': {
-        suffixes: ['background-warning-default', 'background-warning-emphasis'],
-        fallbacks: ['#fdae61', '#fee08b']
-      },
-      'success': {
-        suffixes: ['background-success-default', 'background-success-emphasis'],
-        fallbacks: ['#e6f598', '#abdda4']
-      },
-      'neutral': {
-        suffixes: ['neutral-background-empty'],
-        fallbacks: ['#f3f4f6']
-      },
-      'figure': {
-        suffixes: ['figure-critical', 'figure-warning', 'figure-success', 'figure-intelligence', 'neutral-figure-empty'],
-        fallbacks: ['#a50026', '#fdae61', '#66bd63', '#66bd63', '#6b7280']
-      }
-    });
+    return {
+      categorical: this.registry.getTokens({ group: 'categorical' }).map(buildRegistryItem),
+      sequential: sequentialPalettes,
+      'demand-colors': buildGroupedPalettes('demand'),
+      'status-colors': buildGroupedPalettes('status'),
+      'informational-colors': buildGroupedPalettes('informational'),
+      'intelligence-colors': buildGroupedPalettes('intelligence'),
+      'accent-colors': this.registry.getTokens({ group: 'accent' }).map(buildRegistryItem),
+      custom: this.customPalettes.map(palette => this.resolveCustomPalette(palette)),
+      parity: parityPalette,
+    };
+  }
 
-    const informationalPalettes = buildGroupedPalettes('info', {
-      'low': {
-        suffixes: ['background-low-default', 'background-low-emphasis'],
-        fallbacks: ['#e0f2fe', '#b3e5fc']
-      },
-      'normal': {
-        suffixes: ['background-normal-default', 'background-normal-emphasis'],
-        fallbacks: ['#4fc3f7', '#29b6f6']
-      },
-      'high': {
-        suffixes: ['background-high-default', 'background-high-emphasis'],
-        fallbacks: ['#0288d1', '#0277bd']
-      },
-      'figure': {
-        suffixes: ['figure-low', 'figure-normal', 'figure-high', 'figure-very-high'],
-        fallbacks: ['#b3e5fc', '#29b6f6', '#0277bd', '#01579b']
-      }
-    });
+  /**
+   * Build a diverging palette from two sequential families meeting at a neutral midpoint
+   * @param {string} negative - Sequential family below the midpoint
+   * @param {string} positive - Sequential family above the midpoint
+   * @param {Object} options
+   * @param {number} options.steps - Total number of colors, midpoint included
+   * @param {number} options.midpoint - Position of the midpoint within the scale (0–1)
+   * @returns {Array} Palette items, the midpoint flagged with `midpoint: true`
+   */
+  buildDivergingPalette(negative, positive, { steps = 7, midpoint = 0.5 } = {}) {
+    const negativeFamily = this.getPalette('sequential', negative);
+    const positiveFamily = this.getPalette('sequential', positive);
+    const neutral = this.getPalette('sequential', 'neutral')[0];
+    if (!negativeFamily.length || !positiveFamily.length || !neutral) return [];
 
-    const intelligencePalettes = buildGroupedPalettes('intelligence', {
-      'low': {
-        suffixes: ['background-low-default', 'background-low-emphasis'],
-        fallbacks: ['#f0f4f8', '#e2e9f0']
-      },
-      'normal': {
-        suffixes: ['background-normal-default', 'background-normal-emphasis'],
-        fallbacks: ['#8db8d8', '#7aa8cc']
-      },
-      'high': {
-        suffixes: ['background-high-default', 'background-high-emphasis'],
-        fallbacks: ['#4682b4', '#3a6b94']
-      },
-      'figure': {
-        suffixes: ['figure-low', 'figure-normal', 'figure-high'],
-        fallbacks: ['#e2e9f0', '#4682b4', '#1e3a52']
-      }
-    });
+    // Split the non-neutral steps between both sides according to the midpoint
+    const sideSteps = Math.max(2, steps - 1);
+    const negativeCount = Math.min(Math.max(Math.round(sideSteps * midpoint), 1), sideSteps - 1);
+    const positiveCount = sideSteps - negativeCount;
 
-    const accentPalettes = buildColorTokens('accent', [
-      'primary-figure-subdued', 'primary-figure-default', 'primary-figure-emphasis',
-      'secondary-figure-subdued', 'secondary-figure-default', 'secondary-figure-emphasis'
-    ], [
-      '#fee0d2', '#fcbba1', '#fc9272', '#fb6a4a', '#de2d26', '#a50f15'
-    ]);
+    // Skip the lightest step of each family, it is too close to the neutral midpoint
+    const pick = (family, count) => this.selectColorsWithMaxContrast(family.slice(1), count);
 
-    return {
-      categorical: categoricalPalette,
-      sequential: sequentialPalettes,
-      'demand-colors': demandPalettes,
-      'status-colors': statusPalettes,
-      'informational-colors': informationalPalettes,
-      'intelligence-colors': intelligencePalettes,
-      'accent-colors': accentPalettes,
-    };
+    return [
+      ...pick(negativeFamily, negativeCount).reverse(),
+      { ...neutral, midpoint: true },
+      ...pick(positiveFamily, positiveCount),
+    ];
+  }
+
+  /**
+   * Register user-built palettes (see CustomPaletteStore) so they resolve alongside the built-in ones
+   */
+  setCustomPalettes(palettes) {
+    this.customPalettes = palettes || [];
+    if (this.palettes) {
+      if (this.diagnostics) this.diagnostics.clear('custom');
+      this.palettes.custom = this.customPalettes.map(palette => this.resolveCustomPalette(palette));
+    }
+  }
+
+  /**
+   * Resolve a custom palette definition against the current theme.
+   * Tokens that no longer exist fall back to the hex captured when the palette was saved.
+   */
+  resolveCustomPalette(palette) {
+    const styles = getComputedStyle(document.documentElement);
+    const theme = this.getCurrentTheme();
+    const colors = (palette.colors || [])
+      .map(color => {
+        const match = (color.cssVar || '').match(/^var\(\s*(--[\w-]+)/);
+        const value = match ? styles.getPropertyValue(match[1]).trim() : '';
+        const hex = value || color.hex;
+        if (match && !value && color.hex && this.diagnostics) {
+          this.diagnostics.recordFallback('custom', match[1], color.hex, { context: `saved in “${palette.name}”`, theme });
+        }
+        return hex ? { hex, cssVar: color.cssVar || hex } : null;
+      })
+      .filter(Boolean);
+
+    return { id: palette.id, name: palette.name, type: palette.type, colors };
+  }
+
+  /**
+   * Get a resolved custom palette by id
+   */
+  getCustomPalette(id) {
+    const custom = (this.palettes && this.palettes.custom) || [];
+    return custom.find(palette => palette.id === id) || null;
   }
 
   /**
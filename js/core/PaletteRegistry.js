@@ -0,0 +1,176 @@
+/**
+ * PaletteRegistry - Discovers chart palettes from `--prism-color-chart-*` tokens
+ * Every token is classified by group (sequential, categorical, status…), role
+ * (background or figure), family and level, so new foundation tokens show up in the
+ * data-viz tool, the palette explorer and the exports without code changes.
+ */
+import { listColorTokenNames, readDeclaredValues } from './tokenSource.js';
+
+const CHART_PREFIX = '--prism-color-chart-';
+
+// Token name segment → registry group
+const GROUP_ALIASES = Object.freeze({
+  info: 'informational',
+  neutral: 'status'
+});
+
+export const GROUP_ORDER = Object.freeze([
+  'sequential', 'categorical', 'accent', 'status', 'informational', 'intelligence', 'demand'
+]);
+
+const FAMILY_ORDER = [
+  'info', 'critical', 'warning', 'success', 'intelligence', 'neutral',
+  'primary', 'secondary',
+  'very-low', 'low', 'normal', 'elevated', 'high', 'very-high'
+];
+
+const LEVEL_ORDER = [
+  'very-low', 'low', 'normal', 'elevated', 'high', 'very-high',
+  'subdued', 'default', 'emphasis', 'empty'
+];
+
+// Level used when a grouped figure palette shows one color per family
+const PRIMARY_LEVELS = ['normal', 'default', 'empty'];
+
+const ROLES = ['background', 'figure'];
+
+function rank(list, value) {
+  const index = list.indexOf(value);
+  return index === -1 ? list.length : index;
+}
+
+/**
+ * Classify a chart token name
+ * @returns {{ group: string, family: string, role: string|null, level: string|null, step: number|null }}
+ */
+export function classifyChartToken(name) {
+  if (!name.startsWith(CHART_PREFIX)) return null;
+  const rest = name.slice(CHART_PREFIX.length);
+
+  let match = rest.match(/^categorical-(\d+)$/);
+  if (match) {
+    return { group: 'categorical', family: 'categorical', role: null, level: null, step: Number(match[1]) };
+  }
+
+  match = rest.match(/^sequential-([a-z0-9-]+)-(\d+)$/);
+  if (match) {
+    return { group: 'sequential', family: match[1], role: null, level: null, step: Number(match[2]) };
+  }
+
+  // accent-<family>-<role>-<level>
+  match = rest.match(/^accent-([a-z0-9]+)-(background|figure)-([a-z-]+)$/);
+  if (match) {
+    return { group: 'accent', family: match[1], role: match[2], level: match[3], step: null };
+  }
+
+  // status-<role>-<family>-<level>
+  match = rest.match(/^status-(background|figure)-([a-z0-9]+)-([a-z-]+)$/);
+  if (match) {
+    return { group: 'status', family: match[2], role: match[1], level: match[3], step: null };
+  }
+
+  // neutral-<role>-<level> belongs to the status group as the "neutral" family
+  // info|intelligence-background-<family>-<level>, info|intelligence|demand-<role>-<level>
+  match = rest.match(/^([a-z]+)-(background|figure)-(.+)$/);
+  if (match) {
+    const [, segment, role, remainder] = match;
+    const group = GROUP_ALIASES[segment] || segment;
+    if (segment === 'neutral') {
+      return { group, family: 'neutral', role, level: remainder, step: null };
+    }
+    const variant = remainder.match(/^(.+)-(default|emphasis|subdued)$/);
+    return variant
+      ? { group, family: variant[1], role, level: variant[2], step: null }
+      : { group, family: remainder, role, level: remainder, step: null };
+  }
+
+  // Unknown structure: keep the token visible under its first segment
+  const [segment, ...others] = rest.split('-');
+  return { group: GROUP_ALIASES[segment] || segment, family: others.join('-') || segment, role: null, level: null, step: null };
+}
+
+export class PaletteRegistry {
+  /**
+   * @param {Array<{ name: string, value: string }>} tokens - Chart tokens with their values
+   */
+  constructor(tokens = []) {
+    this.entries = tokens
+      .map(token => {
+        const meta = classifyChartToken(token.name);
+        return meta ? { ...meta, name: token.name, value: token.value } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => this.compare(a, b));
+  }
+
+  /**
+   * Build a registry from a parsed `{ name: value }` map (e.g. a tokens.css `:root` block)
+   */
+  static fromVars(vars) {
+    return new PaletteRegistry(Object.entries(vars).map(([name, value]) => ({ name, value })));
+  }
+
+  /**
+   * Build a registry from the page's stylesheets, with the computed values in the current theme.
+   * Tokens that compute to nothing (an alias whose chain is broken, or a name the theme does not
+   * declare) are left out.
+   * @param {Function|null} onUnresolved - Called with (name, declaredValue|null) for every such token
+   * @param {string} theme - Theme whose declarations explain an unresolved token
+   */
+  static fromDocument(onUnresolved = null, theme = 'light') {
+    const styles = getComputedStyle(document.documentElement);
+    const names = listColorTokenNames().filter(name => name.startsWith(CHART_PREFIX));
+    const tokens = names.map(name => ({ name, value: styles.getPropertyValue(name).trim() }));
+    const unresolved = tokens.filter(token => !token.value);
+    if (unresolved.length && onUnresolved) {
+      const declared = readDeclaredValues(unresolved.map(token => token.name), theme);
+      unresolved.forEach(token => onUnresolved(token.name, declared[token.name] || null));
+    }
+    return new PaletteRegistry(tokens.filter(token => token.value));
+  }
+
+  compare(a, b) {
+    return rank(GROUP_ORDER, a.group) - rank(GROUP_ORDER, b.group)
+      || a.group.localeCompare(b.group)
+      || rank(ROLES, a.role) - rank(ROLES, b.role)
+      || rank(FAMILY_ORDER, a.family) - rank(FAMILY_ORDER, b.family)
+      || a.family.localeCompare(b.family)
+      || (a.step ?? 0) - (b.step ?? 0)
+      || rank(LEVEL_ORDER, a.level) - rank(LEVEL_ORDER, b.level)
+      || a.name.localeCompare(b.name);
+  }
+
+  getGroups() {
+    return Array.from(new Set(this.entries.map(entry => entry.group)));
+  }
+
+  /**
+   * Ordered family ids within a group (and role)
+   */
+  getFamilies(group, role = undefined) {
+    return Array.from(new Set(
+      this.getTokens({ group, role }).map(entry => entry.family)
+    ));
+  }
+
+  /**
+   * Ordered tokens matching the filter; omitted keys match anything
+   */
+  getTokens({ group, family, role } = {}) {
+    return this.entries.filter(entry =>
+      (group === undefined || entry.group === group) &&
+      (family === undefined || entry.family === family) &&
+      (role === undefined || entry.role === role)
+    );
+  }
+
+  /**
+   * One token per family for a role, preferring the primary level (e.g. `normal`)
+   */
+  getPrimaryTokens(group, role) {
+    return this.getFamilies(group, role).map(family => {
+      const tokens = this.getTokens({ group, family, role });
+      return tokens.find(entry => PRIMARY_LEVELS.includes(entry.level)) || tokens[0];
+    });
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * RampGenerator - Builds sequential ramps from one or two seed colors
+ * Interpolates in OKLCH or CIE Lab along a lightness curve, light to dark like the Prism
+ * sequential families, and checks the result for monotonic lightness and surface contrast.
+ */
+import {
+  parseColor, toHex, blend, toLab, fromLab, toOklch, fromOklch, contrastRatio, deltaE2000, extractVarName
+} from './colorUtils.js';
+
+// Adjacent steps must be at least this much darker (CIE L*) to count as monotonic
+const MIN_LIGHTNESS_STEP = 1;
+// Non-text contrast against the surface
+const SURFACE_CONTRAST = 3;
+// Chroma kept at the light and dark ends of a single-seed ramp
+const TINT_CHROMA = 0.2;
+const SHADE_CHROMA = 0.75;
+
+// Seeds may name a Prism token, bare or wrapped in var()
+const TOKEN_SEED = /^(?:--prism-[\w-]+|var\(\s*--prism-[\w-]+\s*\))$/;
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+/**
+ * Whether a value can be used as a ramp seed: a color parseColor accepts or a Prism token name
+ */
+export function isSeedValue(value) {
+  const input = (value || '').trim();
+  return TOKEN_SEED.test(input) || parseColor(input) !== null;
+}
+
+function mixHue(a, b, t) {
+  // Achromatic colors have no meaningful hue, take the other one's
+  if (a.c < 0.01) return b.h;
+  if (b.c < 0.01) return a.h;
+  const delta = ((b.h - a.h + 540) % 360) - 180;
+  return (a.h + delta * t + 360) % 360;
+}
+
+export const RAMP_SPACES = Object.freeze({
+  oklch: {
+    label: 'OKLCH',
+    lightness: [0.97, 0.25],
+    toSpace: toOklch,
+    fromSpace: fromOklch,
+    withLightness: (color, l, chroma) => ({ l, c: color.c * chroma, h: color.h }),
+    mix: (a, b, t) => ({ l: lerp(a.l, b.l, t), c: lerp(a.c, b.c, t), h: mixHue(a, b, t) })
+  },
+  lab: {
+    label: 'CIE Lab',
+    lightness: [97, 25],
+    toSpace: toLab,
+    fromSpace: (lab) => {
+      const rgb = fromLab(lab);
+      return { ...rgb, inGamut: deltaE2000(toLab(rgb), lab) < 1 };
+    },
+    withLightness: (color, l, chroma) => ({ l, a: color.a * chroma, b: color.b * chroma }),
+    mix: (a, b, t) => ({ l: lerp(a.l, b.l, t), a: lerp(a.a, b.a, t), b: lerp(a.b, b.b, t) })
+  }
+});
+
+// Easing of the lightness progression, t = 0 is the light end
+export const LIGHTNESS_CURVES = Object.freeze({
+  linear: { label: 'Linear', ease: (t) => t },
+  'ease-in': { label: 'More light steps', ease: (t) => t * t },
+  'ease-out': { label: 'More dark steps', ease: (t) => 1 - (1 - t) * (1 - t) },
+  'ease-in-out': { label: 'More steps at both ends', ease: (t) => t * t * (3 - 2 * t) }
+});
+
+export class RampGenerator {
+  /**
+   * Resolve a seed given as a color or a Prism token (`--prism-color-…` or `var(…)`)
+   * @returns {string|null} Color value in the current theme
+   */
+  resolveSeed(input) {
+    const value = (input || '').trim();
+    if (!value) return null;
+    const varName = extractVarName(value) || (value.startsWith('--') ? value : null);
+    const color = varName
+      ? getComputedStyle(document.documentElement).getPropertyValue(varName).trim()
+      : value;
+    return parseColor(color) ? color : null;
+  }
+
+  /**
+   * Anchor colors in the interpolation space, lightest first.
+   * A single seed sits between a light tint and a dark shade of itself.
+   */
+  buildAnchors(seeds, spaceConfig) {
+    const colors = seeds.map(seed => spaceConfig.toSpace(blend(parseColor(seed), parseColor('#ffffff'))));
+    if (colors.length > 1) {
+      return colors.sort((a, b) => b.l - a.l);
+    }
+
+    const [seed] = colors;
+    const [light, dark] = spaceConfig.lightness;
+    const tint = spaceConfig.withLightness(seed, light, TINT_CHROMA);
+    const shade = spaceConfig.withLightness(seed, dark, SHADE_CHROMA);
+    if (seed.l >= light) return [seed, shade];
+    if (seed.l <= dark) return [tint, seed];
+    return [tint, seed, shade];
+  }
+
+  /**
+   * Point on the anchor path at lightness `l`; `t` is used when the anchors share a lightness
+   */
+  pointAt(anchors, l, t, spaceConfig) {
+    const first = anchors[0];
+    const last = anchors[anchors.length - 1];
+    if (Math.abs(first.l - last.l) < 1e-6) {
+      const position = t * (anchors.length - 1);
+      const index = Math.min(Math.floor(position), anchors.length - 2);
+      return spaceConfig.mix(anchors[index], anchors[index + 1], position - index);
+    }
+
+    for (let index = 0; index < anchors.length - 1; index++) {
+      const from = anchors[index];
+      const to = anchors[index + 1];
+      if (l >= to.l || index === anchors.length - 2) {
+        const span = from.l - to.l;
+        const u = span > 1e-6 ? Math.min(Math.max((from.l - l) / span, 0), 1) : 0;
+        return { ...spaceConfig.mix(from, to, u), l };
+      }
+    }
+    return last;
+  }
+
+  /**
+   * Generate a ramp
+   * @param {Object} options
+   * @param {string} options.start - First seed color
+   * @param {string|null} options.end - Optional second seed color
+   * @param {number} options.steps - Number of colors
+   * @param {string} options.space - Key of RAMP_SPACES
+   * @param {string} options.curve - Key of LIGHTNESS_CURVES
+   * @returns {Array<{hex: string, inGamut: boolean}>}
+   */
+  generate({ start, end = null, steps = 9, space = 'oklch', curve = 'linear' } = {}) {
+    const seeds = [start, end].filter(seed => parseColor(seed));
+    if (!seeds.length) return [];
+
+    const spaceConfig = RAMP_SPACES[space] || RAMP_SPACES.oklch;
+    const { ease } = LIGHTNESS_CURVES[curve] || LIGHTNESS_CURVES.linear;
+    const anchors = this.buildAnchors(seeds, spaceConfig);
+    const count = Math.max(2, steps);
+    const lightest = anchors[0].l;
+    const darkest = anchors[anchors.length - 1].l;
+
+    return Array.from({ length: count }, (_, index) => {
+      const t = ease(index / (count - 1));
+      const color = spaceConfig.fromSpace(this.pointAt(anchors, lerp(lightest, darkest, t), t, spaceConfig));
+      return { hex: toHex(color), inGamut: color.inGamut !== false };
+    });
+  }
+
+  /**
+   * Per-step lightness, contrast against the surface and distance to the previous step
+   * @param {Array<{hex: string, inGamut: boolean}>} ramp
+   * @param {string} surface - Surface color the ramp is drawn on
+   */
+  check(ramp, surface = '#ffffff') {
+    const background = parseColor(surface) || parseColor('#ffffff');
+    const steps = ramp.map(item => {
+      const color = parseColor(item.hex);
+      return {
+        hex: item.hex,
+        inGamut: item.inGamut !== false,
+        lightness: toLab(color).l,
+        contrast: contrastRatio(color, background)
+      };
+    });
+
+    steps.forEach((step, index) => {
+      const previous = steps[index - 1];
+      step.delta = previous ? deltaE2000(previous.hex, step.hex) : null;
+      step.isMonotonic = !previous || previous.lightness - step.lightness >= MIN_LIGHTNESS_STEP;
+      step.isLowContrast = step.contrast < SURFACE_CONTRAST;
+    });
+
+    const deltas = steps.map(step => step.delta).filter(delta => delta !== null);
+    return {
+      steps,
+      isMonotonic: steps.every(step => step.isMonotonic),
+      lowContrast: steps.filter(step => step.isLowContrast).length,
+      outOfGamut: steps.filter(step => !step.inGamut).length,
+      minDelta: deltas.length ? Math.min(...deltas) : null,
+      surfaceContrast: SURFACE_CONTRAST
+    };
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * RampReportRenderer - Renders the lightness, contrast and gamut checks of a generated ramp
+ */
+import { escapeHTML } from './domUtils.js';
+
+export class RampReportRenderer {
+  constructor(container) {
+    this.container = container;
+  }
+
+  renderBadge(pass, label) {
+    return `<span class="contrast-badge contrast-badge--${pass ? 'pass' : 'fail'}">${label}</span>`;
+  }
+
+  renderSummary(report) {
+    const notMonotonic = report.steps.filter(step => !step.isMonotonic).length;
+    return [
+      this.renderBadge(report.isMonotonic, report.isMonotonic
+        ? 'Lightness decreases at every step'
+        : `${notMonotonic} step${notMonotonic === 1 ? '' : 's'} not darker than the previous`),
+      this.renderBadge(!report.lowContrast, report.lowContrast
+        ? `${report.lowContrast} below ${report.surfaceContrast}:1 on surface`
+        : `All ${report.surfaceContrast}:1 on surface`),
+      report.outOfGamut
+        ? `<span class="contrast-badge contrast-badge--info">${report.outOfGamut} chroma-reduced to fit sRGB</span>`
+        : ''
+    ].join('');
+  }
+
+  renderRows(report) {
+    return report.steps.map((step, index) => `
+      <tr class="${step.isMonotonic ? '' : 'is-not-monotonic'}">
+        <th scope="row">${String(index + 1).padStart(2, '0')}</th>
+        <td><span class="ramp-report__chip" style="background: ${step.hex};"></span>${step.hex}${step.inGamut ? '' : ' *'}</td>
+        <td>${step.lightness.toFixed(1)}</td>
+        <td class="${step.isLowContrast ? 'is-fail' : ''}">${step.contrast.toFixed(2)}:1</td>
+        <td>${step.delta === null ? '–' : step.delta.toFixed(1)}</td>
+      </tr>
+    `).join('');
+  }
+
+  /**
+   * @param {Object|null} report - RampGenerator.check() result, or null when the seed is invalid
+   * @param {string} error - Message shown instead of the report
+   */
+  render(report, error = '') {
+    if (!this.container) return;
+
+    if (!report) {
+      this.container.innerHTML = error ? `<p class="ramp-report__error">${escapeHTML(error)}</p>` : '';
+      return;
+    }
+
+    const minDelta = report.minDelta === null ? '–' : report.minDelta.toFixed(1);
+    this.container.innerHTML = `
+      <div class="ramp-report__summary">${this.renderSummary(report)}</div>
+      <p class="ramp-report__note">Smallest step ΔE2000: ${minDelta}</p>
+      <table class="ramp-report__table">
+        <thead>
+          <tr>
+            <th scope="col">Step</th>
+            <th scope="col">Color</th>
+            <th scope="col">L*</th>
+            <th scope="col">Surface</th>
+            <th scope="col">ΔE</th>
+          </tr>
+        </thead>
+        <tbody>${this.renderRows(report)}</tbody>
+      </table>
+    `;
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * SeededRandom - Deterministic pseudo-random generator for sample data
+ * Mulberry32 seeded from a number or a hashed string, so previews are reproducible
+ */
+export class SeededRandom {
+  constructor(seed = 1) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Hash an arbitrary seed value into an unsigned 32-bit integer
+   */
+  static hashSeed(seed) {
+    const text = String(seed ?? '');
+    if (/^\d+$/.test(text)) {
+      return Number(text) >>> 0;
+    }
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Create a fresh seed for the reshuffle action
+   */
+  static createSeed() {
+    return String(Math.floor(Math.random() * 1e6));
+  }
+
+  setSeed(seed) {
+    this.seed = String(seed ?? '1');
+    this.reset();
+  }
+
+  /**
+   * Rewind the sequence so the same seed yields the same values again
+   */
+  reset() {
+    this.state = SeededRandom.hashSeed(this.seed);
+  }
+
+  /**
+   * Next float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Float in [min, max)
+   */
+  between(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Integer in [min, max]
+   */
+  int(min, max) {
+    return Math.floor(this.between(min, max + 1));
+  }
+
+  /**
+   * Fisher-Yates shuffle returning a new array
+   */
+  shuffle(array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(this.next() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+}
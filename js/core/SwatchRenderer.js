@@ -2,60 +2,147 @@
  * SwatchRenderer - Handles rendering color swatches
  * Supports different swatch layouts for various palette types
  */
+import { parseColor, blend, relativeLuminance, contrastRatio, extractVarName } from './colorUtils.js';
+
+// Non-text contrast a swatch needs against the surface
+const SURFACE_CONTRAST = 3;
+const COPIED_LABEL_MS = 1500;
+
 export class SwatchRenderer {
   constructor(container) {
     this.container = container;
+    this.colorTransform = null;
+    this.labelled = false;
+    this.surface = parseColor('#ffffff');
+    this.copiedTimers = new WeakMap();
+  }
+
+  /**
+   * Show the step, token, hex, luminance and surface contrast on every swatch
+   * @param {boolean} labelled
+   * @param {string} surface - Surface color the contrast badge is measured against
+   */
+  setLabelled(labelled, surface = '#ffffff') {
+    this.labelled = Boolean(labelled);
+    this.surface = parseColor(surface) || parseColor('#ffffff');
+  }
+
+  /**
+   * Set a function applied to every swatch color (e.g. vision simulation), or null to disable
+   */
+  setColorTransform(transform) {
+    this.colorTransform = typeof transform === 'function' ? transform : null;
   }
 
   /**
    * Create a swatch item
+   * @param {Object} color - Palette item ({hex, cssVar})
+   * @param {number} index - Position in its row or group, used as the step when the token has none
    */
-  createSwatchItem(color) {
+  createSwatchItem(color, index = 0) {
+    const background = this.colorTransform
+      ? this.colorTransform(color.hex)
+      : (color.cssVar || color.hex);
+
+    if (this.labelled) {
+      return this.createLabelledItem(color, index, background);
+    }
+
     const item = document.createElement('div');
-    item.className = 'swatch-row__item';
-    item.style.background = color.cssVar || color.hex;
+    item.className = color.midpoint ? 'swatch-row__item swatch-row__item--midpoint' : 'swatch-row__item';
+    item.style.background = background;
+    item.setAttribute('role', 'img');
+    item.setAttribute('aria-label', [extractVarName(color.cssVar), color.hex].filter(Boolean).join(', '));
     return item;
   }
 
+  /**
+   * Swatch annotated with its token; clicking (or Enter/Space) copies the token name, or the hex
+   * when the color is not a token
+   */
+  createLabelledItem(color, index, background) {
+    const token = extractVarName(color.cssVar);
+    const step = token ? token.split('-').pop() : String(index + 1).padStart(2, '0');
+    const rgb = blend(parseColor(color.hex) || this.surface, this.surface);
+    const luminance = relativeLuminance(rgb);
+    const contrast = contrastRatio(rgb, this.surface);
+    const pass = contrast >= SURFACE_CONTRAST;
+    const copyValue = token || color.hex;
+
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = color.midpoint
+      ? 'swatch-row__item swatch-row__item--labelled swatch-row__item--midpoint'
+      : 'swatch-row__item swatch-row__item--labelled';
+    item.title = `Copy ${copyValue}`;
+    item.setAttribute('aria-label',
+      `Step ${step}, ${token || 'no token'}, ${color.hex}, ${contrast.toFixed(2)} to 1 on surface. Copy ${copyValue}`);
+    item.innerHTML = `
+      <span class="swatch-row__chip"></span>
+      <span class="swatch-row__meta">
+        <span class="swatch-row__heading">
+          <span class="swatch-row__step">${step}</span>
+          <span class="contrast-badge contrast-badge--${pass ? 'pass' : 'fail'}">${contrast.toFixed(2)}:1</span>
+        </span>
+        <span class="swatch-row__token">${token || 'No token'}</span>
+        <span class="swatch-row__values">${color.hex} · <abbr title="Relative luminance">Y</abbr> ${luminance.toFixed(3)}</span>
+      </span>
+    `;
+    item.querySelector('.swatch-row__chip').style.background = background;
+    item.addEventListener('click', () => this.copyValue(item, copyValue));
+    return item;
+  }
+
+  async copyValue(item, value) {
+    const label = item.querySelector('.swatch-row__token');
+    // Keep the token name across quick repeat clicks, when the label still reads "Copied!"
+    if (label.dataset.label === undefined) label.dataset.label = label.textContent;
+    try {
+      await navigator.clipboard.writeText(value);
+      label.textContent = 'Copied!';
+      clearTimeout(this.copiedTimers.get(item));
+      this.copiedTimers.set(item, setTimeout(() => {
+        label.textContent = label.dataset.label;
+      }, COPIED_LABEL_MS));
+    } catch (error) {
+      console.error('Failed to copy swatch value:', error);
+    }
+  }
+
   /**
    * Create a swatch group
    */
   createSwatchGroup(className, colors) {
     const group = document.createElement('div');
     group.className = `swatch-group ${className}`;
-    colors.forEach(color => {
-      group.appendChild(this.createSwatchItem(color));
+    colors.forEach((color, index) => {
+      group.appendChild(this.createSwatchItem(color, index));
     });
     return group;
   }
 
   /**
-   * Render grouped palette swatches (status, informational, intelligence, demand)
+   * Render grouped palette swatches (status, informational, intelligence, demand).
+   * Groups come from the palette itself: background families in registry order, or one
+   * swatch per figure color.
    */
-  renderGroupedPalette(row, paletteKey, groupConfig, palettes, subcategory) {
+  renderGroupedPalette(row, paletteKey, prefix, palettes, subcategory) {
     row.className = 'swatch-row swatch-row--grouped';
-    const paletteGroups = palettes[paletteKey] || {};
+    const paletteGroups = (palettes && palettes[paletteKey]) || {};
+    const classPrefix = prefix ? `${prefix}-` : '';
     
     if (subcategory === 'figure') {
       // Show each figure color as its own swatch group
-      const figureColors = paletteGroups['figure'];
-      const figureColorNames = groupConfig.figureNames;
-      
-      if (figureColors && Array.isArray(figureColors) && figureColors.length > 0) {
-        figureColors.forEach((color, index) => {
-          const colorName = figureColorNames[index] || `figure-${index + 1}`;
-          const className = `swatch-group--${groupConfig.prefix}-figure-${colorName}`;
-          row.appendChild(this.createSwatchGroup(className, [color]));
-        });
-      }
+      const figureColors = paletteGroups['figure'] || [];
+      figureColors.forEach((color, index) => {
+        const colorName = color.family || `figure-${index + 1}`;
+        row.appendChild(this.createSwatchGroup(`swatch-group--${classPrefix}figure-${colorName}`, [color]));
+      });
     } else {
-      // Show only background colors grouped by type (default)
-      groupConfig.backgroundGroups.forEach(groupName => {
-        const groupColors = paletteGroups[groupName];
-        if (groupColors && Array.isArray(groupColors) && groupColors.length > 0) {
-          const className = `swatch-group--${groupConfig.prefix}-${groupName}`;
-          row.appendChild(this.createSwatchGroup(className, groupColors));
-        }
+      // Show only background colors grouped by family (default)
+      Object.entries(paletteGroups).forEach(([groupName, groupColors]) => {
+        if (groupName === 'figure' || !Array.isArray(groupColors) || !groupColors.length) return;
+        row.appendChild(this.createSwatchGroup(`swatch-group--${classPrefix}${groupName}`, groupColors));
       });
     }
   }
@@ -70,70 +157,55 @@ export class SwatchRenderer {
     }
 
     const row = document.createElement('div');
+    const appendItem = (color, index) => row.appendChild(this.createSwatchItem(color, index));
 
     switch (paletteType) {
       case 'categorical':
         row.className = 'swatch-row swatch-row--categorical';
-        palette.forEach(color => row.appendChild(this.createSwatchItem(color)));
+        palette.forEach(appendItem);
         break;
 
       case 'status':
-        this.renderGroupedPalette(row, 'status-colors', {
-          prefix: '',
-          backgroundGroups: ['critical', 'warning', 'success', 'neutral'],
-          figureNames: ['critical', 'warning', 'success', 'intelligence', 'neutral']
-        }, palettes, subcategory);
+        this.renderGroupedPalette(row, 'status-colors', '', palettes, subcategory);
         break;
 
       case 'informational':
-        this.renderGroupedPalette(row, 'informational-colors', {
-          prefix: 'info',
-          backgroundGroups: ['low', 'normal', 'high'],
-          figureNames: ['low', 'normal', 'high', 'very-high']
-        }, palettes, subcategory);
+        this.renderGroupedPalette(row, 'informational-colors', 'info', palettes, subcategory);
         break;
 
       case 'intelligence':
-        this.renderGroupedPalette(row, 'intelligence-colors', {
-          prefix: 'intelligence',
-          backgroundGroups: ['low', 'normal', 'high'],
-          figureNames: ['low', 'normal', 'high']
-        }, palettes, subcategory);
+        this.renderGroupedPalette(row, 'intelligence-colors', 'intelligence', palettes, subcategory);
         break;
 
       case 'demand':
-        this.renderGroupedPalette(row, 'demand-colors', {
-          prefix: 'demand',
-          backgroundGroups: ['very-low', 'low', 'normal', 'elevated', 'high', 'very-high'],
-          figureNames: ['very-low', 'low', 'normal', 'elevated', 'high', 'very-high']
-        }, palettes, subcategory);
+        this.renderGroupedPalette(row, 'demand-colors', 'demand', palettes, subcategory);
         break;
 
-      case 'accent':
+      case 'accent': {
         row.className = 'swatch-row swatch-row--grouped';
-        // Group accent colors into primary and secondary groups
-        const groupSize = Math.ceil(palette.length / 2);
-        const groupNames = ['primary', 'secondary'];
-        
-        for (let groupIndex = 0; groupIndex < 2; groupIndex++) {
-          const startIndex = groupIndex * groupSize;
-          const endIndex = Math.min(startIndex + groupSize, palette.length);
-          const groupColors = palette.slice(startIndex, endIndex);
-          
-          if (groupColors.length > 0) {
-            const className = `swatch-group--${groupNames[groupIndex]}`;
-            row.appendChild(this.createSwatchGroup(className, groupColors));
-          }
-        }
+        // Group accent colors by family (primary, secondary, …)
+        const families = new Map();
+        palette.forEach(color => {
+          const family = color.family || 'accent';
+          if (!families.has(family)) families.set(family, []);
+          families.get(family).push(color);
+        });
+        families.forEach((groupColors, family) => {
+          row.appendChild(this.createSwatchGroup(`swatch-group--${family}`, groupColors));
+        });
         break;
+      }
 
       default:
         // Sequential palettes - simple flex layout
         row.className = 'swatch-row swatch-row--sequential';
-        palette.forEach(color => row.appendChild(this.createSwatchItem(color)));
+        palette.forEach(appendItem);
         break;
     }
 
+    if (this.labelled) {
+      row.classList.add('swatch-row--labelled');
+    }
     this.container.appendChild(row);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,160 @@
+/**
+ * ThemeComparisonRenderer - Renders the active palette preview in every Prism theme side by side
+ * Each panel gets the theme's token values as inline custom properties, so it is themed
+ * independently of the page's `data-theme`.
+ */
+import { PRISM_THEMES, THEME_LABELS, sampleThemeValues } from './themeSampler.js';
+import { listColorTokenNames } from './tokenSource.js';
+import { CHART_THEME_TOKENS } from './ChartRenderer.js';
+import { parseColor, blend, contrastRatio, deltaE2000, extractVarName } from './colorUtils.js';
+
+// Colors drifting further than this from their light theme value are highlighted
+const SHIFT_THRESHOLD = 5;
+// Minimum non-text contrast against the theme surface
+const SURFACE_CONTRAST = 3;
+const SURFACE_TOKEN = CHART_THEME_TOKENS.surface[0];
+const REFERENCE_THEME = 'light';
+
+export class ThemeComparisonRenderer {
+  constructor(container, chartRenderer, cardGridRenderer, calendarRenderer, themes = PRISM_THEMES) {
+    this.container = container;
+    this.chartRenderer = chartRenderer;
+    this.cardGridRenderer = cardGridRenderer;
+    this.calendarRenderer = calendarRenderer;
+    this.themes = themes;
+  }
+
+  /**
+   * Resolve palette items and chart tokens in every theme
+   */
+  sample(palette) {
+    const paletteVars = palette.map(item => extractVarName(item.cssVar));
+    const chartVars = Object.values(CHART_THEME_TOKENS).map(([name]) => name);
+    const names = Array.from(new Set([...listColorTokenNames(), ...chartVars, ...paletteVars.filter(Boolean)]));
+    const sampled = sampleThemeValues(names, this.themes);
+
+    return this.themes.map(theme => {
+      const values = sampled[theme] || {};
+      const colors = palette.map((item, index) => (paletteVars[index] && values[paletteVars[index]]) || item.hex);
+      return { theme, values, colors };
+    });
+  }
+
+  /**
+   * Compare each color with the reference theme and with the theme surface
+   */
+  describeColors(entry, reference) {
+    const surface = parseColor(entry.values[SURFACE_TOKEN]) || parseColor('#ffffff');
+    return entry.colors.map((value, index) => {
+      const color = blend(parseColor(value), surface);
+      const referenceColor = parseColor(reference.colors[index]);
+      const delta = color && referenceColor ? deltaE2000(color, referenceColor) : null;
+      const contrast = color ? contrastRatio(color, surface) : null;
+      return {
+        value,
+        delta,
+        contrast,
+        isShifted: entry.theme !== reference.theme && delta !== null && delta > SHIFT_THRESHOLD,
+        isLowContrast: contrast !== null && contrast < SURFACE_CONTRAST
+      };
+    });
+  }
+
+  buildPanelStyle(values) {
+    return Object.entries(values)
+      .filter(([, value]) => value)
+      .map(([name, value]) => `${name}: ${value}`)
+      .join('; ');
+  }
+
+  renderSwatches(details, labels) {
+    return details.map((detail, index) => {
+      const classes = ['theme-compare__swatch'];
+      if (detail.isShifted) classes.push('is-shifted');
+      if (detail.isLowContrast) classes.push('is-low-contrast');
+      const delta = detail.delta === null ? '–' : Math.round(detail.delta);
+      const contrast = detail.contrast === null ? '–' : detail.contrast.toFixed(1);
+      const title = `${labels[index]}: ${detail.value} · ΔE ${delta} vs ${THEME_LABELS[REFERENCE_THEME]} · ${contrast}:1 on surface`;
+      return `
+        <li class="${classes.join(' ')}" title="${title}">
+          <span class="theme-compare__chip" style="background: ${detail.value};"></span>
+          <span class="theme-compare__delta">${delta}</span>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Render one panel per theme
+   * @param {Object} preview
+   * @param {Array<{hex: string, cssVar: string}>} preview.palette - Palette items shown in the chart
+   * @param {string} preview.paletteName
+   * @param {string} preview.paletteType
+   * @param {string} preview.subcategory
+   * @param {Object} preview.options - Options passed to ChartRenderer.buildChartConfig
+   * @param {Function|null} preview.transform - Color transform (vision simulation)
+   * @param {string[]} preview.labels - Short color labels
+   * @returns {Object|null} Chart config of the reference theme
+   */
+  render(preview) {
+    if (!this.container) return;
+    if (!preview || !preview.palette.length) {
+      this.container.innerHTML = '';
+      return null;
+    }
+
+    const { palette, paletteName, paletteType, subcategory, options = {}, transform = null, labels = [] } = preview;
+    const entries = this.sample(palette);
+    const reference = entries.find(entry => entry.theme === REFERENCE_THEME) || entries[0];
+
+    const panels = entries.map(entry => {
+      const details = this.describeColors(entry, reference);
+      const shifted = details.filter(detail => detail.isShifted).length;
+      const lowContrast = details.filter(detail => detail.isLowContrast).length;
+      const notes = [
+        entry.theme === reference.theme ? 'Reference' : `${shifted} shifted`,
+        lowContrast ? `${lowContrast} below ${SURFACE_CONTRAST}:1` : null
+      ].filter(Boolean).join(' · ');
+
+      return `
+        <section class="theme-compare__panel" data-theme-panel="${entry.theme}" style="${this.buildPanelStyle(entry.values)}">
+          <header class="theme-compare__header">
+            <h3 class="theme-compare__title">${THEME_LABELS[entry.theme] || entry.theme}</h3>
+            <span class="theme-compare__notes">${notes}</span>
+          </header>
+          <div class="theme-compare__chart"></div>
+          <ul class="theme-compare__swatches">${this.renderSwatches(details, labels)}</ul>
+        </section>
+      `;
+    }).join('');
+
+    this.container.innerHTML = panels;
+
+    let referenceConfig = null;
+    entries.forEach(entry => {
+      const target = this.container.querySelector(`[data-theme-panel="${entry.theme}"] .theme-compare__chart`);
+      const values = transform ? entry.colors.map(transform) : entry.colors;
+
+      // Every panel starts from the same seed so the sample data matches
+      this.chartRenderer.random.reset();
+      const config = this.chartRenderer.buildChartConfig(values, paletteName, paletteType, subcategory, {
+        ...options,
+        themeColors: this.chartRenderer.getThemeColors(entry.values, entry.theme)
+      });
+      if (entry === reference) referenceConfig = config;
+
+      if (config.customCardGrid) {
+        this.cardGridRenderer.createCardGrid(target, config.colors, paletteName, paletteType, {
+          palette,
+          templateId: options.cardTemplate
+        });
+      } else if (config.customCalendar) {
+        this.calendarRenderer.render(target, config.colors, { role: config.role, palette });
+      } else {
+        config.chart = { ...config.chart, height: 240 };
+        this.chartRenderer.renderChart(target, config);
+      }
+    });
+    return referenceConfig;
+  }
+}
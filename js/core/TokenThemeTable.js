@@ -0,0 +1,135 @@
+/**
+ * TokenThemeTable - Lists every token with its resolved value in each theme side by side
+ * Flags tokens whose values differ between themes and tokens a theme file does not declare
+ * (they silently fall back to the light values), and exports the table as CSV.
+ */
+
+// Token types whose value can be shown as a swatch
+const SWATCH_TYPES = ['color', 'gradient'];
+
+function escapeCSV(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export class TokenThemeTable {
+  /**
+   * @param {HTMLElement} container - Element the table is rendered into
+   */
+  constructor(container) {
+    this.container = container;
+  }
+
+  /**
+   * One row per token name found in any theme
+   * @param {Object<string, Object<string, Object>>} tokensByTheme - { theme: { name: token } }
+   * @param {Object<string, Set<string>>} declared - Names each theme's source declares itself
+   * @param {string[]} themes
+   * @returns {Array<{name: string, type: string, values: Object<string, string|null>, missing: string[], differs: boolean}>}
+   */
+  buildRows(tokensByTheme, declared, themes) {
+    const names = new Set();
+    themes.forEach(theme => Object.keys(tokensByTheme[theme] || {}).forEach(name => names.add(name)));
+
+    return Array.from(names).map(name => {
+      const tokens = themes.map(theme => (tokensByTheme[theme] || {})[name] || null);
+      const values = Object.fromEntries(themes.map((theme, index) => [theme, tokens[index] ? tokens[index].value : null]));
+      const declaredBy = themes.filter(theme => declared[theme] && declared[theme].has(name));
+      const missing = declaredBy.length ? themes.filter(theme => !declaredBy.includes(theme)) : [];
+      const distinct = new Set(Object.values(values).map(value => String(value ?? '').trim().toLowerCase()));
+      const sample = tokens.find(Boolean);
+
+      return {
+        name,
+        type: sample ? sample.type : 'variable',
+        values,
+        missing,
+        differs: distinct.size > 1
+      };
+    });
+  }
+
+  /**
+   * @param {Array} rows
+   * @param {'all'|'differs'|'identical'|'missing'} filter
+   * @param {Function|string|null} search - Further condition on a row, or a lowercase text to find
+   *   in the token name or one of its values
+   */
+  filterRows(rows, filter = 'all', search = null) {
+    const matchesFilter = {
+      all: () => true,
+      differs: row => row.differs,
+      identical: row => !row.differs,
+      missing: row => row.missing.length > 0
+    }[filter] || (() => true);
+
+    const matchesSearch = typeof search === 'function'
+      ? search
+      : row => !search
+        || row.name.toLowerCase().includes(search)
+        || Object.values(row.values).some(value => String(value ?? '').toLowerCase().includes(search));
+
+    return rows.filter(row => matchesFilter(row) && matchesSearch(row));
+  }
+
+  renderCell(row, theme) {
+    const value = row.values[theme];
+    const isMissing = row.missing.includes(theme);
+    const swatch = value && SWATCH_TYPES.includes(row.type)
+      ? `<span class="token-theme-table__swatch" style="background: ${value};"></span>`
+      : '';
+    return `
+      <td class="token-theme-table__value${isMissing ? ' is-missing' : ''}">
+        ${swatch}
+        <code>${value ?? '–'}</code>
+        ${isMissing ? '<span class="token-theme-table__flag">Not declared</span>' : ''}
+      </td>
+    `;
+  }
+
+  /**
+   * @param {Array} rows - Filtered rows
+   * @param {Array<{id: string, label: string}>} themes
+   */
+  render(rows, themes) {
+    if (!this.container) return;
+    if (!rows.length) {
+      this.container.innerHTML = '<p class="token-theme-table__empty">No tokens match.</p>';
+      return;
+    }
+
+    this.container.innerHTML = `
+      <table class="token-theme-table__table">
+        <thead>
+          <tr>
+            <th scope="col">Token</th>
+            ${themes.map(theme => `<th scope="col">${theme.label}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => `
+            <tr class="${row.differs ? 'is-different' : ''}${row.missing.length ? ' has-missing' : ''}">
+              <th scope="row"><code>${row.name}</code></th>
+              ${themes.map(theme => this.renderCell(row, theme.id)).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * CSV with one column per theme, plus whether the values differ and the themes missing the token
+   */
+  toCSV(rows, themes) {
+    const header = ['token', 'type', ...themes, 'differs', 'missing_in'];
+    const lines = rows.map(row => [
+      row.name,
+      row.type,
+      ...themes.map(theme => row.values[theme] ?? ''),
+      row.differs ? 'yes' : 'no',
+      row.missing.join(' ')
+    ]);
+    return [header, ...lines].map(line => line.map(escapeCSV).join(',')).join('\n');
+  }
+}
@@ -1,9 +1,19 @@
 /**
  * UIController - Manages UI state and interactions
  */
+import { DIVERGING_PRESETS } from './PaletteManager.js';
+import { RAMP_SPACES, LIGHTNESS_CURVES, isSeedValue } from './RampGenerator.js';
+import { getChartArchetypes } from './ChartRenderer.js';
+import { SIMULATION_MODES } from './VisionSimulator.js';
+import { DISTANCE_METRICS } from './PaletteAnalyzer.js';
+
 export class UIController {
   constructor() {
     this.paletteNavTabs = document.querySelectorAll('.palette-nav__tabs a[data-category]');
+    this.paletteNavList = this.paletteNavTabs.length ? this.paletteNavTabs[0].closest('[role="tablist"]') : null;
+    this.palettePanel = document.getElementById('palette-panel');
+    this.paletteAnnouncer = document.getElementById('palette-announcer');
+    this.lastAnnouncement = '';
     this.paletteSubcategoryControl = document.getElementById('palette-subcategory-control');
     this.paletteSubcategoryList = document.getElementById('palette-subcategory-options');
     this.paletteTitle = document.getElementById('palette-title');
@@ -11,9 +21,43 @@ export class UIController {
     this.tintCountControl = document.getElementById('tint-count-control');
     this.tintCountSelect = document.getElementById('tint-count');
     this.tintCountValue = document.getElementById('tint-count-value');
+    this.visionModeSelect = document.getElementById('vision-mode');
+    this.visionSeverityInput = document.getElementById('vision-severity');
+    this.visionWarning = document.getElementById('vision-warning');
+    this.distanceAnalysis = document.getElementById('distance-analysis');
+    this.distanceMetricSelect = document.getElementById('distance-metric');
+    this.distinguishableToggle = document.getElementById('distinguishable-mode');
+    this.seriesCountInput = document.getElementById('series-count');
+    this.seedInput = document.getElementById('sample-seed');
+    this.reshuffleButton = document.getElementById('sample-reshuffle');
+    this.customBuilder = document.getElementById('custom-builder');
+    this.themeCompareToggle = document.getElementById('theme-compare');
+    this.swatchLabelsToggle = document.getElementById('swatch-labels');
+    this.chartTypeSelect = document.getElementById('chart-type');
+    this.cardTemplateControl = document.getElementById('card-template-control');
+    this.cardTemplateSelect = document.getElementById('card-template');
+    // Preferred card template, kept while switching to palettes that do not offer it
+    this.cardTemplate = '';
+    // Chart type chosen per category
+    this.chartTypes = {};
+    this.divergingControl = document.getElementById('diverging-control');
+    this.divergingStepsInput = document.getElementById('diverging-steps');
+    this.divergingStepsValue = document.getElementById('diverging-steps-value');
+    this.divergingMidpointInput = document.getElementById('diverging-midpoint');
+    this.divergingMidpointValue = document.getElementById('diverging-midpoint-value');
+    this.rampControl = document.getElementById('ramp-control');
+    this.rampStartInput = document.getElementById('ramp-start');
+    this.rampEndInput = document.getElementById('ramp-end');
+    this.rampSpaceSelect = document.getElementById('ramp-space');
+    this.rampCurveSelect = document.getElementById('ramp-curve');
+    this.rampStepsInput = document.getElementById('ramp-steps');
+    this.rampStepsValue = document.getElementById('ramp-steps-value');
     this.currentSubcategory = '';
     this.paletteSubcategoryButtons = [];
     
+    this.populateRampOptions();
+    this.populateVisionModes();
+    this.populateDistanceMetrics();
     this.initEventListeners();
   }
 
@@ -28,6 +72,19 @@ export class UIController {
       });
     });
 
+    // Arrow keys move between tabs; each list ignores keys from the other (the subcategory list is nested)
+    if (this.paletteNavList) {
+      this.paletteNavList.addEventListener('keydown', (event) => {
+        this.handleTabKeydown(event, Array.from(this.paletteNavTabs));
+      });
+    }
+
+    if (this.paletteSubcategoryList) {
+      this.paletteSubcategoryList.addEventListener('keydown', (event) => {
+        this.handleTabKeydown(event, this.paletteSubcategoryButtons);
+      });
+    }
+
     this.setActiveTab(this.getCurrentCategory());
 
     // Tint count changes
@@ -43,6 +100,97 @@ export class UIController {
         this.onTintCountChange && this.onTintCountChange();
       });
     }
+
+    // Vision simulation changes
+    if (this.visionModeSelect) {
+      this.visionModeSelect.addEventListener('change', () => {
+        if (this.visionSeverityInput) {
+          this.visionSeverityInput.disabled = this.visionModeSelect.value === 'none';
+        }
+        this.onSimulationChange && this.onSimulationChange();
+      });
+    }
+
+    if (this.visionSeverityInput) {
+      this.visionSeverityInput.addEventListener('change', () => {
+        this.onSimulationChange && this.onSimulationChange();
+      });
+    }
+
+    // Perceptual distance analysis changes
+    [this.distanceMetricSelect, this.distinguishableToggle, this.seriesCountInput].forEach(control => {
+      if (!control) return;
+      control.addEventListener('change', () => {
+        this.onAnalysisChange && this.onAnalysisChange();
+      });
+    });
+
+    // Diverging steps and midpoint
+    [this.divergingStepsInput, this.divergingMidpointInput].forEach(control => {
+      if (!control) return;
+      control.addEventListener('input', () => {
+        this.updateDivergingLabels();
+        this.onDivergingChange && this.onDivergingChange();
+      });
+    });
+
+    // Ramp generator seeds and options
+    [this.rampStartInput, this.rampEndInput, this.rampSpaceSelect, this.rampCurveSelect].forEach(control => {
+      if (!control) return;
+      control.addEventListener('change', () => {
+        this.onRampChange && this.onRampChange();
+      });
+    });
+
+    if (this.rampStepsInput) {
+      this.rampStepsInput.addEventListener('input', () => {
+        this.updateRampLabels();
+        this.onRampChange && this.onRampChange();
+      });
+    }
+
+    // Chart archetype for the current category
+    if (this.chartTypeSelect) {
+      this.chartTypeSelect.addEventListener('change', () => {
+        this.chartTypes[this.getCurrentCategory()] = this.chartTypeSelect.value;
+        this.onChartTypeChange && this.onChartTypeChange();
+      });
+    }
+
+    // Card template of the background preview
+    if (this.cardTemplateSelect) {
+      this.cardTemplateSelect.addEventListener('change', () => {
+        this.cardTemplate = this.cardTemplateSelect.value;
+        this.onCardTemplateChange && this.onCardTemplateChange();
+      });
+    }
+
+    // Side-by-side theme comparison
+    if (this.themeCompareToggle) {
+      this.themeCompareToggle.addEventListener('change', () => {
+        this.onCompareChange && this.onCompareChange();
+      });
+    }
+
+    // Token annotations on swatches
+    if (this.swatchLabelsToggle) {
+      this.swatchLabelsToggle.addEventListener('change', () => {
+        this.onSwatchLabelsChange && this.onSwatchLabelsChange();
+      });
+    }
+
+    // Sample data seed
+    if (this.seedInput) {
+      this.seedInput.addEventListener('change', () => {
+        this.onSeedChange && this.onSeedChange();
+      });
+    }
+
+    if (this.reshuffleButton) {
+      this.reshuffleButton.addEventListener('click', () => {
+        this.onReshuffle && this.onReshuffle();
+      });
+    }
   }
 
   /**
@@ -52,18 +200,88 @@ export class UIController {
     this.onCategoryChange = callbacks.onCategoryChange;
     this.onSubcategoryChange = callbacks.onSubcategoryChange;
     this.onTintCountChange = callbacks.onTintCountChange;
+    this.onSimulationChange = callbacks.onSimulationChange;
+    this.onAnalysisChange = callbacks.onAnalysisChange;
+    this.onSeedChange = callbacks.onSeedChange;
+    this.onReshuffle = callbacks.onReshuffle;
+    this.onDivergingChange = callbacks.onDivergingChange;
+    this.onRampChange = callbacks.onRampChange;
+    this.onChartTypeChange = callbacks.onChartTypeChange;
+    this.onCompareChange = callbacks.onCompareChange;
+    this.onSwatchLabelsChange = callbacks.onSwatchLabelsChange;
+    this.onCardTemplateChange = callbacks.onCardTemplateChange;
   }
 
   /**
    * Set the active tab and update visual state
    */
   setActiveTab(activeCategory) {
-    this.paletteNavTabs.forEach(button => {
-      const isActive = button.dataset.category === activeCategory;
-      button.classList.toggle('is-active', isActive);
+    const tabs = Array.from(this.paletteNavTabs);
+    const activeTab = tabs.find(button => button.dataset.category === activeCategory);
+    this.updateTabState(tabs, activeTab);
+
+    if (this.palettePanel && activeTab) {
+      this.palettePanel.setAttribute('aria-labelledby', activeTab.id);
+    }
+  }
+
+  /**
+   * Roving tabindex: only the selected tab is in the tab order
+   */
+  updateTabState(tabs, activeTab) {
+    tabs.forEach(tab => {
+      const isActive = tab === activeTab;
+      tab.classList.toggle('is-active', isActive);
+      tab.setAttribute('aria-selected', String(isActive));
+      tab.tabIndex = isActive ? 0 : -1;
     });
   }
 
+  /**
+   * Arrow keys, Home and End move focus within a tablist; Enter or Space selects the focused tab
+   */
+  handleTabKeydown(event, tabs) {
+    const index = tabs.indexOf(event.target);
+    if (index === -1) return;
+
+    const targets = {
+      ArrowDown: index + 1,
+      ArrowRight: index + 1,
+      ArrowUp: index - 1,
+      ArrowLeft: index - 1,
+      Home: 0,
+      End: tabs.length - 1
+    };
+
+    if (event.key === ' ') {
+      // Links only activate on Enter
+      event.preventDefault();
+      event.target.click();
+      return;
+    }
+
+    if (!(event.key in targets)) return;
+    event.preventDefault();
+    tabs[(targets[event.key] + tabs.length) % tabs.length].focus();
+  }
+
+  /**
+   * Announce the palette shown after a change to screen readers (once per distinct message)
+   */
+  announcePalette(colorCount) {
+    if (!this.paletteAnnouncer) return;
+    const activeSubcategory = this.paletteSubcategoryButtons.find(button => button.dataset.subcategory === this.currentSubcategory);
+    const name = [
+      this.paletteTitle ? this.paletteTitle.textContent.trim() : '',
+      activeSubcategory ? activeSubcategory.textContent.trim() : ''
+    ].filter(Boolean).join(', ');
+    const message = `${name}: ${colorCount} ${colorCount === 1 ? 'color' : 'colors'}`;
+
+    if (message === this.lastAnnouncement) return;
+    this.lastAnnouncement = message;
+    this.paletteAnnouncer.textContent = message;
+  }
+
   /**
    * Get the currently active category from nav tabs
    */
@@ -82,19 +300,11 @@ export class UIController {
     let subcategoryOptions = [];
     
     if (category === 'sequential') {
-      const availableSequential = Object.keys(sequentialEntries);
-      
-      const sequentialHierarchy = [
-        { value: 'info', label: 'Info', available: availableSequential.includes('info') },
-        { value: 'neutral', label: 'Neutral', available: availableSequential.includes('neutral') },
-        { value: 'success', label: 'Success', available: availableSequential.includes('success') },
-        { value: 'warning', label: 'Warning', available: availableSequential.includes('warning') },
-        { value: 'critical', label: 'Critical', available: availableSequential.includes('critical') },
-        { value: 'intelligence', label: 'Intelligence', available: availableSequential.includes('intelligence') },
-        { value: 'brand-sunset', label: 'Brand Sunset', available: true }
-      ];
-      
-      subcategoryOptions = sequentialHierarchy.filter(item => item.available);
+      // Families come from the palette registry, so new chart tokens show up automatically
+      subcategoryOptions = Object.keys(sequentialEntries).map(value => ({
+        value,
+        label: value.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
+      }));
       if (this.tintCountControl) this.tintCountControl.style.display = '';
       
     } else if (category === 'categorical' || category === 'accent') {
@@ -107,7 +317,29 @@ export class UIController {
         { value: 'figure', label: 'Figure Colors' }
       ];
       if (this.tintCountControl) this.tintCountControl.style.display = 'none';
+
+    } else if (category === 'diverging') {
+      subcategoryOptions = [
+        ...Object.entries(DIVERGING_PRESETS).map(([value, preset]) => ({ value, label: preset.label })),
+        ...((palettes.parity || []).length ? [{ value: 'parity', label: 'Parity (loss ↔ win)' }] : [])
+      ];
+      if (this.tintCountControl) this.tintCountControl.style.display = 'none';
+
+    } else if (category === 'custom') {
+      subcategoryOptions = [
+        ...(palettes.custom || []).map(palette => ({ value: palette.id, label: palette.name })),
+        { value: 'new', label: 'New palette' }
+      ];
+      if (this.tintCountControl) this.tintCountControl.style.display = 'none';
+
+    } else if (category === 'ramp') {
+      subcategoryOptions = [];
+      if (this.tintCountControl) this.tintCountControl.style.display = 'none';
     }
+    if (this.distanceAnalysis) this.distanceAnalysis.hidden = !['categorical', 'custom'].includes(category);
+    if (this.customBuilder) this.customBuilder.hidden = category !== 'custom';
+    if (this.divergingControl) this.divergingControl.hidden = category !== 'diverging';
+    if (this.rampControl) this.rampControl.hidden = category !== 'ramp';
     this.renderSubcategoryOptions(subcategoryOptions);
   }
 
@@ -143,6 +375,18 @@ export class UIController {
       demand: {
         title: 'Demand Colors',
         description: 'Background and figure colors representing demand levels from very low to very high, optimized for business intelligence dashboards.'
+      },
+      diverging: {
+        title: 'Diverging Palettes',
+        description: 'Two sequential families meeting at a neutral midpoint, for values above and below a reference such as rate parity or the compset average.'
+      },
+      custom: {
+        title: 'Custom Palettes',
+        description: 'Palettes you assemble from any Prism color token. They are saved in this browser and keep their token references, so they follow theme changes.'
+      },
+      ramp: {
+        title: 'Ramp Generator',
+        description: 'Sequential ramps for one-off metrics, generated from one or two seed colors or Prism tokens. Check the lightness and contrast report before exporting.'
       }
     };
 
@@ -158,10 +402,245 @@ export class UIController {
     return {
       category: this.getCurrentCategory(),
       subcategory: this.currentSubcategory,
-      tintCount: parseInt(this.tintCountSelect ? this.tintCountSelect.value : 0, 10)
+      tintCount: parseInt(this.tintCountSelect ? this.tintCountSelect.value : 0, 10),
+      simulation: this.visionModeSelect ? this.visionModeSelect.value : 'none',
+      severity: parseInt(this.visionSeverityInput ? this.visionSeverityInput.value : 100, 10),
+      distanceMetric: this.distanceMetricSelect ? this.distanceMetricSelect.value : 'ciede2000',
+      distinguishable: this.distinguishableToggle ? this.distinguishableToggle.checked : false,
+      seriesCount: parseInt(this.seriesCountInput ? this.seriesCountInput.value : 6, 10) || 6,
+      seed: (this.seedInput && this.seedInput.value.trim()) || '1',
+      divergingSteps: parseInt(this.divergingStepsInput ? this.divergingStepsInput.value : 7, 10) || 7,
+      midpoint: parseInt(this.divergingMidpointInput ? this.divergingMidpointInput.value : 50, 10) || 50,
+      compareThemes: this.themeCompareToggle ? this.themeCompareToggle.checked : false,
+      swatchLabels: this.swatchLabelsToggle ? this.swatchLabelsToggle.checked : false,
+      chartType: this.chartTypes[this.getCurrentCategory()] || 'default',
+      cardTemplate: this.cardTemplate,
+      rampStart: this.rampStartInput ? this.rampStartInput.value.trim() : '',
+      rampEnd: this.rampEndInput ? this.rampEndInput.value.trim() : '',
+      rampSteps: parseInt(this.rampStepsInput ? this.rampStepsInput.value : 9, 10) || 9,
+      rampSpace: this.rampSpaceSelect ? this.rampSpaceSelect.value : 'oklch',
+      rampCurve: this.rampCurveSelect ? this.rampCurveSelect.value : 'linear'
     };
   }
 
+  /**
+   * Apply a (partial) state to the controls without triggering callbacks,
+   * e.g. when restoring a shared link or navigating back
+   */
+  applyState(state = {}) {
+    const hasOption = (select, value) => Array.from(select.options).some(option => option.value === value);
+
+    if (state.category) {
+      this.setActiveTab(state.category);
+    }
+
+    if (state.subcategory !== undefined) {
+      this.currentSubcategory = state.subcategory;
+    }
+
+    if (state.tintCount && this.tintCountSelect) {
+      this.tintCountSelect.value = state.tintCount;
+      if (this.tintCountValue) {
+        this.tintCountValue.textContent = this.tintCountSelect.value;
+      }
+    }
+
+    if (state.simulation && this.visionModeSelect && hasOption(this.visionModeSelect, state.simulation)) {
+      this.visionModeSelect.value = state.simulation;
+      if (this.visionSeverityInput) {
+        this.visionSeverityInput.disabled = state.simulation === 'none';
+      }
+    }
+
+    if (state.severity !== undefined && this.visionSeverityInput) {
+      this.visionSeverityInput.value = state.severity;
+    }
+
+    if (state.seed) {
+      this.setSeed(state.seed);
+    }
+
+    if (state.divergingSteps && this.divergingStepsInput) {
+      this.divergingStepsInput.value = state.divergingSteps;
+    }
+
+    if (state.midpoint && this.divergingMidpointInput) {
+      this.divergingMidpointInput.value = state.midpoint;
+    }
+
+    if (state.compareThemes !== undefined && this.themeCompareToggle) {
+      this.themeCompareToggle.checked = Boolean(state.compareThemes);
+    }
+
+    if (state.swatchLabels !== undefined && this.swatchLabelsToggle) {
+      this.swatchLabelsToggle.checked = Boolean(state.swatchLabels);
+    }
+
+    if (state.cardTemplate !== undefined) {
+      this.cardTemplate = state.cardTemplate;
+    }
+
+    if (state.chartType !== undefined) {
+      this.chartTypes[state.category || this.getCurrentCategory()] = state.chartType;
+    }
+
+    // Seeds come from the `from` and `to` query parameters, so only colors and token names are taken
+    if (state.rampStart !== undefined && this.rampStartInput && isSeedValue(state.rampStart)) {
+      this.rampStartInput.value = state.rampStart;
+    }
+
+    if (state.rampEnd !== undefined && this.rampEndInput && (state.rampEnd === '' || isSeedValue(state.rampEnd))) {
+      this.rampEndInput.value = state.rampEnd;
+    }
+
+    if (state.rampSteps && this.rampStepsInput) {
+      this.rampStepsInput.value = state.rampSteps;
+    }
+
+    if (state.rampSpace && this.rampSpaceSelect && hasOption(this.rampSpaceSelect, state.rampSpace)) {
+      this.rampSpaceSelect.value = state.rampSpace;
+    }
+
+    if (state.rampCurve && this.rampCurveSelect && hasOption(this.rampCurveSelect, state.rampCurve)) {
+      this.rampCurveSelect.value = state.rampCurve;
+    }
+    this.updateDivergingLabels();
+    this.updateRampLabels();
+  }
+
+  /**
+   * Fixed diverging palettes (e.g. parity) have no adjustable step count
+   */
+  setDivergingStepsEnabled(isEnabled) {
+    if (this.divergingStepsInput) {
+      this.divergingStepsInput.disabled = !isEnabled;
+    }
+  }
+
+  /**
+   * Offer the chart archetypes that suit the palette type and select the category's choice
+   * @returns {string} Chart type to render, 'default' when the choice does not apply
+   */
+  updateChartTypeOptions(paletteType) {
+    const archetypes = getChartArchetypes(paletteType);
+    const chosen = this.chartTypes[this.getCurrentCategory()] || 'default';
+    const chartType = archetypes.some(archetype => archetype.id === chosen) ? chosen : 'default';
+
+    if (this.chartTypeSelect) {
+      this.chartTypeSelect.innerHTML = archetypes
+        .map(archetype => `<option value="${archetype.id}">${archetype.label}</option>`)
+        .join('');
+      this.chartTypeSelect.value = chartType;
+    }
+    return chartType;
+  }
+
+  /**
+   * Show the card templates of the current preview, hidden when it is not a card grid
+   * @param {Array<{id: string, label: string}>} templates
+   * @returns {string} The template to render
+   */
+  updateCardTemplateOptions(templates) {
+    const templateId = templates.some(template => template.id === this.cardTemplate)
+      ? this.cardTemplate
+      : (templates[0] ? templates[0].id : '');
+
+    if (this.cardTemplateControl) {
+      this.cardTemplateControl.hidden = !templates.length;
+    }
+    if (this.cardTemplateSelect) {
+      // Built as nodes: template ids and labels come from imported JSON
+      this.cardTemplateSelect.replaceChildren(...templates.map(template => {
+        const option = document.createElement('option');
+        option.value = template.id;
+        option.textContent = template.label;
+        return option;
+      }));
+      this.cardTemplateSelect.value = templateId;
+    }
+    return templateId;
+  }
+
+  setCardTemplate(templateId) {
+    this.cardTemplate = templateId;
+  }
+
+  /**
+   * Fill the ramp generator selects from the available spaces and curves
+   */
+  populateRampOptions() {
+    const fill = (select, options) => {
+      if (!select) return;
+      select.innerHTML = Object.entries(options)
+        .map(([value, option]) => `<option value="${value}">${option.label}</option>`)
+        .join('');
+    };
+    fill(this.rampSpaceSelect, RAMP_SPACES);
+    fill(this.rampCurveSelect, LIGHTNESS_CURVES);
+  }
+
+  populateDistanceMetrics() {
+    if (!this.distanceMetricSelect) return;
+    this.distanceMetricSelect.innerHTML = Object.entries(DISTANCE_METRICS)
+      .map(([value, metric]) => `<option value="${value}">${metric.label}</option>`)
+      .join('');
+  }
+
+  populateVisionModes() {
+    if (!this.visionModeSelect) return;
+    this.visionModeSelect.innerHTML = SIMULATION_MODES
+      .map(mode => `<option value="${mode.value}">${mode.label}</option>`)
+      .join('');
+  }
+
+  updateRampLabels() {
+    if (this.rampStepsValue && this.rampStepsInput) {
+      this.rampStepsValue.textContent = this.rampStepsInput.value;
+    }
+  }
+
+  updateDivergingLabels() {
+    if (this.divergingStepsValue && this.divergingStepsInput) {
+      this.divergingStepsValue.textContent = this.divergingStepsInput.value;
+    }
+    if (this.divergingMidpointValue && this.divergingMidpointInput) {
+      this.divergingMidpointValue.textContent = `${this.divergingMidpointInput.value}%`;
+    }
+  }
+
+  /**
+   * Reflect the sample data seed in the seed input
+   */
+  setSeed(seed) {
+    if (this.seedInput) {
+      this.seedInput.value = seed;
+    }
+  }
+
+  /**
+   * Show or hide the warning listing colors that collapse under vision simulation
+   */
+  updateVisionWarning(pairs, labels = []) {
+    if (!this.visionWarning) return;
+
+    if (!pairs || !pairs.length) {
+      this.visionWarning.hidden = true;
+      this.visionWarning.innerHTML = '';
+      return;
+    }
+
+    const labelFor = (index) => labels[index] || `Color ${String(index + 1).padStart(2, '0')}`;
+    const items = pairs
+      .map(pair => `<li>${labelFor(pair.first)} &amp; ${labelFor(pair.second)} (ΔE ${pair.distance.toFixed(1)})</li>`)
+      .join('');
+
+    this.visionWarning.innerHTML = `
+      <strong>${pairs.length} color pair${pairs.length === 1 ? '' : 's'} below the minimum perceptual distance</strong>
+      <ul>${items}</ul>
+    `;
+    this.visionWarning.hidden = false;
+  }
+
   renderSubcategoryOptions(options) {
     if (!this.paletteSubcategoryControl || !this.paletteSubcategoryList) {
       this.currentSubcategory = options.length > 0 ? options[0].value : '';
@@ -191,32 +670,36 @@ export class UIController {
       targetListItem.appendChild(this.paletteSubcategoryControl);
     }
 
-    this.paletteSubcategoryList.innerHTML = options
-      .map(option => `
-        <li>
-          <a href="#" class="tokens-sidenav__link tokens-sidenav__link--sub" data-subcategory="${option.value}" role="button">
-            ${option.label}
-          </a>
-        </li>
-      `)
-      .join('');
-
-    this.paletteSubcategoryButtons = Array.from(this.paletteSubcategoryList.querySelectorAll('a[data-subcategory]'));
+    // Built as nodes: custom palette names and ids come from imported files
+    this.paletteSubcategoryButtons = options.map(option => {
+      const link = document.createElement('a');
+      link.href = '#';
+      link.className = 'tokens-sidenav__link tokens-sidenav__link--sub';
+      link.dataset.subcategory = option.value;
+      link.setAttribute('role', 'tab');
+      link.setAttribute('aria-controls', 'palette-panel');
+      link.textContent = option.label;
+      return link;
+    });
+    this.paletteSubcategoryList.replaceChildren(...this.paletteSubcategoryButtons.map(link => {
+      const item = document.createElement('li');
+      item.setAttribute('role', 'presentation');
+      item.appendChild(link);
+      return item;
+    }));
     this.paletteSubcategoryControl.hidden = false;
 
+    const findButton = (value) => this.paletteSubcategoryButtons.find(button => button.dataset.subcategory === value);
+    this.updateTabState(this.paletteSubcategoryButtons, findButton(this.currentSubcategory));
+
     this.paletteSubcategoryButtons.forEach(button => {
       const value = button.dataset.subcategory;
-      const isActive = value === this.currentSubcategory;
-      button.classList.toggle('is-active', isActive);
 
       button.addEventListener('click', (event) => {
         event.preventDefault();
         if (this.currentSubcategory === value) return;
         this.currentSubcategory = value;
-        this.paletteSubcategoryButtons.forEach(btn => {
-          const active = btn.dataset.subcategory === value;
-          btn.classList.toggle('is-active', active);
-        });
+        this.updateTabState(this.paletteSubcategoryButtons, button);
         this.onSubcategoryChange && this.onSubcategoryChange();
       });
     });
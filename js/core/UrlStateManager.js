@@ -0,0 +1,121 @@
+/**
+ * UrlStateManager - Serializes the data-viz palette state into the URL query
+ * Pushes history entries for user changes and restores state on back/forward navigation
+ */
+
+// State key → query parameter, with the default that is left out of the URL
+const STATE_PARAMS = Object.freeze({
+  category: { param: 'category', defaultValue: 'sequential' },
+  subcategory: { param: 'palette', defaultValue: '' },
+  tintCount: { param: 'tints', defaultValue: 5, type: 'number' },
+  theme: { param: 'theme', defaultValue: 'light' },
+  simulation: { param: 'vision', defaultValue: 'none' },
+  severity: { param: 'severity', defaultValue: 100, type: 'number' },
+  seed: { param: 'seed', defaultValue: '1' },
+  divergingSteps: { param: 'steps', defaultValue: 7, type: 'number' },
+  midpoint: { param: 'midpoint', defaultValue: 50, type: 'number' },
+  compareThemes: { param: 'compare', defaultValue: false, type: 'boolean' },
+  swatchLabels: { param: 'labels', defaultValue: false, type: 'boolean' },
+  chartType: { param: 'chart', defaultValue: 'default' },
+  cardTemplate: { param: 'cards', defaultValue: '' },
+  rampStart: { param: 'from', defaultValue: '--prism-color-chart-categorical-01' },
+  rampEnd: { param: 'to', defaultValue: '' },
+  rampSteps: { param: 'ramp-steps', defaultValue: 9, type: 'number' },
+  rampSpace: { param: 'space', defaultValue: 'oklch' },
+  rampCurve: { param: 'curve', defaultValue: 'linear' }
+});
+
+// Rapid changes (e.g. dragging the tint slider) collapse into one history entry
+const PUSH_COALESCE_MS = 600;
+
+export class UrlStateManager {
+  constructor(params = STATE_PARAMS) {
+    this.params = params;
+    this.lastPushAt = 0;
+  }
+
+  /**
+   * Read the state encoded in the current URL. Only keys present in the URL are returned.
+   */
+  read() {
+    const state = {};
+    let searchParams;
+    try {
+      searchParams = new URLSearchParams(window.location.search);
+    } catch (error) {
+      return state;
+    }
+
+    Object.entries(this.params).forEach(([key, config]) => {
+      const raw = searchParams.get(config.param);
+      if (raw === null || raw === '') return;
+      if (config.type === 'number') {
+        const value = parseInt(raw, 10);
+        if (!Number.isNaN(value)) state[key] = value;
+      } else if (config.type === 'boolean') {
+        state[key] = raw === 'true' || raw === '1';
+      } else {
+        state[key] = raw;
+      }
+    });
+
+    return state;
+  }
+
+  /**
+   * Complete a partial state with the defaults for every missing key
+   */
+  withDefaults(state = {}) {
+    const complete = {};
+    Object.entries(this.params).forEach(([key, config]) => {
+      complete[key] = state[key] !== undefined ? state[key] : config.defaultValue;
+    });
+    return complete;
+  }
+
+  /**
+   * Build the URL for a state, keeping unrelated query parameters and the hash
+   */
+  buildUrl(state) {
+    const url = new URL(window.location.href);
+    Object.entries(this.params).forEach(([key, config]) => {
+      const value = state[key];
+      if (value === undefined || value === null || value === '' || String(value) === String(config.defaultValue)) {
+        url.searchParams.delete(config.param);
+      } else {
+        url.searchParams.set(config.param, String(value));
+      }
+    });
+    return url;
+  }
+
+  /**
+   * Write a state to the URL
+   * @param {Object} state - Current state
+   * @param {Object} options
+   * @param {boolean} options.push - Create a history entry instead of replacing the current one
+   */
+  write(state, { push = false } = {}) {
+    try {
+      const url = this.buildUrl(state);
+      if (url.href === window.location.href) return;
+
+      const now = Date.now();
+      if (push && now - this.lastPushAt > PUSH_COALESCE_MS) {
+        history.pushState({ prismDataViz: true }, '', url);
+      } else {
+        history.replaceState({ prismDataViz: true }, '', url);
+      }
+      if (push) this.lastPushAt = now;
+    } catch (error) {
+      console.warn('Unable to write palette state to the URL', error);
+    }
+  }
+
+  /**
+   * Listen for back/forward navigation
+   */
+  onNavigate(callback) {
+    window.addEventListener('popstate', () => callback(this.read()));
+  }
+}
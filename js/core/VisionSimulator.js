@@ -0,0 +1,116 @@
+/**
+ * VisionSimulator - Simulates color vision deficiencies on palette colors
+ * Uses the Machado et al. (2009) matrices for dichromacy and a luminance
+ * projection for achromatopsia, blended with the original color by severity
+ */
+import { parseColor, toHex, toLinearRgb, fromLinearRgb, deltaE2000 } from './colorUtils.js';
+
+const SIMULATION_MATRICES = Object.freeze({
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998]
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.011820, 0.042940, 0.968881]
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.303900]
+  ],
+  achromatopsia: [
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722]
+  ]
+});
+
+export const SIMULATION_MODES = Object.freeze([
+  { value: 'none', label: 'Normal vision' },
+  { value: 'protanopia', label: 'Protanopia' },
+  { value: 'deuteranopia', label: 'Deuteranopia' },
+  { value: 'tritanopia', label: 'Tritanopia' },
+  { value: 'achromatopsia', label: 'Achromatopsia' }
+]);
+
+// CIEDE2000 distance below which two categorical colors are considered indistinguishable
+const MIN_PERCEPTUAL_DISTANCE = 10;
+
+export class VisionSimulator {
+  constructor() {
+    this.mode = 'none';
+    this.severity = 1;
+    this.minDistance = MIN_PERCEPTUAL_DISTANCE;
+    this.cache = new Map();
+  }
+
+  /**
+   * Update the simulation mode and severity (0-1)
+   */
+  setMode(mode, severity = this.severity) {
+    const nextMode = SIMULATION_MATRICES[mode] ? mode : 'none';
+    const nextSeverity = Math.min(1, Math.max(0, Number.isFinite(severity) ? severity : 1));
+    if (nextMode !== this.mode || nextSeverity !== this.severity) {
+      this.cache.clear();
+    }
+    this.mode = nextMode;
+    this.severity = nextSeverity;
+  }
+
+  isActive() {
+    return this.mode !== 'none' && this.severity > 0;
+  }
+
+  /**
+   * Transform a single color; non-parseable values are returned untouched
+   */
+  transform(color) {
+    if (!this.isActive()) return color;
+    if (this.cache.has(color)) return this.cache.get(color);
+
+    const rgb = parseColor(color);
+    if (!rgb) return color;
+
+    const matrix = SIMULATION_MATRICES[this.mode];
+    const linear = toLinearRgb(rgb);
+    const simulated = matrix.map(row => row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]);
+    const mixed = linear.map((value, index) => value + (simulated[index] - value) * this.severity);
+    const result = toHex(fromLinearRgb(mixed));
+
+    this.cache.set(color, result);
+    return result;
+  }
+
+  transformAll(colors) {
+    return colors.map(color => this.transform(color));
+  }
+
+  /**
+   * Find pairs of colors that become indistinguishable under the current simulation
+   * @param {string[]} colors - Original color values
+   * @returns {Array<{first: number, second: number, distance: number, originalDistance: number}>}
+   */
+  findCollapsedPairs(colors, minDistance = this.minDistance) {
+    if (!this.isActive() || !colors || colors.length < 2) return [];
+
+    const simulated = this.transformAll(colors);
+    const pairs = [];
+
+    for (let i = 0; i < colors.length; i++) {
+      for (let j = i + 1; j < colors.length; j++) {
+        const distance = deltaE2000(simulated[i], simulated[j]);
+        if (distance === null || distance >= minDistance) continue;
+        const originalDistance = deltaE2000(colors[i], colors[j]);
+        // Only report pairs that were distinguishable before the simulation
+        if (originalDistance !== null && originalDistance >= minDistance) {
+          pairs.push({ first: i, second: j, distance, originalDistance });
+        }
+      }
+    }
+
+    return pairs.sort((a, b) => a.distance - b.distance);
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * Card templates
+ * Describe the product widgets the background palettes are previewed in. A template file is JSON:
+ *
+ *   {
+ *     "templates": [{
+ *       "id": "rate-card",
+ *       "label": "Rate cards",
+ *       "paletteTypes": ["status", "demand"],          // optional, defaults to every card palette
+ *       "layout": { "variant": "tile", "columns": 3 },  // variant: tile | badge | cell
+ *       "count": 9,                                     // optional, cards repeat to fill it
+ *       "roles": { "body": "first", "footer": "last" }, // token of each family: first | last | a level
+ *       "fields": [{ "key": "rate", "slot": "body", "size": "large" }, { "key": "delta", "slot": "footer" }],
+ *       "colorBy": "delta",                             // optional, ranks cards by a numeric field
+ *       "empty": { "family": "neutral", "text": "Empty" },
+ *       "cards": [{ "rate": "€ 120", "delta": "-19%", "family": "critical" }]
+ *     }]
+ *   }
+ *
+ * Cards are colored by their `family`, by rank of the `colorBy` field (lowest value → first family),
+ * or round-robin in seeded random order.
+ */
+
+export const CARD_PALETTE_TYPES = Object.freeze(['status', 'informational', 'intelligence', 'demand']);
+export const CARD_VARIANTS = Object.freeze(['tile', 'badge', 'cell']);
+const FIELD_SLOTS = ['body', 'footer'];
+const FIELD_SIZES = ['large', 'small'];
+const MAX_COLUMNS = 7;
+const MAX_CARDS = 60;
+
+const KPI_FIELDS = [
+  { key: 'value', slot: 'body', size: 'large' },
+  { key: 'subtitle', slot: 'footer', size: 'small' }
+];
+
+const kpiTemplate = (paletteType, cards, extra = {}) => ({
+  id: `kpi-${paletteType}`,
+  label: 'KPI cards',
+  paletteTypes: [paletteType],
+  layout: { variant: 'tile', columns: 3 },
+  roles: { body: 'first', footer: 'last' },
+  fields: KPI_FIELDS,
+  cards,
+  ...extra
+});
+
+const CALENDAR_OCCUPANCY = [
+  42, 48, 55, 61, 78, 92, 88, 51, 47, 58, 66, 81, 95, 90,
+  44, 39, 52, 63, 74, 97, 93, 57, 49, 60, 69, 83, 91, 86
+];
+
+export const BUILT_IN_CARD_TEMPLATES = Object.freeze([
+  kpiTemplate('status', [
+    { value: '€ 120', subtitle: '-19% vs. Comp' },
+    { value: '€ 85', subtitle: '+5% vs. Comp' },
+    { value: '€ 95', subtitle: '+12% vs. Comp' },
+    { value: '€ 110', subtitle: '-8% vs. Comp' },
+    { value: '€ 75', subtitle: '+22% vs. Comp' },
+    { value: '€ 130', subtitle: '-15% vs. Comp' },
+    { value: '€ 90', subtitle: '+3% vs. Comp' },
+    { value: '€ 105', subtitle: '+8% vs. Comp' },
+    { value: '€ 115', subtitle: '-12% vs. Comp' }
+  ], { empty: { family: 'neutral', text: 'Empty' } }),
+  kpiTemplate('informational', [
+    { value: '92%', subtitle: 'Data Quality' },
+    { value: '47', subtitle: 'Info Sources' },
+    { value: '1.2k', subtitle: 'Records Updated' },
+    { value: '8.5m', subtitle: 'Data Points' },
+    { value: '99.7%', subtitle: 'Accuracy Rate' },
+    { value: '15s', subtitle: 'Sync Time' },
+    { value: '234', subtitle: 'Active Feeds' },
+    { value: '3.2TB', subtitle: 'Storage Used' },
+    { value: '24/7', subtitle: 'Monitoring' }
+  ]),
+  kpiTemplate('intelligence', [
+    { value: '87%', subtitle: 'AI Accuracy' },
+    { value: '234', subtitle: 'Models Active' },
+    { value: '1.8s', subtitle: 'Response Time' },
+    { value: '95%', subtitle: 'Confidence' },
+    { value: '12k', subtitle: 'Predictions/hr' },
+    { value: '99.2%', subtitle: 'Uptime' },
+    { value: '47', subtitle: 'Features Used' },
+    { value: '3.4GB', subtitle: 'Model Size' },
+    { value: '24/7', subtitle: 'Learning' }
+  ]),
+  kpiTemplate('demand', [
+    { value: '12%', subtitle: 'Very Low' },
+    { value: '28%', subtitle: 'Low Demand' },
+    { value: '45%', subtitle: 'Normal' },
+    { value: '67%', subtitle: 'Elevated' },
+    { value: '84%', subtitle: 'High Demand' },
+    { value: '96%', subtitle: 'Very High' },
+    { value: '38%', subtitle: 'Peak Hours' },
+    { value: '52%', subtitle: 'Off Peak' },
+    { value: '71%', subtitle: 'Weekend' }
+  ]),
+  {
+    id: 'rate-card',
+    label: 'Rate cards',
+    layout: { variant: 'tile', columns: 3 },
+    roles: { body: 'first', footer: 'last' },
+    fields: [
+      { key: 'property', slot: 'body', size: 'small' },
+      { key: 'rate', slot: 'body', size: 'large' },
+      { key: 'delta', slot: 'footer', size: 'small' }
+    ],
+    colorBy: 'delta',
+    cards: [
+      { property: 'Your hotel', rate: '€ 142', delta: '-6% vs. compset' },
+      { property: 'Harbour View', rate: '€ 158', delta: '+4% vs. compset' },
+      { property: 'Canal House', rate: '€ 131', delta: '-13% vs. compset' },
+      { property: 'Grand Central', rate: '€ 176', delta: '+17% vs. compset' },
+      { property: 'The Weaver', rate: '€ 149', delta: '-1% vs. compset' },
+      { property: 'Park Lodge', rate: '€ 122', delta: '-19% vs. compset' },
+      { property: 'Riverside', rate: '€ 165', delta: '+9% vs. compset' },
+      { property: 'Old Town Inn', rate: '€ 138', delta: '-8% vs. compset' },
+      { property: 'Station Suites', rate: '€ 154', delta: '+2% vs. compset' }
+    ]
+  },
+  {
+    id: 'demand-calendar',
+    label: 'Demand calendar cells',
+    layout: { variant: 'cell', columns: 7 },
+    roles: { body: 'first', footer: null },
+    fields: [
+      { key: 'day', slot: 'body', size: 'small' },
+      { key: 'occupancy', slot: 'body', size: 'large' }
+    ],
+    colorBy: 'occupancy',
+    cards: CALENDAR_OCCUPANCY.map((occupancy, index) => ({ day: String(index + 1), occupancy: `${occupancy}%` }))
+  },
+  {
+    id: 'parity-badge',
+    label: 'Parity badges',
+    layout: { variant: 'badge', columns: 4 },
+    roles: { body: 'first', footer: null },
+    fields: [
+      { key: 'channel', slot: 'body', size: 'small' },
+      { key: 'delta', slot: 'body', size: 'large' }
+    ],
+    colorBy: 'delta',
+    cards: [
+      { channel: 'Booking.com', delta: '-4%' },
+      { channel: 'Expedia', delta: '0%' },
+      { channel: 'Agoda', delta: '-11%' },
+      { channel: 'Hotels.com', delta: '+2%' },
+      { channel: 'Trip.com', delta: '-7%' },
+      { channel: 'Google', delta: '0%' },
+      { channel: 'Direct', delta: '+5%' },
+      { channel: 'HRS', delta: '-2%' }
+    ]
+  }
+]);
+
+/**
+ * Numeric value of a card field ('€ 120', '-19%', '1.2k' → 120, -19, 1.2)
+ */
+export function parseCardNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const match = String(value ?? '').replace(',', '.').match(/[-+]?\d+(\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+function clampInteger(value, min, max, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : Math.min(max, Math.max(min, number));
+}
+
+/**
+ * Validate one template, filling in defaults
+ * @returns {Object|null} The template, or null when it cannot be rendered
+ */
+export function normalizeCardTemplate(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  const id = typeof entry.id === 'string' ? entry.id.trim() : '';
+  const cards = Array.isArray(entry.cards)
+    ? entry.cards.filter(card => card && typeof card === 'object' && !Array.isArray(card))
+    : [];
+  if (!id || !cards.length) return null;
+
+  const fields = (Array.isArray(entry.fields) ? entry.fields : KPI_FIELDS)
+    .filter(field => field && typeof field.key === 'string')
+    .map(field => ({
+      key: field.key,
+      slot: FIELD_SLOTS.includes(field.slot) ? field.slot : 'body',
+      size: FIELD_SIZES.includes(field.size) ? field.size : 'small'
+    }));
+  if (!fields.length) return null;
+
+  const layout = entry.layout || {};
+  const roles = entry.roles || {};
+  const paletteTypes = Array.isArray(entry.paletteTypes)
+    ? entry.paletteTypes.filter(type => CARD_PALETTE_TYPES.includes(type))
+    : [...CARD_PALETTE_TYPES];
+
+  return {
+    id,
+    label: typeof entry.label === 'string' && entry.label.trim() ? entry.label.trim() : id,
+    paletteTypes: paletteTypes.length ? paletteTypes : [...CARD_PALETTE_TYPES],
+    layout: {
+      variant: CARD_VARIANTS.includes(layout.variant) ? layout.variant : 'tile',
+      columns: clampInteger(layout.columns, 1, MAX_COLUMNS, 3)
+    },
+    count: clampInteger(entry.count, 1, MAX_CARDS, Math.min(cards.length, MAX_CARDS)),
+    roles: {
+      body: typeof roles.body === 'string' ? roles.body : 'first',
+      footer: roles.footer === null ? null : (typeof roles.footer === 'string' ? roles.footer : 'last')
+    },
+    fields,
+    colorBy: fields.some(field => field.key === entry.colorBy) ? entry.colorBy : null,
+    empty: entry.empty && typeof entry.empty.family === 'string'
+      ? { family: entry.empty.family, text: String(entry.empty.text ?? 'Empty') }
+      : null,
+    cards
+  };
+}
+
+/**
+ * Parse a template file: `{ templates: [...] }`, a list of templates or a single template
+ * @param {string|Object} input - JSON text or parsed value
+ * @returns {Object[]} Usable templates
+ */
+export function parseCardTemplates(input) {
+  let payload = input;
+  if (typeof input === 'string') {
+    try {
+      payload = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+  }
+
+  const entries = Array.isArray(payload)
+    ? payload
+    : (payload && Array.isArray(payload.templates) ? payload.templates : (payload && payload.id ? [payload] : null));
+  if (!entries) {
+    throw new Error('Expected a card template file with a "templates" list.');
+  }
+
+  const templates = entries.map(normalizeCardTemplate).filter(Boolean);
+  if (!templates.length) {
+    throw new Error('The file does not contain any usable card templates.');
+  }
+  return templates;
+}
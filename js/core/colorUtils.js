@@ -0,0 +1,354 @@
+/**
+ * Prism color utilities
+ * Parsing and colorimetry helpers shared by the palette tooling
+ * (relative luminance, WCAG 2.x contrast ratios, APCA lightness contrast, CIEDE2000 and OKLab distances,
+ * Lab / OKLab / OKLCH conversions).
+ */
+
+const APCA = Object.freeze({
+  mainTRC: 2.4,
+  normBG: 0.56,
+  normTXT: 0.57,
+  revTXT: 0.62,
+  revBG: 0.65,
+  blkThrs: 0.022,
+  blkClmp: 1.414,
+  scaleBoW: 1.14,
+  scaleWoB: 1.14,
+  loBoWoffset: 0.027,
+  loWoBoffset: 0.027,
+  deltaYmin: 0.0005,
+  loClip: 0.1,
+  sRco: 0.2126729,
+  sGco: 0.7151522,
+  sBco: 0.0721750
+});
+
+function clampChannel(value) {
+  return Math.min(255, Math.max(0, Math.round(value)));
+}
+
+/**
+ * Parse a hex or rgb()/rgba() color string
+ * @returns {{r: number, g: number, b: number, a: number}|null}
+ */
+export function parseColor(value) {
+  if (!value || typeof value !== 'string') return null;
+  const input = value.trim().toLowerCase();
+
+  const hexMatch = input.match(/^#([0-9a-f]{3,8})$/);
+  if (hexMatch) {
+    let hex = hexMatch[1];
+    if (hex.length === 3 || hex.length === 4) {
+      hex = hex.split('').map(char => char + char).join('');
+    }
+    if (hex.length !== 6 && hex.length !== 8) return null;
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16),
+      a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+    };
+  }
+
+  const rgbMatch = input.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+  if (rgbMatch) {
+    const [, r, g, b, alpha] = rgbMatch;
+    let a = 1;
+    if (alpha !== undefined) {
+      a = alpha.endsWith('%') ? parseFloat(alpha) / 100 : parseFloat(alpha);
+    }
+    return { r: clampChannel(+r), g: clampChannel(+g), b: clampChannel(+b), a };
+  }
+
+  return null;
+}
+
+/**
+ * Format an rgb object as a lowercase #rrggbb string
+ */
+export function toHex({ r, g, b }) {
+  return `#${[r, g, b].map(channel => clampChannel(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Composite a translucent color over an opaque backdrop
+ */
+export function blend(foreground, background) {
+  if (!foreground || foreground.a >= 1 || !background) return foreground;
+  const alpha = foreground.a;
+  return {
+    r: foreground.r * alpha + background.r * (1 - alpha),
+    g: foreground.g * alpha + background.g * (1 - alpha),
+    b: foreground.b * alpha + background.b * (1 - alpha),
+    a: 1
+  };
+}
+
+function srgbToLinear(channel) {
+  const value = channel / 255;
+  return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * WCAG 2.x relative luminance (0 = black, 1 = white)
+ */
+export function relativeLuminance(color) {
+  const rgb = typeof color === 'string' ? parseColor(color) : color;
+  if (!rgb) return null;
+  return 0.2126 * srgbToLinear(rgb.r) + 0.7152 * srgbToLinear(rgb.g) + 0.0722 * srgbToLinear(rgb.b);
+}
+
+/**
+ * WCAG 2.x contrast ratio between two colors (1 to 21)
+ */
+export function contrastRatio(colorA, colorB) {
+  const lumA = relativeLuminance(colorA);
+  const lumB = relativeLuminance(colorB);
+  if (lumA === null || lumB === null) return null;
+  const lighter = Math.max(lumA, lumB);
+  const darker = Math.min(lumA, lumB);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+function apcaLuminance(rgb) {
+  return APCA.sRco * Math.pow(rgb.r / 255, APCA.mainTRC)
+    + APCA.sGco * Math.pow(rgb.g / 255, APCA.mainTRC)
+    + APCA.sBco * Math.pow(rgb.b / 255, APCA.mainTRC);
+}
+
+/**
+ * APCA (0.0.98G-4g) lightness contrast Lc of text on a background.
+ * Positive values are dark-on-light, negative values light-on-dark.
+ */
+export function apcaContrast(textColor, backgroundColor) {
+  const text = typeof textColor === 'string' ? parseColor(textColor) : textColor;
+  const background = typeof backgroundColor === 'string' ? parseColor(backgroundColor) : backgroundColor;
+  if (!text || !background) return null;
+
+  const softClamp = (y) => (y > APCA.blkThrs ? y : y + Math.pow(APCA.blkThrs - y, APCA.blkClmp));
+  const txtY = softClamp(apcaLuminance(text));
+  const bgY = softClamp(apcaLuminance(background));
+
+  if (Math.abs(bgY - txtY) < APCA.deltaYmin) return 0;
+
+  let output;
+  if (bgY > txtY) {
+    const sapc = (Math.pow(bgY, APCA.normBG) - Math.pow(txtY, APCA.normTXT)) * APCA.scaleBoW;
+    output = sapc < APCA.loClip ? 0 : sapc - APCA.loBoWoffset;
+  } else {
+    const sapc = (Math.pow(bgY, APCA.revBG) - Math.pow(txtY, APCA.revTXT)) * APCA.scaleWoB;
+    output = sapc > -APCA.loClip ? 0 : sapc + APCA.loWoBoffset;
+  }
+
+  return output * 100;
+}
+
+/**
+ * Extract the custom property name from a `var(--name)` reference
+ */
+export function extractVarName(value) {
+  if (!value || typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (trimmed.startsWith('--')) return trimmed;
+  const match = trimmed.match(/^var\(\s*(--[\w-]+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Convert an rgb object to linear-light sRGB channels (0-1)
+ */
+export function toLinearRgb({ r, g, b }) {
+  return [srgbToLinear(r), srgbToLinear(g), srgbToLinear(b)];
+}
+
+function linearToSrgb(channel) {
+  const value = Math.min(1, Math.max(0, channel));
+  const encoded = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+  return encoded * 255;
+}
+
+/**
+ * Convert linear-light sRGB channels back to an rgb object
+ */
+export function fromLinearRgb([r, g, b]) {
+  return { r: clampChannel(linearToSrgb(r)), g: clampChannel(linearToSrgb(g)), b: clampChannel(linearToSrgb(b)), a: 1 };
+}
+
+/**
+ * Convert a color to CIE L*a*b* (D65)
+ */
+export function toLab(color) {
+  const rgb = typeof color === 'string' ? parseColor(color) : color;
+  if (!rgb) return null;
+  const [r, g, b] = toLinearRgb(rgb);
+  const x = (0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / 0.95047;
+  const y = (0.2126729 * r + 0.7151522 * g + 0.0721750 * b);
+  const z = (0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / 1.08883;
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+  return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+/**
+ * Convert CIE L*a*b* (D65) back to an rgb object; out-of-gamut channels are clipped
+ */
+export function fromLab({ l, a, b }) {
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const finv = (t) => (t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27));
+  const x = finv(fx) * 0.95047;
+  const y = finv(fy);
+  const z = finv(fz) * 1.08883;
+  return fromLinearRgb([
+    3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+    -0.9692660 * x + 1.8760108 * y + 0.0415560 * z,
+    0.0556434 * x - 0.2040259 * y + 1.0572252 * z
+  ]);
+}
+
+/**
+ * CIEDE2000 color difference between two colors
+ */
+export function deltaE2000(colorA, colorB) {
+  const lab1 = colorA && colorA.l !== undefined ? colorA : toLab(colorA);
+  const lab2 = colorB && colorB.l !== undefined ? colorB : toLab(colorB);
+  if (!lab1 || !lab2) return null;
+
+  const rad = Math.PI / 180;
+  const c1 = Math.hypot(lab1.a, lab1.b);
+  const c2 = Math.hypot(lab2.a, lab2.b);
+  const cMean = (c1 + c2) / 2;
+  const g = 0.5 * (1 - Math.sqrt(Math.pow(cMean, 7) / (Math.pow(cMean, 7) + Math.pow(25, 7))));
+  const a1 = (1 + g) * lab1.a;
+  const a2 = (1 + g) * lab2.a;
+  const c1p = Math.hypot(a1, lab1.b);
+  const c2p = Math.hypot(a2, lab2.b);
+  const hue = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const angle = Math.atan2(b, a) / rad;
+    return angle >= 0 ? angle : angle + 360;
+  };
+  const h1p = hue(lab1.b, a1);
+  const h2p = hue(lab2.b, a2);
+
+  const dLp = lab2.l - lab1.l;
+  const dCp = c2p - c1p;
+  let dhp = 0;
+  if (c1p * c2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(c1p * c2p) * Math.sin((dhp / 2) * rad);
+
+  const lMean = (lab1.l + lab2.l) / 2;
+  const cpMean = (c1p + c2p) / 2;
+  let hpMean = h1p + h2p;
+  if (c1p * c2p !== 0) {
+    if (Math.abs(h1p - h2p) > 180) {
+      hpMean = h1p + h2p < 360 ? (h1p + h2p + 360) / 2 : (h1p + h2p - 360) / 2;
+    } else {
+      hpMean = (h1p + h2p) / 2;
+    }
+  }
+
+  const t = 1
+    - 0.17 * Math.cos((hpMean - 30) * rad)
+    + 0.24 * Math.cos(2 * hpMean * rad)
+    + 0.32 * Math.cos((3 * hpMean + 6) * rad)
+    - 0.20 * Math.cos((4 * hpMean - 63) * rad);
+  const dTheta = 30 * Math.exp(-Math.pow((hpMean - 275) / 25, 2));
+  const rc = 2 * Math.sqrt(Math.pow(cpMean, 7) / (Math.pow(cpMean, 7) + Math.pow(25, 7)));
+  const sl = 1 + (0.015 * Math.pow(lMean - 50, 2)) / Math.sqrt(20 + Math.pow(lMean - 50, 2));
+  const sc = 1 + 0.045 * cpMean;
+  const sh = 1 + 0.015 * cpMean * t;
+  const rt = -Math.sin(2 * dTheta * rad) * rc;
+
+  return Math.sqrt(
+    Math.pow(dLp / sl, 2)
+    + Math.pow(dCp / sc, 2)
+    + Math.pow(dHp / sh, 2)
+    + rt * (dCp / sc) * (dHp / sh)
+  );
+}
+
+/**
+ * Convert a color to OKLab
+ */
+export function toOklab(color) {
+  const rgb = typeof color === 'string' ? parseColor(color) : color;
+  if (!rgb) return null;
+  const [r, g, b] = toLinearRgb(rgb);
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  return {
+    l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  };
+}
+
+/**
+ * Euclidean OKLab distance, scaled by 100 to sit on a similar range as CIEDE2000
+ */
+export function deltaEOK(colorA, colorB) {
+  const labA = toOklab(colorA);
+  const labB = toOklab(colorB);
+  if (!labA || !labB) return null;
+  return Math.hypot(labA.l - labB.l, labA.a - labB.a, labA.b - labB.b) * 100;
+}
+
+function oklabToLinearRgb({ l, a, b }) {
+  const lms = [
+    l + 0.3963377774 * a + 0.2158037573 * b,
+    l - 0.1055613458 * a - 0.0638541728 * b,
+    l - 0.0894841775 * a - 1.2914855480 * b
+  ].map(value => value * value * value);
+  return [
+    4.0767416621 * lms[0] - 3.3077115913 * lms[1] + 0.2309699292 * lms[2],
+    -1.2684380046 * lms[0] + 2.6097574011 * lms[1] - 0.3413193965 * lms[2],
+    -0.0041960863 * lms[0] - 0.7034186147 * lms[1] + 1.7076147010 * lms[2]
+  ];
+}
+
+/**
+ * Convert OKLab back to an rgb object; out-of-gamut channels are clipped
+ */
+export function fromOklab(lab) {
+  return fromLinearRgb(oklabToLinearRgb(lab));
+}
+
+/**
+ * Convert a color to OKLCH (hue in degrees)
+ */
+export function toOklch(color) {
+  const lab = toOklab(color);
+  if (!lab) return null;
+  const hue = Math.atan2(lab.b, lab.a) * 180 / Math.PI;
+  return { l: lab.l, c: Math.hypot(lab.a, lab.b), h: hue >= 0 ? hue : hue + 360 };
+}
+
+/**
+ * Convert OKLCH to an rgb object. Colors outside sRGB keep their lightness and hue and
+ * lose chroma until they fit; `inGamut` tells whether that was needed.
+ */
+export function fromOklch({ l, c, h }) {
+  const rad = h * Math.PI / 180;
+  const toLinear = (chroma) => oklabToLinearRgb({ l, a: chroma * Math.cos(rad), b: chroma * Math.sin(rad) });
+  const fits = (channels) => channels.every(value => value >= -0.0001 && value <= 1.0001);
+
+  if (fits(toLinear(c))) return { ...fromLinearRgb(toLinear(c)), inGamut: true };
+
+  let low = 0;
+  let high = c;
+  for (let i = 0; i < 20; i++) {
+    const mid = (low + high) / 2;
+    if (fits(toLinear(mid))) low = mid; else high = mid;
+  }
+  return { ...fromLinearRgb(toLinear(low)), inGamut: false };
+}
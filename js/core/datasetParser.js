@@ -0,0 +1,156 @@
+/**
+ * Dataset parser
+ * Turns pasted or dropped CSV, TSV and JSON data into the normalized shape
+ * used by the chart previews: `{ categories: string[], series: [{ name, data: number[] }] }`.
+ */
+
+const MAX_CATEGORIES = 200;
+
+/**
+ * Read a number written with either separator convention: "1,234.5", "1.234,5", "1 234,5", "0,5".
+ * A single comma followed by exactly three digits ("1,234") is read as a thousands separator.
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (value === null || value === undefined) return null;
+  let cleaned = String(value).trim().replace(/[€$£%\s']/g, '');
+  if (cleaned === '') return null;
+
+  const lastComma = cleaned.lastIndexOf(',');
+  const lastDot = cleaned.lastIndexOf('.');
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Both separators: whichever comes last is the decimal one
+    cleaned = lastComma > lastDot
+      ? cleaned.replace(/\./g, '').replace(',', '.')
+      : cleaned.replace(/,/g, '');
+  } else if (lastComma !== -1) {
+    cleaned = /^-?\d{1,3}(,\d{3})+$/.test(cleaned) ? cleaned.replace(/,/g, '') : cleaned.replace(',', '.');
+  } else if (/^-?\d{1,3}(\.\d{3}){2,}$/.test(cleaned)) {
+    // "1.234.567" can only be grouped thousands
+    cleaned = cleaned.replace(/\./g, '');
+  }
+
+  const number = Number(cleaned);
+  return Number.isFinite(number) ? number : null;
+}
+
+function splitDelimitedLine(line, delimiter) {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+function detectDelimiter(headerLine) {
+  const candidates = ['\t', ';', ','];
+  return candidates
+    .map(delimiter => ({ delimiter, count: splitDelimitedLine(headerLine, delimiter).length }))
+    .reduce((best, candidate) => (candidate.count > best.count ? candidate : best))
+    .delimiter;
+}
+
+function normalize(categories, series) {
+  const usableSeries = series.filter(entry => entry.data.some(value => value !== null));
+  if (!categories.length || !usableSeries.length) {
+    throw new Error('No numeric values found in the dataset.');
+  }
+  if (categories.length > MAX_CATEGORIES) {
+    throw new Error(`Datasets are limited to ${MAX_CATEGORIES} categories.`);
+  }
+  return {
+    categories,
+    series: usableSeries.map(entry => ({
+      name: entry.name,
+      data: entry.data.map(value => (value === null ? 0 : value))
+    }))
+  };
+}
+
+/**
+ * Parse CSV or TSV text. The first row holds headers, the first column category labels.
+ */
+export function parseDelimited(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length < 2) {
+    throw new Error('Expected a header row and at least one data row.');
+  }
+
+  const delimiter = detectDelimiter(lines[0]);
+  const [header, ...rows] = lines.map(line => splitDelimitedLine(line, delimiter));
+
+  if (header.length < 2) {
+    throw new Error('Expected at least one category column and one value column.');
+  }
+
+  const categories = rows.map((row, index) => row[0] || `Row ${index + 1}`);
+  const series = header.slice(1).map((name, columnIndex) => ({
+    name: name || `Series ${columnIndex + 1}`,
+    data: rows.map(row => parseNumber(row[columnIndex + 1]))
+  }));
+
+  return normalize(categories, series);
+}
+
+/**
+ * Parse JSON: either `{ categories, series: [{ name, data }] }` or an array of row objects
+ */
+export function parseJSON(text) {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  if (payload && Array.isArray(payload.categories) && Array.isArray(payload.series)) {
+    return normalize(
+      payload.categories.map(String),
+      payload.series.map((entry, index) => ({
+        name: entry.name || `Series ${index + 1}`,
+        data: (entry.data || []).map(parseNumber)
+      }))
+    );
+  }
+
+  if (Array.isArray(payload) && payload.length && typeof payload[0] === 'object') {
+    const keys = Object.keys(payload[0]);
+    const categoryKey = keys.find(key => parseNumber(payload[0][key]) === null) || null;
+    const valueKeys = keys.filter(key => key !== categoryKey);
+    const categories = payload.map((row, index) => (categoryKey ? String(row[categoryKey]) : `Row ${index + 1}`));
+    const series = valueKeys.map(key => ({ name: key, data: payload.map(row => parseNumber(row[key])) }));
+    return normalize(categories, series);
+  }
+
+  throw new Error('Unsupported JSON shape. Use an array of rows or { categories, series }.');
+}
+
+/**
+ * Parse a dataset, detecting the format from the file name or the content
+ */
+export function parseDataset(text, fileName = '') {
+  const content = (text || '').trim();
+  if (!content) {
+    throw new Error('The dataset is empty.');
+  }
+
+  const isJSON = /\.json$/i.test(fileName) || content.startsWith('{') || content.startsWith('[');
+  return isJSON ? parseJSON(content) : parseDelimited(content);
+}
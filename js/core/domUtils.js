@@ -0,0 +1,33 @@
+/**
+ * DOM helpers shared by the renderers
+ */
+
+/**
+ * Escape text for use in HTML content and double-quoted attribute values
+ */
+export function escapeHTML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Save text or bytes as a file through a temporary link
+ * @param {string|Uint8Array} content
+ * @param {string} filename
+ * @param {string} mimeType
+ */
+export function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
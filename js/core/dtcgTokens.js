@@ -0,0 +1,70 @@
+/**
+ * DTCG token sources
+ * Reads design token JSON files (Design Tokens Community Group format, as shipped in
+ * `tokens/**\/*.json`) into metadata keyed by CSS custom property name: `$type`,
+ * `$description`, `{prism.color…}` references and the tokens a description says to pair with.
+ */
+
+const REFERENCE = /\{([^{}]+)\}/g;
+const SINGLE_REFERENCE = /^\{([^{}]+)\}$/;
+const PAIR_WITH = /pair with ([^.]+)/i;
+const PAIRED_TOKEN = /\bcolor-[a-z0-9-]+/g;
+
+/**
+ * CSS custom property of a token path (`prism.color.text.info` → `--prism-color-text-info`)
+ */
+export function tokenPathToVarName(path) {
+  const segments = Array.isArray(path) ? path : String(path).split('.');
+  return `--${segments.join('-')}`;
+}
+
+/**
+ * Tokens a description tells to pair with, as custom property names
+ * ("Pair with color-text-info-emphasis and color-icon-info-emphasis." → two names)
+ * @returns {string[]}
+ */
+export function parsePairings(description) {
+  const match = String(description || '').match(PAIR_WITH);
+  if (!match) return [];
+  return Array.from(new Set(match[1].match(PAIRED_TOKEN) || [])).map(name => `--prism-${name}`);
+}
+
+/**
+ * Flatten a DTCG document. `$type` is inherited from enclosing groups.
+ * @param {Object} json
+ * @returns {Object<string, {path: string, type: string|null, description: string, value: *, references: string[], alias: string|null, pairWith: string[]}>}
+ */
+export function flattenDtcgTokens(json) {
+  const tokens = {};
+
+  const visit = (node, path, inheritedType) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+    const type = typeof node.$type === 'string' ? node.$type : inheritedType;
+
+    if ('$value' in node) {
+      const value = node.$value;
+      const text = typeof value === 'string' ? value : '';
+      const description = typeof node.$description === 'string' ? node.$description.trim() : '';
+      const single = text.trim().match(SINGLE_REFERENCE);
+      tokens[tokenPathToVarName(path)] = {
+        path: path.join('.'),
+        type: type || null,
+        description,
+        value,
+        references: Array.from(text.matchAll(REFERENCE), match => tokenPathToVarName(match[1].trim())),
+        alias: single ? tokenPathToVarName(single[1].trim()) : null,
+        pairWith: parsePairings(description)
+      };
+      return;
+    }
+
+    Object.entries(node).forEach(([key, child]) => {
+      if (key.startsWith('$')) return;
+      visit(child, [...path, key], type);
+    });
+  };
+
+  visit(json, [], null);
+  return tokens;
+}
+
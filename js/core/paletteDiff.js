@@ -0,0 +1,181 @@
+/**
+ * Palette diff
+ * Compares the palette rows built from two token sources (e.g. the vendored foundation build and
+ * a new release) step by step: added and removed steps, changed values with their CIEDE2000
+ * distance, and families that were renamed without changing their colors.
+ */
+import { parseColor, deltaE2000 } from './colorUtils.js';
+
+export const DIFF_STATUS = Object.freeze({
+  unchanged: 'unchanged',
+  changed: 'changed',
+  added: 'added',
+  removed: 'removed',
+  renamed: 'renamed'
+});
+
+// A removed and an added family count as a rename when every step moved by at most this much
+const RENAME_MAX_DELTA_E = 1;
+
+function sameColor(a, b) {
+  return a.r === b.r && a.g === b.g && a.b === b.b && Math.abs(a.a - b.a) < 0.005;
+}
+
+/**
+ * Compare two color values
+ * @returns {{status: string, deltaE: number|null}}
+ */
+export function compareColorValues(before, after) {
+  const colorA = parseColor(before);
+  const colorB = parseColor(after);
+  if (!colorA || !colorB) {
+    // Values we cannot parse (keywords, functions) only compare as text
+    const same = String(before).trim().toLowerCase() === String(after).trim().toLowerCase();
+    return { status: same ? DIFF_STATUS.unchanged : DIFF_STATUS.changed, deltaE: null };
+  }
+  if (sameColor(colorA, colorB)) return { status: DIFF_STATUS.unchanged, deltaE: 0 };
+  return { status: DIFF_STATUS.changed, deltaE: deltaE2000(colorA, colorB) };
+}
+
+function stepOrder(step) {
+  const value = parseInt(step, 10);
+  return Number.isNaN(value) ? Number.MAX_SAFE_INTEGER : value;
+}
+
+function stepStatus(before, after) {
+  if (!before) return { status: DIFF_STATUS.added, deltaE: null };
+  if (!after) return { status: DIFF_STATUS.removed, deltaE: null };
+  return compareColorValues(before.value, after.value);
+}
+
+/**
+ * Step-by-step diff of two rows, matching steps by their key
+ */
+function diffSteps(beforeSwatches, afterSwatches) {
+  const before = new Map(beforeSwatches.map(swatch => [swatch.step, swatch]));
+  const after = new Map(afterSwatches.map(swatch => [swatch.step, swatch]));
+  const steps = Array.from(new Set([...before.keys(), ...after.keys()]))
+    .sort((a, b) => stepOrder(a) - stepOrder(b) || a.localeCompare(b));
+
+  return steps.map(step => ({
+    step,
+    before: before.get(step) || null,
+    after: after.get(step) || null,
+    ...stepStatus(before.get(step), after.get(step))
+  }));
+}
+
+/**
+ * Largest step distance between two rows with the same steps, or Infinity when they cannot be a rename
+ */
+function renameDistance(removedRow, addedRow) {
+  if (removedRow.swatches.length !== addedRow.swatches.length) return Infinity;
+  return removedRow.swatches.reduce((max, swatch, index) => {
+    const { deltaE } = compareColorValues(swatch.value, addedRow.swatches[index].value);
+    return Math.max(max, deltaE === null ? Infinity : deltaE);
+  }, 0);
+}
+
+/**
+ * Pair removed and added rows whose colors match, closest pairs first
+ * @returns {Map<string, Object>} Removed row per added row id
+ */
+function detectRenames(removedRows, addedRows) {
+  const candidates = removedRows.flatMap(removed => addedRows.map(added => ({
+    removed,
+    added,
+    distance: renameDistance(removed, added)
+  })))
+    .filter(candidate => candidate.distance <= RENAME_MAX_DELTA_E)
+    .sort((a, b) => a.distance - b.distance);
+
+  const renames = new Map();
+  const usedRemoved = new Set();
+  candidates.forEach(({ removed, added }) => {
+    if (renames.has(added.id) || usedRemoved.has(removed.id)) return;
+    renames.set(added.id, removed);
+    usedRemoved.add(removed.id);
+  });
+  return renames;
+}
+
+function rowStatus(steps) {
+  return steps.every(step => step.status === DIFF_STATUS.unchanged) ? DIFF_STATUS.unchanged : DIFF_STATUS.changed;
+}
+
+/**
+ * Diff two lists of palette rows
+ * @param {Array<{id: string, label: string, swatches: Array<{step: string, displayStep: string, value: string}>}>} baseRows
+ * @param {Array} compareRows - Rows of the same shape from the other source
+ * @returns {Array<{id: string, label: string, status: string, previous: {id: string, label: string}|null, steps: Array}>}
+ *   Rows in the compared source's order, removed rows kept at their base position
+ */
+export function diffPaletteRows(baseRows, compareRows) {
+  const baseById = new Map(baseRows.map(row => [row.id, row]));
+  const compareIds = new Set(compareRows.map(row => row.id));
+  const removedRows = baseRows.filter(row => !compareIds.has(row.id));
+  const addedRows = compareRows.filter(row => !baseById.has(row.id));
+  const renames = detectRenames(removedRows, addedRows);
+  const renamedIds = new Set(Array.from(renames.values(), row => row.id));
+
+  const result = compareRows.map(row => {
+    const base = baseById.get(row.id);
+    if (base) {
+      const steps = diffSteps(base.swatches, row.swatches);
+      return { id: row.id, label: row.label, status: rowStatus(steps), previous: null, steps };
+    }
+
+    const previous = renames.get(row.id);
+    if (previous) {
+      // Renamed families are compared position by position, their step keys may have changed too
+      const steps = row.swatches.map((swatch, index) => ({
+        step: swatch.step,
+        before: previous.swatches[index],
+        after: swatch,
+        ...compareColorValues(previous.swatches[index].value, swatch.value)
+      }));
+      return { id: row.id, label: row.label, status: DIFF_STATUS.renamed, previous: { id: previous.id, label: previous.label }, steps };
+    }
+
+    return {
+      id: row.id,
+      label: row.label,
+      status: DIFF_STATUS.added,
+      previous: null,
+      steps: row.swatches.map(swatch => ({ step: swatch.step, before: null, after: swatch, status: DIFF_STATUS.added, deltaE: null }))
+    };
+  });
+
+  // Removed rows go right after the row that preceded them in the base source
+  removedRows.filter(row => !renamedIds.has(row.id)).forEach(row => {
+    const baseIndex = baseRows.indexOf(row);
+    const anchor = baseRows.slice(0, baseIndex).reverse().find(candidate => result.some(entry => entry.id === candidate.id));
+    const insertAt = anchor ? result.findIndex(entry => entry.id === anchor.id) + 1 : 0;
+    result.splice(insertAt, 0, {
+      id: row.id,
+      label: row.label,
+      status: DIFF_STATUS.removed,
+      previous: null,
+      steps: row.swatches.map(swatch => ({ step: swatch.step, before: swatch, after: null, status: DIFF_STATUS.removed, deltaE: null }))
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Count rows and steps per status
+ * @returns {{rows: Object<string, number>, steps: Object<string, number>, maxDeltaE: number}}
+ */
+export function summarizePaletteDiff(rows) {
+  const count = () => Object.fromEntries(Object.values(DIFF_STATUS).map(status => [status, 0]));
+  const summary = { rows: count(), steps: count(), maxDeltaE: 0 };
+  rows.forEach(row => {
+    summary.rows[row.status] += 1;
+    row.steps.forEach(step => {
+      summary.steps[step.status] += 1;
+      if (step.deltaE) summary.maxDeltaE = Math.max(summary.maxDeltaE, step.deltaE);
+    });
+  });
+  return summary;
+}
@@ -0,0 +1,245 @@
+/**
+ * Palette exporters
+ * Turns the active palette into snippets and files for the BI and charting tools we hand off to.
+ * Every exporter receives `{ name, type, colors: [{ hex, cssVar, label, midpoint }] }` and returns
+ * a string, or a `Uint8Array` for binary formats.
+ */
+import { parseColor, toHex, extractVarName } from './colorUtils.js';
+import { escapeHTML } from './domUtils.js';
+
+// Stripped from token names to build short swatch labels
+const TOKEN_PREFIX = /^--(prism-color-chart-|prism-color-)?/;
+
+function slugify(name, separator = '-') {
+  const slug = String(name || 'palette')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, separator)
+    .replace(new RegExp(`^\\${separator}+|\\${separator}+$`, 'g'), '');
+  return slug || 'palette';
+}
+
+function quoteList(colors, quote = '\'') {
+  return colors.map(color => `${quote}${color.hex}${quote}`).join(', ');
+}
+
+// String literal for Python, R and SCSS: backslashes, the quote mark and line breaks escaped
+function quote(value, mark = '\'') {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(new RegExp(mark, 'g'), `\\${mark}`)
+    .replace(/\r\n|\r|\n/g, '\\n');
+  return `${mark}${escaped}${mark}`;
+}
+
+// Line-based formats (GIMP) end a field at the line break
+function singleLine(value) {
+  return String(value).replace(/\s+/g, ' ').trim();
+}
+
+function isOrdered(type) {
+  return type === 'sequential' || type === 'demand' || type === 'diverging';
+}
+
+function getMidpoint(colors) {
+  return colors.find(color => color.midpoint) || colors[Math.floor(colors.length / 2)];
+}
+
+function buildHighcharts({ colors }) {
+  return `Highcharts.setOptions({\n  colors: [\n${colors.map(color => `    '${color.hex}'`).join(',\n')}\n  ]\n});`;
+}
+
+function buildTableau({ name, type, colors }) {
+  const paletteType = type === 'diverging'
+    ? 'ordered-diverging'
+    : (isOrdered(type) ? 'ordered-sequential' : 'regular');
+  const entries = colors.map(color => `      <color>${color.hex}</color>`).join('\n');
+  return `<?xml version='1.0'?>\n<workbook>\n  <preferences>\n    <color-palette name="${escapeHTML(name)}" type="${paletteType}">\n${entries}\n    </color-palette>\n  </preferences>\n</workbook>\n`;
+}
+
+function buildPowerBI({ name, type, colors }) {
+  const theme = { name, dataColors: colors.map(color => color.hex) };
+  if (isOrdered(type) && colors.length > 1) {
+    theme.minimum = colors[0].hex;
+    theme.maximum = colors[colors.length - 1].hex;
+    if (colors.length > 2) theme.center = getMidpoint(colors).hex;
+  }
+  return `${JSON.stringify(theme, null, 2)}\n`;
+}
+
+function buildMatplotlib({ name, type, colors }) {
+  const variable = slugify(name, '_');
+  const lines = [
+    'import matplotlib as mpl',
+    'import seaborn as sns',
+    'from cycler import cycler',
+    '',
+    `${variable} = [${quoteList(colors)}]`,
+    '',
+    `mpl.rcParams['axes.prop_cycle'] = cycler(color=${variable})`,
+    `sns.set_palette(${variable})`
+  ];
+  if (isOrdered(type)) {
+    lines.push(
+      '',
+      'from matplotlib.colors import LinearSegmentedColormap',
+      `${variable}_cmap = LinearSegmentedColormap.from_list(${quote(name)}, ${variable})`
+    );
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function buildGgplot({ name, colors }) {
+  const variable = slugify(name, '_');
+  const values = colors.map(color => `  ${quote(color.label, '"')} = "${color.hex}"`).join(',\n');
+  return `${variable} <- c(\n${values}\n)\n\n` +
+    `scale_colour_manual(values = unname(${variable}))\n` +
+    `scale_fill_manual(values = unname(${variable}))\n`;
+}
+
+function buildVegaLite({ type, colors }) {
+  const scheme = colors.map(color => color.hex);
+  let range = { category: scheme };
+  if (type === 'diverging') {
+    range = { diverging: scheme, heatmap: scheme };
+  } else if (isOrdered(type)) {
+    range = { ramp: scheme, heatmap: scheme, ordinal: scheme };
+  }
+  return `${JSON.stringify({ config: { range } }, null, 2)}\n`;
+}
+
+function buildCss({ name, colors }) {
+  const prefix = slugify(name);
+  const declarations = colors
+    .map((color, index) => `  --${prefix}-${String(index + 1).padStart(2, '0')}: ${color.hex};${color.token ? ` /* ${color.token} */` : ''}`)
+    .join('\n');
+  return `:root {\n${declarations}\n}\n`;
+}
+
+function buildScss({ name, colors }) {
+  const entries = colors.map(color => `  ${quote(color.label)}: ${color.hex}`).join(',\n');
+  return `$${slugify(name)}: (\n${entries}\n);\n`;
+}
+
+function buildGimp({ name, colors }) {
+  const rows = colors.map(color => {
+    const { r, g, b } = parseColor(color.hex);
+    return `${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${singleLine(color.label)}`;
+  });
+  return `GIMP Palette\nName: ${singleLine(name)}\nColumns: ${Math.min(colors.length, 16)}\n#\n${rows.join('\n')}\n`;
+}
+
+/**
+ * Adobe Swatch Exchange (ASE) v1.0: a group holding one RGB global colour block per swatch
+ */
+function buildAse({ name, colors }) {
+  const encodeName = (text) => {
+    const chars = `${text}\0`;
+    const bytes = new Uint8Array(2 + chars.length * 2);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, chars.length);
+    for (let i = 0; i < chars.length; i++) {
+      view.setUint16(2 + i * 2, chars.charCodeAt(i));
+    }
+    return bytes;
+  };
+
+  const block = (type, body) => {
+    const bytes = new Uint8Array(6 + body.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, type);
+    view.setUint32(2, body.length);
+    bytes.set(body, 6);
+    return bytes;
+  };
+
+  const colorBlock = (color) => {
+    const nameBytes = encodeName(color.label);
+    const body = new Uint8Array(nameBytes.length + 4 + 12 + 2);
+    const view = new DataView(body.buffer);
+    body.set(nameBytes, 0);
+    let offset = nameBytes.length;
+    'RGB '.split('').forEach((char, index) => view.setUint8(offset + index, char.charCodeAt(0)));
+    offset += 4;
+    const { r, g, b } = parseColor(color.hex);
+    [r, g, b].forEach((channel, index) => view.setFloat32(offset + index * 4, channel / 255));
+    view.setUint16(offset + 12, 0); // 0 = global colour
+    return block(0x0001, body);
+  };
+
+  const blocks = [
+    block(0xc001, encodeName(name)),
+    ...colors.map(colorBlock),
+    block(0xc002, new Uint8Array(0))
+  ];
+
+  const header = new Uint8Array(12);
+  const headerView = new DataView(header.buffer);
+  'ASEF'.split('').forEach((char, index) => headerView.setUint8(index, char.charCodeAt(0)));
+  headerView.setUint16(4, 1);
+  headerView.setUint16(6, 0);
+  headerView.setUint32(8, blocks.length);
+
+  const total = blocks.reduce((sum, entry) => sum + entry.length, header.length);
+  const file = new Uint8Array(total);
+  file.set(header, 0);
+  let offset = header.length;
+  blocks.forEach(entry => {
+    file.set(entry, offset);
+    offset += entry.length;
+  });
+  return file;
+}
+
+export const PALETTE_EXPORT_FORMATS = Object.freeze([
+  { id: 'hex', label: 'Hex values', extension: 'txt', mimeType: 'text/plain', build: ({ colors }) => `${colors.map(color => color.hex).join('\n')}\n` },
+  { id: 'highcharts', label: 'Highcharts colors', extension: 'js', mimeType: 'text/javascript', build: buildHighcharts },
+  { id: 'tableau', label: 'Tableau (.tps)', extension: 'tps', mimeType: 'application/xml', build: buildTableau },
+  { id: 'powerbi', label: 'Power BI theme', extension: 'json', mimeType: 'application/json', build: buildPowerBI },
+  { id: 'matplotlib', label: 'matplotlib / seaborn', extension: 'py', mimeType: 'text/x-python', build: buildMatplotlib },
+  { id: 'ggplot2', label: 'ggplot2', extension: 'R', mimeType: 'text/plain', build: buildGgplot },
+  { id: 'vega-lite', label: 'Vega-Lite config', extension: 'vl.json', mimeType: 'application/json', build: buildVegaLite },
+  { id: 'css', label: 'CSS custom properties', extension: 'css', mimeType: 'text/css', build: buildCss },
+  { id: 'scss', label: 'SCSS map', extension: 'scss', mimeType: 'text/x-scss', build: buildScss },
+  { id: 'ase', label: 'Adobe swatches (.ase)', extension: 'ase', mimeType: 'application/octet-stream', binary: true, build: buildAse },
+  { id: 'gimp', label: 'GIMP palette (.gpl)', extension: 'gpl', mimeType: 'text/plain', build: buildGimp }
+]);
+
+export function getExportFormat(formatId) {
+  return PALETTE_EXPORT_FORMATS.find(format => format.id === formatId) || null;
+}
+
+/**
+ * Normalize palette items (`{ hex, cssVar }`) into the shape the exporters expect
+ */
+export function createExportPalette(name, type, items) {
+  const colors = (items || [])
+    .map((item, index) => {
+      const rgb = parseColor(item.hex);
+      if (!rgb) return null;
+      const token = extractVarName(item.cssVar);
+      const label = token
+        ? token.replace(TOKEN_PREFIX, '')
+        : String(index + 1).padStart(2, '0');
+      return { hex: toHex(rgb), cssVar: item.cssVar, token, label, midpoint: Boolean(item.midpoint) };
+    })
+    .filter(Boolean);
+
+  return { name: name || 'custom', type: type || 'categorical', colors };
+}
+
+/**
+ * Run an exporter
+ * @returns {{ content: string|Uint8Array, fileName: string, mimeType: string, binary: boolean }}
+ */
+export function exportPalette(formatId, palette) {
+  const format = getExportFormat(formatId);
+  if (!format) {
+    throw new Error(`Unknown export format: ${formatId}`);
+  }
+  return {
+    content: format.build(palette),
+    fileName: `${slugify(palette.name)}.${format.extension}`,
+    mimeType: format.mimeType,
+    binary: Boolean(format.binary)
+  };
+}
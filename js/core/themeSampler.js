@@ -0,0 +1,54 @@
+/**
+ * Prism theme sampler
+ * Reads the computed value of CSS custom properties under every Prism theme
+ * by briefly switching the root `data-theme` attribute and restoring it.
+ */
+export const PRISM_THEMES = Object.freeze(['light', 'dark', 'highcontrast-light', 'highcontrast-dark']);
+
+export const THEME_LABELS = Object.freeze({
+  'light': 'Light',
+  'dark': 'Dark',
+  'highcontrast-light': 'High Contrast Light',
+  'highcontrast-dark': 'High Contrast Dark'
+});
+
+function setRootTheme(root, theme) {
+  if (!theme || theme === 'light') {
+    root.removeAttribute('data-theme');
+  } else {
+    root.setAttribute('data-theme', theme);
+  }
+}
+
+/**
+ * Sample custom properties for each theme
+ * @param {string[]} varNames - Custom property names (e.g. `--prism-color-elevation-surface`)
+ * @param {string[]} themes - Themes to sample
+ * @returns {Object} `{ theme: { varName: value|null } }`
+ */
+export function sampleThemeValues(varNames, themes = PRISM_THEMES) {
+  const root = document.documentElement;
+  const previousTheme = root.getAttribute('data-theme');
+  const uniqueNames = Array.from(new Set(varNames.filter(Boolean)));
+  const result = {};
+
+  try {
+    themes.forEach(theme => {
+      setRootTheme(root, theme);
+      const styles = getComputedStyle(root);
+      result[theme] = {};
+      uniqueNames.forEach(name => {
+        const value = styles.getPropertyValue(name).trim();
+        result[theme][name] = value || null;
+      });
+    });
+  } finally {
+    if (previousTheme) {
+      root.setAttribute('data-theme', previousTheme);
+    } else {
+      root.removeAttribute('data-theme');
+    }
+  }
+
+  return result;
+}
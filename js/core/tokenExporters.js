@@ -0,0 +1,288 @@
+/**
+ * Token exporters
+ * Serializes design tokens for the platforms that consume them: DTCG and flat JSON, SCSS, Less,
+ * ES modules with TypeScript typings, Android resources and iOS Swift / asset catalogs.
+ * Every exporter receives `{ theme, themeLabel, tokens }` (see createExportTokenSet) and returns a
+ * string, or a list of `{ path, content }` files for formats that are folders.
+ */
+import { parseColor, toHex } from './colorUtils.js';
+import { createZip } from './zipArchive.js';
+
+// Root font size used to turn rem into pixels for the mobile formats
+const ROOT_FONT_SIZE = 16;
+const DIMENSION = /^(-?\d*\.?\d+)(px|rem)?$/;
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+}
+
+// Descriptions end up inside comments; keep them on one line and unable to close the comment
+function commentText(text) {
+  return String(text).replace(/\s+/g, ' ').replace(/\*\//g, '* /').replace(/--/g, '- -').trim();
+}
+
+function header(tokenSet, commentPrefix = '//') {
+  return `${commentPrefix} Prism design tokens, ${tokenSet.themeLabel} theme (${tokenSet.tokens.length} tokens)`;
+}
+
+/**
+ * Pixel size of a dimension value, or null for anything else (percentages, em, calc())
+ */
+function toPixels(value) {
+  const match = String(value ?? '').trim().match(DIMENSION);
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  return match[2] === 'rem' ? number * ROOT_FONT_SIZE : number;
+}
+
+function inferType(token) {
+  if (token.dtcgType) return token.dtcgType;
+  if (['color', 'gradient', 'shadow'].includes(token.type)) return token.type;
+  if (token.name.endsWith('-font-family')) return 'fontFamily';
+  if (token.name.endsWith('-font-weight')) return 'fontWeight';
+  if (toPixels(token.value) !== null) return 'dimension';
+  return null;
+}
+
+function formatNumber(value, digits = 3) {
+  return String(Number(value.toFixed(digits)));
+}
+
+/**
+ * Normalize explorer tokens (`{ name, value, type, dtcgType, description }`) into the shape the
+ * exporters expect: names per platform, the DTCG type and the parsed color or pixel size.
+ */
+export function createExportTokenSet(theme, themeLabel, tokens) {
+  const normalized = (tokens || [])
+    .filter(token => token && token.name && token.value !== undefined && token.value !== '')
+    .map(token => {
+      const cssName = token.name.replace(/^--/, '');
+      const type = inferType(token);
+      const color = type === 'color' ? parseColor(String(token.value)) : null;
+      const pixels = type === 'dimension' ? toPixels(token.value) : null;
+      return {
+        name: token.name,
+        cssName,
+        camelName: toCamelCase(cssName),
+        path: cssName.split('-'),
+        value: String(token.value),
+        type,
+        description: token.description || '',
+        color,
+        pixels
+      };
+    });
+
+  return { theme, themeLabel: themeLabel || theme, tokens: normalized };
+}
+
+function buildDtcg({ tokens }) {
+  const root = {};
+  tokens.forEach(token => {
+    const entry = {
+      ...(token.type ? { $type: token.type } : {}),
+      $value: token.type === 'fontWeight' && /^\d+$/.test(token.value) ? Number(token.value) : token.value,
+      ...(token.description ? { $description: token.description } : {})
+    };
+    let group = root;
+    const parents = token.path.slice(0, -1);
+    const key = token.path[token.path.length - 1];
+    const fits = parents.every(segment => {
+      if (group[segment] && '$value' in group[segment]) return false;
+      group = group[segment] = group[segment] || {};
+      return true;
+    });
+    // A name that is both a token and a group elsewhere stays in one piece at the root
+    if (fits && !group[key]) group[key] = entry;
+    else root[token.cssName] = entry;
+  });
+  return `${JSON.stringify(root, null, 2)}\n`;
+}
+
+function buildFlatJson({ tokens }) {
+  return `${JSON.stringify(Object.fromEntries(tokens.map(token => [token.cssName, token.value])), null, 2)}\n`;
+}
+
+function buildScss(tokenSet) {
+  const lines = tokenSet.tokens.map(token => [
+    token.description ? `// ${commentText(token.description)}` : null,
+    `$${token.cssName}: ${token.value};`
+  ].filter(Boolean).join('\n'));
+  return `${header(tokenSet)}\n\n${lines.join('\n')}\n`;
+}
+
+function buildLess(tokenSet) {
+  const lines = tokenSet.tokens.map(token => [
+    token.description ? `// ${commentText(token.description)}` : null,
+    `@${token.cssName}: ${token.value};`
+  ].filter(Boolean).join('\n'));
+  return `${header(tokenSet)}\n\n${lines.join('\n')}\n`;
+}
+
+function buildEsModule(tokenSet) {
+  const lines = tokenSet.tokens.map(token => [
+    token.description ? `/** ${commentText(token.description)} */` : null,
+    `export const ${token.camelName} = ${quote(token.value)};`
+  ].filter(Boolean).join('\n'));
+  return `${header(tokenSet)}\n\n${lines.join('\n')}\n`;
+}
+
+function buildTypings(tokenSet) {
+  const lines = tokenSet.tokens.map(token => [
+    token.description ? `/** ${commentText(token.description)} */` : null,
+    `export declare const ${token.camelName}: string;`
+  ].filter(Boolean).join('\n'));
+  const names = tokenSet.tokens.map(token => `  | ${quote(token.name)}`).join('\n');
+  return `${header(tokenSet)}\n\n${lines.join('\n')}\n\nexport type PrismTokenName =\n${names || '  never'};\n`;
+}
+
+function androidColor({ r, g, b, a }) {
+  const alpha = Math.round(a * 255).toString(16).padStart(2, '0');
+  return `#${alpha}${toHex({ r, g, b }).slice(1)}`.toUpperCase();
+}
+
+function androidResources(tokenSet, entries) {
+  return `<?xml version="1.0" encoding="utf-8"?>\n${header(tokenSet, '<!--')} -->\n<resources>\n${entries.join('\n')}\n</resources>\n`;
+}
+
+function androidEntry(token, element) {
+  const comment = token.description ? `    <!-- ${commentText(token.description)} -->\n` : '';
+  return `${comment}    ${element}`;
+}
+
+function buildAndroidColors(tokenSet) {
+  return androidResources(tokenSet, tokenSet.tokens.map(token => androidEntry(
+    token,
+    `<color name="${token.cssName.replace(/-/g, '_')}">${androidColor(token.color)}</color>`
+  )));
+}
+
+function buildAndroidDimens(tokenSet) {
+  return androidResources(tokenSet, tokenSet.tokens.map(token => {
+    // Text sizes scale with the user's font setting
+    const unit = /font-size$|line-height$|letter-spacing$/.test(token.name) ? 'sp' : 'dp';
+    return androidEntry(token, `<dimen name="${token.cssName.replace(/-/g, '_')}">${formatNumber(token.pixels)}${unit}</dimen>`);
+  }));
+}
+
+function swiftName(token) {
+  return toCamelCase(token.cssName.replace(/^prism-/, ''));
+}
+
+function buildSwift(tokenSet) {
+  const lines = tokenSet.tokens.map(token => {
+    const doc = token.description ? `    /// ${commentText(token.description)}\n` : '';
+    if (token.color) {
+      const { r, g, b, a } = token.color;
+      const channels = [r, g, b].map(channel => formatNumber(channel / 255));
+      return `${doc}    public static let ${swiftName(token)} = Color(.sRGB, red: ${channels[0]}, green: ${channels[1]}, blue: ${channels[2]}, opacity: ${formatNumber(a)})`;
+    }
+    return `${doc}    public static let ${swiftName(token)}: CGFloat = ${formatNumber(token.pixels)}`;
+  });
+  return `${header(tokenSet)}\nimport SwiftUI\n\npublic enum PrismTokens {\n${lines.join('\n')}\n}\n`;
+}
+
+/**
+ * Xcode asset catalog: one color set per token, named after the CSS custom property
+ */
+function buildAssetCatalog({ tokens }) {
+  const info = { author: 'xcode', version: 1 };
+  const colorSets = tokens.map(token => {
+    const { r, g, b, a } = token.color;
+    const hex = channel => `0x${channel.toString(16).padStart(2, '0').toUpperCase()}`;
+    const contents = {
+      colors: [{
+        color: {
+          'color-space': 'srgb',
+          components: { alpha: a.toFixed(3), blue: hex(b), green: hex(g), red: hex(r) }
+        },
+        idiom: 'universal'
+      }],
+      info
+    };
+    return { path: `PrismTokens.xcassets/${token.cssName}.colorset/Contents.json`, content: `${JSON.stringify(contents, null, 2)}\n` };
+  });
+  return [{ path: 'PrismTokens.xcassets/Contents.json', content: `${JSON.stringify({ info }, null, 2)}\n` }, ...colorSets];
+}
+
+const isColor = token => Boolean(token.color);
+const isDimension = token => token.pixels !== null;
+
+export const TOKEN_EXPORT_FORMATS = Object.freeze([
+  { id: 'dtcg', label: 'DTCG JSON', fileName: theme => `prism-tokens-${theme}.tokens.json`, mimeType: 'application/json', build: buildDtcg },
+  { id: 'json', label: 'Flat JSON', fileName: theme => `prism-tokens-${theme}.json`, mimeType: 'application/json', build: buildFlatJson },
+  { id: 'scss', label: 'SCSS variables', fileName: theme => `_prism-tokens-${theme}.scss`, mimeType: 'text/x-scss', build: buildScss },
+  { id: 'less', label: 'Less variables', fileName: theme => `prism-tokens-${theme}.less`, mimeType: 'text/x-less', build: buildLess },
+  { id: 'esm', label: 'ES module constants', fileName: theme => `prism-tokens-${theme}.js`, mimeType: 'text/javascript', build: buildEsModule },
+  { id: 'typings', label: 'TypeScript typings', fileName: theme => `prism-tokens-${theme}.d.ts`, mimeType: 'text/plain', build: buildTypings },
+  { id: 'android-colors', label: 'Android colors.xml', fileName: () => 'colors.xml', folder: 'android/values', mimeType: 'application/xml', accepts: isColor, build: buildAndroidColors },
+  { id: 'android-dimens', label: 'Android dimens.xml', fileName: () => 'dimens.xml', folder: 'android/values', mimeType: 'application/xml', accepts: isDimension, build: buildAndroidDimens },
+  { id: 'swift', label: 'iOS Swift constants', fileName: () => 'PrismTokens.swift', folder: 'ios', mimeType: 'text/plain', accepts: token => isColor(token) || isDimension(token), build: buildSwift },
+  { id: 'xcassets', label: 'iOS asset catalog (.zip)', fileName: () => 'PrismTokens.xcassets.zip', folder: 'ios', mimeType: 'application/zip', accepts: isColor, build: buildAssetCatalog },
+  { id: 'bundle', label: 'All formats (.zip)', fileName: theme => `prism-tokens-${theme}.zip`, mimeType: 'application/zip' }
+]);
+
+export function getTokenExportFormat(formatId) {
+  return TOKEN_EXPORT_FORMATS.find(format => format.id === formatId) || null;
+}
+
+/**
+ * Files a format writes for a token set, with the number of tokens it had no equivalent for.
+ * `folder` prefixes the paths inside the bundle.
+ * @returns {{files: Array<{path: string, content: string}>, count: number, skipped: number}}
+ */
+function buildFormatFiles(format, tokenSet, folder = '') {
+  const tokens = format.accepts ? tokenSet.tokens.filter(format.accepts) : tokenSet.tokens;
+  const skipped = tokenSet.tokens.length - tokens.length;
+  if (!tokens.length) return { files: [], count: 0, skipped };
+
+  const output = format.build({ ...tokenSet, tokens });
+  const prefix = folder ? `${folder}/` : '';
+  const files = Array.isArray(output)
+    ? output.map(file => ({ path: `${prefix}${file.path}`, content: file.content }))
+    : [{ path: `${prefix}${format.fileName(tokenSet.theme)}`, content: output }];
+  return { files, count: tokens.length, skipped };
+}
+
+/**
+ * Run an exporter. Formats made of several files, and the bundle of every format, are zipped.
+ * @returns {{ content: string|Uint8Array, fileName: string, mimeType: string, binary: boolean,
+ *   files: string[], count: number, skipped: number }}
+ */
+export function exportTokens(formatId, tokenSet) {
+  const format = getTokenExportFormat(formatId);
+  if (!format) {
+    throw new Error(`Unknown export format: ${formatId}`);
+  }
+
+  if (format.id === 'bundle') {
+    const files = TOKEN_EXPORT_FORMATS
+      .filter(entry => entry.build)
+      .flatMap(entry => buildFormatFiles(entry, tokenSet, entry.folder).files);
+    return {
+      content: createZip(files),
+      fileName: format.fileName(tokenSet.theme),
+      mimeType: format.mimeType,
+      binary: true,
+      files: files.map(file => file.path),
+      count: tokenSet.tokens.length,
+      skipped: 0
+    };
+  }
+
+  const { files, count, skipped } = buildFormatFiles(format, tokenSet);
+  const single = files.length === 1 && format.mimeType !== 'application/zip';
+  return {
+    content: single ? files[0].content : createZip(files),
+    fileName: format.fileName(tokenSet.theme),
+    mimeType: format.mimeType,
+    binary: !single,
+    files: files.map(file => file.path),
+    count,
+    skipped
+  };
+}
@@ -0,0 +1,244 @@
+/**
+ * Token search queries
+ * Parses and evaluates the token explorer's search syntax. Terms are combined with AND:
+ *
+ *   text              name, value, description or alias contains the text
+ *   field:text        name:, value:, type:, category: (cat:), description: (desc:)
+ *   /regex/flags      regular expression, case-insensitive unless flags are given (also field:/regex/)
+ *   ~text             fuzzy: the characters appear in order (also field:~text)
+ *   -term             negation of any term
+ *   "quoted text"     text with spaces
+ *   theme:dark        search the values of another theme
+ *   near:#ec470a [within ΔE 5]
+ *                     colors within a CIEDE2000 distance of a color, closest first
+ */
+import { parseColor, deltaE2000 } from './colorUtils.js';
+import { escapeHTML } from './domUtils.js';
+
+export const DEFAULT_NEAR_DELTA_E = 10;
+
+const FIELD_ALIASES = Object.freeze({
+  name: 'name',
+  value: 'value',
+  type: 'type',
+  category: 'category',
+  cat: 'category',
+  description: 'description',
+  desc: 'description'
+});
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?("[^"]*"?|\/(?:\\.|[^/\\])+\/[a-z]*|\S+)/gi;
+const DELTA_E_WORDS = ['δe', 'de', 'deltae', 'delta-e'];
+
+function unquote(text) {
+  return text.startsWith('"') ? text.replace(/^"|"$/g, '') : text;
+}
+
+function buildRegex(text) {
+  const match = text.match(/^\/(.+)\/([a-z]*)$/i);
+  if (!match) return null;
+  const [, source, flags] = match;
+  return new RegExp(source, flags || 'i');
+}
+
+/**
+ * Parse a query string
+ * @returns {{source: string, terms: Array<Object>, theme: string|null, near: {color: Object, hex: string, within: number}|null, errors: string[]}}
+ */
+export function parseTokenQuery(input) {
+  const source = String(input || '').trim();
+  const query = { source, terms: [], theme: null, near: null, errors: [] };
+  const parts = Array.from(source.matchAll(TOKEN_PATTERN), ([, negation, field, text]) => ({
+    negate: negation === '-',
+    field: field ? field.toLowerCase() : null,
+    text
+  }));
+
+  for (let index = 0; index < parts.length; index += 1) {
+    const { negate, field, text } = parts[index];
+
+    if (field === 'theme') {
+      query.theme = unquote(text).toLowerCase();
+      continue;
+    }
+
+    if (field === 'near') {
+      const color = parseColor(unquote(text));
+      if (!color) {
+        query.errors.push(`"${text}" is not a color`);
+        continue;
+      }
+      let within = DEFAULT_NEAR_DELTA_E;
+      // Optional "within [ΔE] N"
+      if (parts[index + 1] && parts[index + 1].text.toLowerCase() === 'within') {
+        let next = index + 2;
+        if (parts[next] && DELTA_E_WORDS.includes(parts[next].text.toLowerCase())) next += 1;
+        const distance = parts[next] ? parseFloat(parts[next].text) : NaN;
+        if (Number.isFinite(distance) && distance >= 0) {
+          within = distance;
+          index = next;
+        } else {
+          query.errors.push('"within" needs a ΔE distance, e.g. within ΔE 5');
+          index = next - 1;
+        }
+      }
+      query.near = { color, hex: unquote(text), within };
+      continue;
+    }
+
+    const target = field ? FIELD_ALIASES[field] : 'any';
+    if (!target) {
+      // Unknown prefixes (e.g. a URL) are plain text
+      query.terms.push({ field: 'any', negate, kind: 'text', pattern: `${field}:${unquote(text)}`.toLowerCase() });
+      continue;
+    }
+
+    if (/^\/.+\/[a-z]*$/i.test(text)) {
+      try {
+        query.terms.push({ field: target, negate, kind: 'regex', regex: buildRegex(text) });
+      } catch (error) {
+        query.errors.push(`Invalid regular expression ${text}`);
+      }
+      continue;
+    }
+
+    const value = unquote(text);
+    if (!value) continue;
+    if (value.startsWith('~') && value.length > 1) {
+      query.terms.push({ field: target, negate, kind: 'fuzzy', pattern: value.slice(1).toLowerCase() });
+    } else {
+      query.terms.push({ field: target, negate, kind: 'text', pattern: value.toLowerCase() });
+    }
+  }
+
+  return query;
+}
+
+export function isEmptyQuery(query) {
+  return !query || (!query.terms.length && !query.near && !query.theme);
+}
+
+function textRanges(text, pattern) {
+  const ranges = [];
+  const haystack = text.toLowerCase();
+  let start = haystack.indexOf(pattern);
+  while (pattern && start !== -1) {
+    ranges.push([start, start + pattern.length]);
+    start = haystack.indexOf(pattern, start + pattern.length);
+  }
+  return ranges;
+}
+
+function regexRanges(text, regex) {
+  const global = new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : `${regex.flags}g`);
+  return Array.from(text.matchAll(global))
+    .filter(match => match[0].length)
+    .map(match => [match.index, match.index + match[0].length]);
+}
+
+/**
+ * Positions of the pattern's characters, in order, or an empty list when they do not all appear
+ */
+function fuzzyRanges(text, pattern) {
+  const haystack = text.toLowerCase();
+  const ranges = [];
+  let from = 0;
+  for (const char of pattern) {
+    const position = haystack.indexOf(char, from);
+    if (position === -1) return [];
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === position) last[1] = position + 1;
+    else ranges.push([position, position + 1]);
+    from = position + 1;
+  }
+  return ranges;
+}
+
+function termRanges(term, text) {
+  if (!text) return [];
+  if (term.kind === 'regex') return regexRanges(text, term.regex);
+  if (term.kind === 'fuzzy') return fuzzyRanges(text, term.pattern);
+  return textRanges(text, term.pattern);
+}
+
+/**
+ * Searchable texts of a token per field; `name` and `value` are the ones displayed and highlighted
+ */
+function fieldTexts(token, context) {
+  return {
+    name: [token.name],
+    value: [String(token.value ?? ''), String(token.raw ?? '')],
+    type: [token.type, token.dtcgType].filter(Boolean),
+    category: [context.category, context.subcategory].filter(Boolean),
+    description: [token.description || ''],
+    any: [token.name, String(token.value ?? ''), String(token.raw ?? ''), token.description || '', ...(token.chain || [])]
+  };
+}
+
+/**
+ * Evaluate a parsed query against a token
+ * @param {Object} token - { name, value, raw, type, description, chain }
+ * @param {Object} query - From parseTokenQuery
+ * @param {{category?: string, subcategory?: string}} context - Where the token is listed
+ * @returns {{match: boolean, highlights: {name: Array<number[]>, value: Array<number[]>}, deltaE: number|null}}
+ */
+export function evaluateTokenQuery(token, query, context = {}) {
+  const highlights = { name: [], value: [] };
+  const texts = fieldTexts(token, context);
+
+  const matches = query.terms.every(term => {
+    if (term.field === 'type' && term.kind === 'text') {
+      const found = texts.type.some(type => type.toLowerCase().startsWith(term.pattern));
+      return found !== term.negate;
+    }
+
+    const fields = term.field === 'any' ? ['name', 'value', 'any'] : [term.field];
+    let found = false;
+    fields.forEach(field => {
+      texts[field].forEach((text, index) => {
+        const ranges = termRanges(term, text);
+        if (!ranges.length) return;
+        found = true;
+        // Only the displayed texts carry highlights: the name and the resolved value
+        if (!term.negate && index === 0 && (field === 'name' || field === 'value')) highlights[field].push(...ranges);
+      });
+    });
+    return found !== term.negate;
+  });
+
+  if (!matches) return { match: false, highlights, deltaE: null };
+
+  let deltaE = null;
+  if (query.near) {
+    const color = parseColor(String(token.value ?? ''));
+    // Translucent tokens depend on what is behind them, they have no single distance
+    if (!color || color.a < 1) return { match: false, highlights, deltaE: null };
+    deltaE = deltaE2000(query.near.color, color);
+    if (deltaE > query.near.within) return { match: false, highlights, deltaE };
+  }
+
+  return { match: true, highlights, deltaE };
+}
+
+/**
+ * Text with the given ranges wrapped in <mark>
+ */
+export function highlightText(text, ranges = []) {
+  const value = String(text ?? '');
+  if (!ranges.length) return escapeHTML(value);
+
+  const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  });
+
+  let html = '';
+  let cursor = 0;
+  merged.forEach(([start, end]) => {
+    html += `${escapeHTML(value.slice(cursor, start))}<mark>${escapeHTML(value.slice(start, end))}</mark>`;
+    cursor = end;
+  });
+  return html + escapeHTML(value.slice(cursor));
+}
@@ -0,0 +1,87 @@
+/**
+ * Token references
+ * Follows `var(--…)` references between custom properties: the alias chain of a token
+ * (alias → base → literal), its value with every reference resolved, and the reverse
+ * "used by" index listing the tokens that reference a given one.
+ */
+
+// var(--name) or var(--name, fallback); fallbacks may hold one level of nested parentheses
+const VAR_REFERENCE = /var\(\s*(--[\w-]+)\s*(?:,\s*((?:[^()]|\([^()]*\))*))?\)/g;
+const SINGLE_REFERENCE = /^var\(\s*(--[\w-]+)\s*(?:,\s*(?:[^()]|\([^()]*\))*)?\)$/;
+
+/**
+ * Names referenced directly by a value
+ * @returns {string[]}
+ */
+export function parseVarReferences(value) {
+  return Array.from(String(value ?? '').matchAll(VAR_REFERENCE), match => match[1]);
+}
+
+/**
+ * Replace every reference in a value by the value it resolves to. References that are
+ * unknown (without fallback) or circular are left as written.
+ * @param {string} value
+ * @param {Object<string, string>} vars - Declared values by name
+ */
+export function resolveVarReferences(value, vars, seen = new Set()) {
+  return String(value ?? '').replace(VAR_REFERENCE, (reference, name, fallback) => {
+    if (seen.has(name)) return reference;
+    if (name in vars) return resolveVarReferences(vars[name], vars, new Set([...seen, name]));
+    return fallback !== undefined ? resolveVarReferences(fallback.trim(), vars, seen) : reference;
+  });
+}
+
+/**
+ * Tokens a token aliases, nearest first, as long as each value is a single reference
+ * (`--a: var(--b)`, `--b: var(--c)`, `--c: #fff` → ['--b', '--c'])
+ * @returns {string[]}
+ */
+export function getAliasChain(name, vars) {
+  const chain = [];
+  const seen = new Set([name]);
+  let match = String(vars[name] ?? '').trim().match(SINGLE_REFERENCE);
+  while (match && !seen.has(match[1])) {
+    chain.push(match[1]);
+    seen.add(match[1]);
+    if (!(match[1] in vars)) break;
+    match = String(vars[match[1]]).trim().match(SINGLE_REFERENCE);
+  }
+  return chain;
+}
+
+/**
+ * Reverse index: for each referenced name, the tokens whose value references it directly
+ * @returns {Map<string, Set<string>>}
+ */
+export function buildReferenceIndex(vars) {
+  const index = new Map();
+  Object.entries(vars).forEach(([name, value]) => {
+    parseVarReferences(value).forEach(reference => {
+      if (!index.has(reference)) index.set(reference, new Set());
+      index.get(reference).add(name);
+    });
+  });
+  return index;
+}
+
+/**
+ * Every token that depends on `name`, directly or through other aliases
+ * @param {string} name
+ * @param {Map<string, Set<string>>} index - From buildReferenceIndex
+ * @returns {Array<{name: string, via: string|null}>} Breadth first; `via` is the token it references, null when direct
+ */
+export function findTokenUsers(name, index) {
+  const users = [];
+  const seen = new Set([name]);
+  const queue = [name];
+  while (queue.length) {
+    const current = queue.shift();
+    Array.from(index.get(current) || []).sort().forEach(user => {
+      if (seen.has(user)) return;
+      seen.add(user);
+      users.push({ name: user, via: current === name ? null : current });
+      queue.push(user);
+    });
+  }
+  return users;
+}
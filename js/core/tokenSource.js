@@ -0,0 +1,85 @@
+/**
+ * Prism token source
+ * Lists the Prism color custom properties declared in the page's stylesheets so
+ * palettes can be assembled from any token, not only the chart families.
+ */
+const COLOR_TOKEN_PREFIX = '--prism-color-';
+
+export const TOKEN_GROUPS = Object.freeze({
+  chart: 'Chart',
+  general: 'General',
+  alias: 'Alias'
+});
+
+export function getTokenGroup(name) {
+  if (name.startsWith(`${COLOR_TOKEN_PREFIX}chart-`)) return 'chart';
+  if (name.startsWith(`${COLOR_TOKEN_PREFIX}general-`)) return 'general';
+  return 'alias';
+}
+
+function forEachRootRule(rules, callback) {
+  Array.from(rules || []).forEach(rule => {
+    if (rule.cssRules && !rule.style) {
+      // Grouping rules such as @media or @supports
+      forEachRootRule(rule.cssRules, callback);
+      return;
+    }
+    if (rule.style && /^:root\b/.test(rule.selectorText || '')) callback(rule);
+  });
+}
+
+function forEachRootRuleInDocument(callback) {
+  Array.from(document.styleSheets).forEach(sheet => {
+    try {
+      forEachRootRule(sheet.cssRules, callback);
+    } catch (error) {
+      // Cross-origin stylesheets do not expose their rules
+    }
+  });
+}
+
+/**
+ * Custom property names of every Prism color token declared on `:root`
+ */
+export function listColorTokenNames() {
+  const names = new Set();
+  forEachRootRuleInDocument(rule => {
+    Array.from(rule.style).forEach(property => {
+      if (property.startsWith(COLOR_TOKEN_PREFIX)) names.add(property);
+    });
+  });
+  return Array.from(names).sort();
+}
+
+/**
+ * Values declared for the given properties as written, references included: the theme's own
+ * `:root[data-theme=…]` declaration when it has one, otherwise the unthemed `:root` one.
+ */
+export function readDeclaredValues(names, theme = 'light') {
+  const wanted = new Set(names);
+  const base = {};
+  const themed = {};
+  const themeSelector = new RegExp(`data-theme=["']?${theme}["']?\\]`);
+  forEachRootRuleInDocument(rule => {
+    const selector = rule.selectorText.trim();
+    const target = selector === ':root' ? base : (themeSelector.test(selector) ? themed : null);
+    if (!target) return;
+    Array.from(rule.style).forEach(property => {
+      if (!wanted.has(property)) return;
+      const value = rule.style.getPropertyValue(property).trim();
+      if (value) target[property] = value;
+    });
+  });
+  return { ...base, ...themed };
+}
+
+/**
+ * Color tokens with their group and value in the current theme
+ * @returns {Array<{ name: string, group: string, value: string }>}
+ */
+export function listColorTokens() {
+  const styles = getComputedStyle(document.documentElement);
+  return listColorTokenNames()
+    .map(name => ({ name, group: getTokenGroup(name), value: styles.getPropertyValue(name).trim() }))
+    .filter(token => token.value);
+}
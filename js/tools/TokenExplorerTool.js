@@ -5,6 +5,24 @@
  */
 import { BaseTool } from '../core/BaseTool.js';
 import { createPrismAssetResolver } from '../core/assetResolver.js';
+import { resolveVarReferences, getAliasChain, buildReferenceIndex, findTokenUsers } from '../core/tokenReferences.js';
+import { flattenDtcgTokens } from '../core/dtcgTokens.js';
+import { TokenThemeTable } from '../core/TokenThemeTable.js';
+import { parseTokenQuery, evaluateTokenQuery, isEmptyQuery, highlightText } from '../core/tokenQuery.js';
+import { TOKEN_EXPORT_FORMATS, createExportTokenSet, exportTokens } from '../core/tokenExporters.js';
+import { downloadFile } from '../core/domUtils.js';
+
+// DTCG JSON sources shipped beside the CSS build; they carry the $type and $description tokens.css drops.
+// Themes other than light only override part of the set, like their CSS files.
+const DTCG_SHARED_FILES = Object.freeze(['tokens/spacing-base.json', 'tokens/border-radius-base.json']);
+const DTCG_THEME_FILES = Object.freeze({
+  'light': ['color-base.json', 'color-alias.json', 'color-mapping.json', 'shadow-base.json', 'typography.json'],
+  'dark': ['color-base.dark.json', 'color-alias.dark.json', 'shadow-base.dark.json', 'typography.dark.json'],
+  'highcontrast-light': ['color-base.highcontrast-light.json', 'color-alias.highcontrast-light.json', 'shadow-base.highcontrast-light.json'],
+  'highcontrast-dark': ['color-base.highcontrast-dark.json', 'color-alias.highcontrast-dark.json', 'shadow-base.highcontrast-dark.json', 'typography.highcontrast-dark.json']
+});
+// DTCG types that pick a preview when the name alone does not
+const DTCG_PREVIEW_TYPES = Object.freeze({ color: 'color', shadow: 'shadow', gradient: 'gradient' });
 
 const TOKEN_CATEGORY_METADATA = Object.freeze({
   'Colors': {
@@ -42,8 +60,17 @@ export class TokenExplorerTool extends BaseTool {
     super('Token Explorer', container);
     this.assets = createPrismAssetResolver();
     this.groupedTokens = {}; // { theme: { category: { subcategory: {var:token} } } }
+    this.themeVars = {}; // { theme: {var:declaredValue} }
+    this.referenceIndex = {}; // { theme: Map<var, Set<var referencing it>> }
+    this.usageToken = null; // Token whose "used by" list is open
+    this.tokenMetadata = {}; // { theme: {var: DTCG metadata} }
+    this.themeDeclarations = {}; // { theme: Set<var declared by the theme's own CSS> }
+    this.compareThemes = false;
+    this.themeTableFilter = 'all';
+    this.themeTable = null;
     this.currentTheme = 'light';
     this.searchQuery = '';
+    this.parsedQuery = parseTokenQuery('');
     this.currentRenderedTokens = [];
     this.cssRelativePath = options.cssRelativePath || 'styles/lib/tokens.css';
     this.cssResolvedPath = null;
@@ -68,7 +95,26 @@ export class TokenExplorerTool extends BaseTool {
         sideNav: '#tokens-sidenav'
       };
       this.elements = this.validateElements(requiredSelectors);
+      this.elements.usagePanel = document.querySelector('#token-usage');
+      this.elements.searchStatus = document.querySelector('#token-search-status');
+      Object.assign(this.elements, {
+        themeTablePanel: document.querySelector('#theme-table'),
+        themeTableToggle: document.querySelector('#theme-table-toggle'),
+        themeTableFilter: document.querySelector('#theme-table-filter'),
+        themeTableCount: document.querySelector('#theme-table-count'),
+        themeTableExport: document.querySelector('#theme-table-export'),
+        exportToggle: document.querySelector('#token-export-toggle'),
+        exportPanel: document.querySelector('#token-export'),
+        exportTheme: document.querySelector('#token-export-theme'),
+        exportFormat: document.querySelector('#token-export-format'),
+        exportCopy: document.querySelector('#token-export-copy'),
+        exportDownload: document.querySelector('#token-export-download'),
+        exportSummary: document.querySelector('#token-export-summary'),
+        exportPreview: document.querySelector('#token-export-preview')
+      });
+      this.themeTable = new TokenThemeTable(document.querySelector('#theme-table-body'));
       this.restorePreferences();
+      this.restoreQueryFromUrl();
       await this.loadTokensFromCSS();
       this.setupEventListeners();
       this.applyTheme(this.currentTheme);
@@ -127,6 +173,7 @@ export class TokenExplorerTool extends BaseTool {
     }
     const mergedCSS = variantCSSParts.join('\n');
 
+    this.tokenMetadata = await this.loadTokenMetadata();
     const parsed = this.parseTokensCSS(mergedCSS);
     this.groupedTokens = this.buildGroupedTokens(parsed);
     this.hideLoading();
@@ -134,14 +181,66 @@ export class TokenExplorerTool extends BaseTool {
     if (this.elements) this.updateDisplay();
   }
 
+  /**
+   * Fetch a JSON file of the foundation package, next to the resolved tokens.css when possible
+   * @returns {Promise<Object|null>}
+   */
+  async fetchFoundationJSON(relativePath) {
+    const candidates = [];
+    if (this.cssResolvedPath && this.cssResolvedPath.endsWith(this.cssRelativePath)) {
+      candidates.push(this.cssResolvedPath.slice(0, -this.cssRelativePath.length) + relativePath);
+    }
+    candidates.push(...this.assets.buildCandidates(relativePath));
+
+    for (const candidate of new Set(candidates)) {
+      try {
+        const resp = await fetch(candidate, { cache: 'no-cache' });
+        if (resp.ok) return await resp.json();
+      } catch (e) { /* try the next candidate */ }
+    }
+    return null;
+  }
+
+  /**
+   * DTCG metadata (type, description, references, pairings) per theme. Missing files only
+   * cost the descriptions, the CSS build stays authoritative for names and values.
+   * @returns {Promise<Object<string, Object>>}
+   */
+  async loadTokenMetadata() {
+    const load = async (paths) => {
+      const documents = await Promise.all(paths.map(path => this.fetchFoundationJSON(path)));
+      const missing = paths.filter((_, index) => !documents[index]);
+      if (missing.length) console.warn('[TokenExplorer] DTCG sources not loaded:', missing.join(', '));
+      return Object.assign({}, ...documents.filter(Boolean).map(flattenDtcgTokens));
+    };
+
+    const shared = await load(DTCG_SHARED_FILES);
+    const light = { ...shared, ...await load(DTCG_THEME_FILES.light.map(file => `tokens/light/${file}`)) };
+    const metadata = { light };
+    for (const theme of this.availableThemes) {
+      if (theme === 'light') continue;
+      const files = (DTCG_THEME_FILES[theme] || []).map(file => `tokens/${theme}/${file}`);
+      metadata[theme] = { ...light, ...await load(files) };
+    }
+    return metadata;
+  }
+
   buildGroupedTokens(rawMap) {
     // rawMap: { root: {var:value}, themeName: {var:value} }
     const groupedPerTheme = {};
     const rootVars = rawMap.root || {};
+    this.themeDeclarations = Object.fromEntries(this.availableThemes.map(theme => [
+      theme,
+      new Set(Object.keys(theme === 'light' ? rootVars : (rawMap[theme] || {})))
+    ]));
     
     this.availableThemes.forEach(theme => {
       const overrides = rawMap[theme] || {};
       const effective = { ...rootVars, ...overrides };
+      const references = buildReferenceIndex(effective);
+      const metadata = this.tokenMetadata[theme] || {};
+      this.themeVars[theme] = effective;
+      this.referenceIndex[theme] = references;
       
       // Enhanced categorization with subcategories based on actual token patterns
       // Note: Foundational colors are now displayed in the dedicated palettes page
@@ -188,7 +287,7 @@ export class TokenExplorerTool extends BaseTool {
           tokenType = 'border-radius';
         }
         
-        const token = { name, value, raw: value, type: tokenType };
+        const token = this.createToken(name, value, tokenType, effective, references, metadata[name]);
         
         // Note: We'll build "All" in category order at the end
         
@@ -270,7 +369,7 @@ export class TokenExplorerTool extends BaseTool {
             tokenType = 'border-radius';
           }
           
-          allProcessedTokens[name] = { name, value, raw: value, type: tokenType };
+          allProcessedTokens[name] = this.createToken(name, value, tokenType, effective, references, metadata[name]);
         }
       });
       
@@ -351,6 +450,30 @@ export class TokenExplorerTool extends BaseTool {
     return groupedPerTheme;
   }
 
+  /**
+   * Token with its value resolved in the theme: `raw` keeps the declared value and `chain`
+   * the tokens it aliases (alias → base), `usedBy` counts the tokens referencing it directly.
+   * DTCG metadata adds the description, the tokens to pair with and the source reference when
+   * the CSS build inlined it.
+   */
+  createToken(name, raw, type, vars, references, meta = null) {
+    let chain = getAliasChain(name, vars);
+    if (!chain.length && meta && meta.alias && meta.alias !== name) {
+      chain = [meta.alias, ...getAliasChain(meta.alias, vars)];
+    }
+    return {
+      name,
+      value: resolveVarReferences(raw, vars),
+      raw,
+      chain,
+      usedBy: references.has(name) ? references.get(name).size : 0,
+      type: (meta && DTCG_PREVIEW_TYPES[meta.type]) || type,
+      dtcgType: meta ? meta.type : null,
+      description: meta ? meta.description : '',
+      pairWith: meta ? meta.pairWith : []
+    };
+  }
+
   // Legacy CSS extraction methods removed (JSON is authoritative)
 
   applyTheme(theme) {
@@ -370,10 +493,46 @@ export class TokenExplorerTool extends BaseTool {
       this.updateDisplay();
     });
     this.elements.searchInput.addEventListener('input', (e) => {
-      this.searchQuery = e.target.value.toLowerCase();
+      this.setSearchQuery(e.target.value);
       this.updateDisplay();
     });
 
+    const { themeTableToggle, themeTableFilter, themeTableExport } = this.elements;
+    if (themeTableToggle) {
+      themeTableToggle.addEventListener('click', () => {
+        this.compareThemes = !this.compareThemes;
+        this.updateDisplay();
+      });
+    }
+    if (themeTableFilter) {
+      themeTableFilter.addEventListener('change', (e) => {
+        this.themeTableFilter = e.target.value;
+        this.updateDisplay();
+      });
+    }
+    if (themeTableExport) {
+      themeTableExport.addEventListener('click', () => this.exportThemeTable());
+    }
+    this.setupExportPanel();
+
+    // Alias chain links and "used by" buttons open the reverse lookup
+    [this.elements.tokenList, this.elements.usagePanel].forEach(container => {
+      if (!container) return;
+      container.addEventListener('click', (e) => {
+        if (e.target.closest('[data-usage-close]')) {
+          this.showTokenUsage(null);
+          return;
+        }
+        const pair = e.target.closest('[data-token-focus]');
+        if (pair) {
+          this.focusToken(pair.dataset.tokenFocus);
+          return;
+        }
+        const trigger = e.target.closest('[data-token-usage]');
+        if (trigger) this.showTokenUsage(trigger.dataset.tokenUsage);
+      });
+    });
+
     window.addEventListener('hashchange', () => {
       if (this.elements && this.elements.sideNav) {
         this.elements.sideNav.innerHTML = this.renderSidebar();
@@ -382,7 +541,156 @@ export class TokenExplorerTool extends BaseTool {
   }
 
   updateDisplay() {
+    const { themeTablePanel, themeTableToggle } = this.elements;
+    if (themeTableToggle) {
+      themeTableToggle.setAttribute('aria-pressed', String(this.compareThemes));
+      themeTableToggle.classList.toggle('is-active', this.compareThemes);
+    }
+    if (this.compareThemes && themeTablePanel) {
+      themeTablePanel.hidden = false;
+      this.elements.tokenList.style.display = 'none';
+      this.elements.emptyState.style.display = 'none';
+      if (this.elements.usagePanel) this.elements.usagePanel.hidden = true;
+      // The table has its own count
+      if (this.elements.searchStatus) this.elements.searchStatus.hidden = true;
+      this.renderThemeTable();
+      this.renderExportPanel();
+      return;
+    }
+    if (themeTablePanel) themeTablePanel.hidden = true;
     this.renderAllTokens();
+    this.renderTokenUsage();
+    this.renderExportPanel();
+  }
+
+  getThemeOptions() {
+    return this.availableThemes.map(id => {
+      const option = Array.from(this.elements.themeSelector.options).find(entry => entry.value === id);
+      return { id, label: option ? option.textContent.trim() : id };
+    });
+  }
+
+  /**
+   * Rows of the theme comparison after the filter and the search
+   */
+  getThemeTableRows() {
+    const tokensByTheme = Object.fromEntries(this.availableThemes.map(theme => [
+      theme,
+      (this.groupedTokens[theme] || {})['All tokens'] || {}
+    ]));
+    const rows = this.themeTable.buildRows(tokensByTheme, this.themeDeclarations, this.availableThemes);
+    const queryTokens = (this.groupedTokens[this.getSearchTheme()] || {})['All tokens'] || {};
+    return this.themeTable.filterRows(rows, this.themeTableFilter, row => {
+      const token = queryTokens[row.name];
+      if (isEmptyQuery(this.parsedQuery)) return true;
+      return Boolean(token) && evaluateTokenQuery(token, this.parsedQuery).match;
+    });
+  }
+
+  renderThemeTable() {
+    const rows = this.getThemeTableRows();
+    this.themeTable.render(rows, this.getThemeOptions());
+    if (this.elements.themeTableCount) {
+      this.elements.themeTableCount.textContent = `${rows.length} token${rows.length === 1 ? '' : 's'}`;
+    }
+  }
+
+  exportThemeTable() {
+    const csv = this.themeTable.toCSV(this.getThemeTableRows(), this.availableThemes);
+    this.downloadFile(csv, 'prism-tokens-by-theme.csv', 'text/csv');
+  }
+
+  setupExportPanel() {
+    const { exportToggle, exportPanel, exportTheme, exportFormat, exportCopy, exportDownload } = this.elements;
+    if (!exportToggle || !exportPanel) return;
+    // The page opts in through the `enableExport` option
+    exportToggle.hidden = !this.config.enableExport;
+
+    exportTheme.innerHTML = this.getThemeOptions()
+      .map(theme => `<option value="${theme.id}">${theme.label}</option>`)
+      .join('');
+    exportFormat.innerHTML = TOKEN_EXPORT_FORMATS
+      .map(format => `<option value="${format.id}">${format.label}</option>`)
+      .join('');
+
+    exportToggle.addEventListener('click', () => {
+      exportPanel.hidden = !exportPanel.hidden;
+      exportToggle.setAttribute('aria-expanded', String(!exportPanel.hidden));
+      if (!exportPanel.hidden) exportTheme.value = this.getSearchTheme();
+      this.renderExportPanel();
+    });
+    exportTheme.addEventListener('change', () => this.renderExportPanel());
+    exportFormat.addEventListener('change', () => this.renderExportPanel());
+    exportCopy.addEventListener('click', () => this.copyTokenExport());
+    exportDownload.addEventListener('click', () => this.downloadTokenExport());
+  }
+
+  /**
+   * Tokens shown by the list or the theme table, with their values in the export theme
+   */
+  getExportTokens(theme) {
+    const names = this.compareThemes
+      ? this.getThemeTableRows().map(row => row.name)
+      : this.currentRenderedTokens.map(token => token.name);
+    const themeTokens = (this.groupedTokens[theme] || {})['All tokens'] || {};
+    return names.map(name => themeTokens[name]).filter(Boolean);
+  }
+
+  getTokenExport() {
+    const { exportTheme, exportFormat } = this.elements;
+    const theme = exportTheme.value || this.currentTheme;
+    const label = this.getThemeOptions().find(option => option.id === theme)?.label || theme;
+    const tokenSet = createExportTokenSet(theme, label, this.getExportTokens(theme));
+    try {
+      return { tokenSet, result: exportTokens(exportFormat.value, tokenSet) };
+    } catch (error) {
+      console.error('[TokenExplorer] Export failed', error);
+      return { tokenSet, result: null };
+    }
+  }
+
+  renderExportPanel() {
+    const { exportPanel, exportCopy, exportDownload, exportSummary, exportPreview } = this.elements;
+    if (!exportPanel || exportPanel.hidden) return;
+
+    const { tokenSet, result } = this.getTokenExport();
+    const hasTokens = Boolean(result && result.count);
+    exportCopy.disabled = !hasTokens || result.binary;
+    exportDownload.disabled = !hasTokens;
+
+    const scope = isEmptyQuery(this.parsedQuery) && (!this.compareThemes || this.themeTableFilter === 'all')
+      ? 'all listed tokens'
+      : 'the current search';
+    const parts = [`${result ? result.count : 0} of ${tokenSet.tokens.length} tokens from ${scope}, ${tokenSet.themeLabel} values`];
+    // Gradients, shadows and font tokens have no Android or iOS resource equivalent
+    if (result && result.skipped) parts.push(`${result.skipped} without an equivalent in this format left out`);
+    exportSummary.textContent = parts.join('. ');
+
+    if (!hasTokens) {
+      exportPreview.textContent = '';
+    } else if (result.binary) {
+      exportPreview.textContent = `${result.fileName}\n${result.files.map(path => `  ${path}`).join('\n')}`;
+    } else {
+      exportPreview.textContent = result.content;
+    }
+  }
+
+  async copyTokenExport() {
+    const { result } = this.getTokenExport();
+    if (!result || result.binary || !result.count) return;
+    try {
+      await navigator.clipboard.writeText(result.content);
+      this.showCopyNotification(`${result.fileName} copied to clipboard!`);
+    } catch (error) {
+      console.error('Failed to copy export:', error);
+      this.showCopyNotification('Failed to copy export', true);
+    }
+  }
+
+  downloadTokenExport() {
+    const { result } = this.getTokenExport();
+    if (!result || !result.count) return;
+    this.downloadFile(result.content, result.fileName, result.mimeType);
   }
 
   slugify(label) {
@@ -400,6 +708,26 @@ export class TokenExplorerTool extends BaseTool {
     return `${this.getCategoryAnchorId(categoryName)}-${this.slugify(subcategoryName)}`;
   }
 
+  getTokenAnchorId(tokenName) {
+    return `token-${this.slugify(tokenName)}`;
+  }
+
+  /**
+   * Scroll to a token card and focus it, clearing a search that hides it
+   */
+  focusToken(name) {
+    const find = () => document.getElementById(this.getTokenAnchorId(name));
+    if (!find() && this.searchQuery) {
+      this.setSearchQuery('');
+      this.elements.searchInput.value = '';
+      this.updateDisplay();
+    }
+    const item = find();
+    if (!item) return;
+    if (item.scrollIntoView) item.scrollIntoView({ block: 'center' });
+    item.focus();
+  }
+
   renderSidebar() {
     const themeTokens = this.groupedTokens[this.currentTheme] || {};
     const categories = Object.keys(themeTokens);
@@ -461,10 +789,56 @@ export class TokenExplorerTool extends BaseTool {
     return Object.keys(categoryData).length;
   }
 
+  /**
+   * Theme the search runs on: `theme:` in the query (id or prefix, e.g. `theme:highcontrast`), else the selected one
+   * @returns {string|null} null when the query names a theme that does not exist
+   */
+  resolveQueryTheme() {
+    const requested = this.parsedQuery.theme;
+    if (!requested) return this.currentTheme;
+    return this.availableThemes.find(theme => theme === requested)
+      || this.availableThemes.find(theme => theme.startsWith(requested))
+      || null;
+  }
+
+  getSearchTheme() {
+    return this.resolveQueryTheme() || this.currentTheme;
+  }
+
+  /**
+   * Result count, the theme and color searched, and query errors
+   */
+  renderSearchStatus(total, closest) {
+    const status = this.elements.searchStatus;
+    if (!status) return;
+    const query = this.parsedQuery;
+    if (isEmptyQuery(query) && !query.errors.length) {
+      status.hidden = true;
+      status.textContent = '';
+      return;
+    }
+
+    const parts = [`${total} token${total === 1 ? '' : 's'}`];
+    const errors = [...query.errors];
+    if (query.theme) {
+      const theme = this.resolveQueryTheme();
+      if (theme) parts.push(`${this.getThemeOptions().find(option => option.id === theme)?.label || theme} values`);
+      else errors.push(`Unknown theme "${query.theme}", showing ${this.currentTheme}`);
+    }
+    if (query.near) {
+      parts.push(`within ΔE ${query.near.within} of ${query.near.hex}`);
+      if (closest) parts.push(`closest ${closest.token.name} (ΔE ${closest.result.deltaE.toFixed(1)})`);
+    }
+    status.textContent = [parts.join(' · '), ...errors].join('. ');
+    status.classList.toggle('has-error', errors.length > 0);
+    status.hidden = false;
+  }
+
   renderAllTokens() {
-    const themeTokens = this.groupedTokens[this.currentTheme] || {};
-    const query = this.searchQuery;
+    const themeTokens = this.groupedTokens[this.getSearchTheme()] || {};
+    const query = this.parsedQuery;
     let total = 0;
+    let closest = null;
     this.currentRenderedTokens = [];
 
     // Update sidebar
@@ -472,18 +846,19 @@ export class TokenExplorerTool extends BaseTool {
       this.elements.sideNav.innerHTML = this.renderSidebar();
     }
 
-    const filterToken = (token) => {
-      if (!query) return true;
-      if (!token) return false;
-      const tokenName = (token.name || '').toLowerCase();
-      const tokenValue = String(token.value ?? '').toLowerCase();
-      return tokenName.includes(query) || tokenValue.includes(query);
+    const evaluateToken = (token, context) => {
+      if (!token) return null;
+      const result = evaluateTokenQuery(token, query, context);
+      if (result.match && result.deltaE !== null && (!closest || result.deltaE < closest.result.deltaE)) {
+        closest = { token, result };
+      }
+      return result;
     };
 
     const sections = [];
     Object.entries(themeTokens).forEach(([categoryName, categoryData]) => {
       if (categoryName === 'All tokens') return;
-      const section = this.renderCategorySection(categoryName, categoryData, filterToken);
+      const section = this.renderCategorySection(categoryName, categoryData, evaluateToken);
       if (section && section.count > 0) {
         sections.push(section.markup);
         total += section.count;
@@ -504,7 +879,8 @@ export class TokenExplorerTool extends BaseTool {
       this.elements.tokenList.style.display = 'block';
 
       this.elements.tokenList.querySelectorAll('.token-item').forEach(row => {
-        row.addEventListener('click', () => {
+        row.addEventListener('click', (e) => {
+          if (e.target.closest('[data-token-usage], [data-token-focus]')) return;
           const name = row.dataset.tokenName;
           const value = row.dataset.tokenValue;
           if (name && value) this.copyToken(name, value);
@@ -515,9 +891,21 @@ export class TokenExplorerTool extends BaseTool {
       this.elements.tokenList.style.display = 'none';
       this.elements.emptyState.style.display = 'block';
     }
+    this.renderSearchStatus(total, closest);
   }
 
-  renderCategorySection(categoryName, categoryData, predicate) {
+  /**
+   * Tokens of a list matching the search with their results; closest first for color searches
+   */
+  matchTokens(tokensMap, evaluate, context) {
+    const matches = Object.values(tokensMap)
+      .map(token => ({ token, result: evaluate(token, context) }))
+      .filter(entry => entry.result && entry.result.match);
+    if (this.parsedQuery.near) matches.sort((a, b) => a.result.deltaE - b.result.deltaE);
+    return matches;
+  }
+
+  renderCategorySection(categoryName, categoryData, evaluate) {
     if (!categoryData) return null;
     const meta = this.getCategoryMetadata(categoryName);
     const categoryAnchorId = this.getCategoryAnchorId(categoryName);
@@ -535,26 +923,26 @@ export class TokenExplorerTool extends BaseTool {
     if (hasSubcategories) {
       Object.entries(categoryData).forEach(([subName, tokensMap]) => {
         if (!tokensMap) return;
-        const tokens = Object.values(tokensMap).filter(predicate);
-        if (!tokens.length) return;
+        const matches = this.matchTokens(tokensMap, evaluate, { category: categoryName, subcategory: subName });
+        if (!matches.length) return;
         const subAnchorId = this.getSubcategoryAnchorId(categoryName, subName);
         const header = `<h4 class="token-subcategory-heading" id="${subAnchorId}" tabindex="-1">${subName}</h4>`;
-        const items = tokens.map(token => {
+        const items = matches.map(({ token, result }) => {
           this.currentRenderedTokens.push(token);
-          return this.renderTokenItem(token);
+          return this.renderTokenItem(token, result);
         }).join('');
         sections.push(header + items);
-        count += tokens.length;
+        count += matches.length;
       });
     } else {
-      const tokens = Object.values(categoryData).filter(predicate);
-      if (!tokens.length) return null;
-      const items = tokens.map(token => {
+      const matches = this.matchTokens(categoryData, evaluate, { category: categoryName });
+      if (!matches.length) return null;
+      const items = matches.map(({ token, result }) => {
         this.currentRenderedTokens.push(token);
-        return this.renderTokenItem(token);
+        return this.renderTokenItem(token, result);
       }).join('');
       sections.push(items);
-      count += tokens.length;
+      count += matches.length;
     }
 
     if (!count) return null;
@@ -575,7 +963,11 @@ export class TokenExplorerTool extends BaseTool {
     return TOKEN_CATEGORY_METADATA[categoryName] || { title: categoryName, subtitle: '' };
   }
 
-  renderTokenItem(token) {
+  /**
+   * @param {Object} token
+   * @param {Object|null} match - Search result: ranges to highlight and the ΔE of a color search
+   */
+  renderTokenItem(token, match = null) {
     // Defensive programming: ensure token has required properties
     if (!token || !token.name || token.value === undefined) {
       console.warn('Invalid token object:', token);
@@ -587,17 +979,103 @@ export class TokenExplorerTool extends BaseTool {
     const displayValue = baseVal; // Show full value - CSS handles wrapping
     const title = token.raw && token.raw !== token.value ? `Alias of ${token.raw}` : token.value;
     let displayName = token.name; // exact name from tokens.css
+    const usedBy = token.usedBy
+      ? `<button type="button" class="token-usage-toggle" data-token-usage="${token.name}">Used by ${token.usedBy}</button>`
+      : '';
     return `
-      <div class="token-item" data-token-type="${token.type}" data-token-name="${token.name}" data-token-value="${token.value}" title="${title}">
+      <div class="token-item" id="${this.getTokenAnchorId(token.name)}" tabindex="-1" data-token-type="${token.type}" data-token-name="${token.name}" data-token-value="${token.value}" title="${title}">
         <div class="token-preview">${preview}</div>
         <div class="token-info">
-          <span class="token-name">${displayName}</span>
-          <span class="token-value">${displayValue}</span>
+          <span class="token-name">${match ? highlightText(displayName, match.highlights.name) : displayName}</span>
+          ${token.chain && token.chain.length ? this.renderAliasChain(token.chain) : ''}
+          <span class="token-value">${match ? highlightText(displayValue, match.highlights.value) : displayValue}</span>
+          ${match && match.deltaE !== null ? `<span class="token-distance">ΔE ${match.deltaE.toFixed(1)}</span>` : ''}
+          ${token.description ? `<p class="token-description">${token.description}</p>` : ''}
+          ${token.pairWith && token.pairWith.length ? this.renderPairings(token.pairWith) : ''}
+          ${usedBy}
         </div>
       </div>
     `;
   }
 
+  /**
+   * "Pair with" links from the token description; names the theme does not define stay plain text
+   */
+  renderPairings(names) {
+    const vars = this.themeVars[this.currentTheme] || {};
+    const links = names.map(name => (name in vars
+      ? `<button type="button" class="token-pairs__link" data-token-focus="${name}">${name}</button>`
+      : `<span class="token-pairs__missing" title="Not defined in this theme">${name}</span>`));
+    return `<span class="token-pairs">Pair with ${links.join(', ')}</span>`;
+  }
+
+  /**
+   * Inline alias chain; each step opens the list of tokens using it
+   */
+  renderAliasChain(chain) {
+    const steps = chain.map(name => `
+      <button type="button" class="token-chain__link" data-token-usage="${name}" title="Show tokens using ${name}">${name}</button>
+    `);
+    return `
+      <span class="token-chain">
+        <span class="visually-hidden">Alias of</span>
+        ${steps.join('<span class="token-chain__arrow" aria-hidden="true">→</span>')}
+      </span>
+    `;
+  }
+
+  /**
+   * Open the "used by" list of a token, or close it with null
+   */
+  showTokenUsage(name) {
+    this.usageToken = name;
+    this.renderTokenUsage();
+    if (name && this.elements.usagePanel) this.elements.usagePanel.focus();
+  }
+
+  /**
+   * Every token of the current theme referencing `usageToken`, directly or through other aliases
+   */
+  renderTokenUsage() {
+    const panel = this.elements.usagePanel;
+    if (!panel) return;
+    if (!this.usageToken) {
+      panel.hidden = true;
+      panel.innerHTML = '';
+      return;
+    }
+
+    const name = this.usageToken;
+    const vars = this.themeVars[this.currentTheme] || {};
+    const users = findTokenUsers(name, this.referenceIndex[this.currentTheme] || new Map());
+    const themeLabel = this.elements.themeSelector.selectedOptions[0]?.textContent || this.currentTheme;
+    const value = resolveVarReferences(vars[name] ?? '', vars);
+    const swatch = value && name.includes('-color-')
+      ? `<span class="token-usage__swatch" style="background: ${value};"></span>`
+      : '';
+    const items = users.map(user => `
+      <li class="token-usage__item">
+        <button type="button" class="token-chain__link" data-token-usage="${user.name}">${user.name}</button>
+        <span class="token-usage__via">${user.via ? `via ${user.via}` : 'direct'}</span>
+      </li>
+    `).join('');
+
+    panel.innerHTML = `
+      <div class="token-usage__header">
+        <h3 class="token-usage__title">${name}</h3>
+        <button type="button" class="prism-button prism-button--ghost prism-button--small" data-usage-close>Close</button>
+      </div>
+      <p class="token-usage__summary">
+        ${value ? `${swatch}<code>${value}</code> · ` : ''}
+        ${users.length
+          ? `Used by ${users.length} token${users.length === 1 ? '' : 's'} in ${themeLabel}`
+          : `No tokens reference it in ${themeLabel}`}
+      </p>
+      ${items ? `<ul class="token-usage__list">${items}</ul>` : ''}
+    `;
+    panel.hidden = false;
+  }
+
   getTokenPreview(token) {
     switch (token.type) {
       case 'color':
@@ -709,17 +1187,30 @@ export class TokenExplorerTool extends BaseTool {
     } catch (e) {}
   }
 
+  /**
+   * Update the search; the query is kept in the URL (`?q=`) so searches can be shared
+   */
+  setSearchQuery(value) {
+    this.searchQuery = value;
+    this.parsedQuery = parseTokenQuery(value);
+    try {
+      const url = new URL(window.location.href);
+      if (this.parsedQuery.source) url.searchParams.set('q', this.parsedQuery.source);
+      else url.searchParams.delete('q');
+      window.history.replaceState(window.history.state, '', url);
+    } catch (e) {}
+  }
+
+  restoreQueryFromUrl() {
+    const query = new URLSearchParams(window.location.search).get('q');
+    if (!query) return;
+    this.searchQuery = query;
+    this.parsedQuery = parseTokenQuery(query);
+    this.elements.searchInput.value = query;
+  }
+
   downloadFile(content, filename, mimeType) {
-    const blob = new Blob([content], { type: mimeType });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    
+    downloadFile(content, filename, mimeType);
     this.showCopyNotification(`${filename} downloaded!`);
   }
 